@@ -0,0 +1,146 @@
+const mongoose = require("mongoose")
+const AccessToken = require("../models/AccessToken")
+const { generatePersonalAccessToken } = require("../utils/tokenUtils")
+
+const DEFAULT_EXPIRE_DAYS = 30
+const MAX_EXPIRE_DAYS = 365
+const MAX_TOKENS_PER_USER = 20
+
+// @desc    Create a personal access token
+// @route   POST /api/auth/tokens
+// @access  Private
+const createAccessToken = async (req, res) => {
+  try {
+    const { name, scopes, expiresInDays = DEFAULT_EXPIRE_DAYS } = req.body
+
+    if (typeof name !== "string" || !name.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: "Token name is required",
+      })
+    }
+
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "At least one scope is required",
+        availableScopes: AccessToken.SCOPES,
+      })
+    }
+
+    const invalidScopes = scopes.filter((scope) => !AccessToken.SCOPES.includes(scope))
+    if (invalidScopes.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid scopes: ${invalidScopes.join(", ")}`,
+        availableScopes: AccessToken.SCOPES,
+      })
+    }
+
+    const days = Number.parseInt(expiresInDays, 10)
+    if (!Number.isInteger(days) || days < 1 || days > MAX_EXPIRE_DAYS) {
+      return res.status(400).json({
+        success: false,
+        message: `expiresInDays must be between 1 and ${MAX_EXPIRE_DAYS}`,
+      })
+    }
+
+    const activeCount = await AccessToken.countDocuments({
+      userId: req.user.userId,
+      revokedAt: { $exists: false },
+      expiresAt: { $gt: new Date() },
+    })
+
+    if (activeCount >= MAX_TOKENS_PER_USER) {
+      return res.status(400).json({
+        success: false,
+        message: `You can have at most ${MAX_TOKENS_PER_USER} active access tokens`,
+      })
+    }
+
+    const { token, tokenHash, tokenPrefix } = generatePersonalAccessToken()
+
+    const accessToken = await AccessToken.create({
+      userId: req.user.userId,
+      name: name.trim(),
+      tokenHash,
+      tokenPrefix,
+      scopes: [...new Set(scopes)],
+      expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000),
+    })
+
+    res.status(201).json({
+      success: true,
+      message: "Access token created. Copy it now - it won't be shown again.",
+      token,
+      accessToken,
+    })
+  } catch (error) {
+    console.error("Create access token error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+}
+
+// @desc    List personal access tokens
+// @route   GET /api/auth/tokens
+// @access  Private
+const getAccessTokens = async (req, res) => {
+  try {
+    const accessTokens = await AccessToken.find({ userId: req.user.userId }).sort({ createdAt: -1 })
+
+    res.json({
+      success: true,
+      accessTokens,
+      availableScopes: AccessToken.SCOPES,
+    })
+  } catch (error) {
+    console.error("Get access tokens error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+}
+
+// @desc    Revoke a personal access token
+// @route   DELETE /api/auth/tokens/:id
+// @access  Private
+const revokeAccessToken = async (req, res) => {
+  try {
+    const accessToken = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await AccessToken.findOne({ _id: req.params.id, userId: req.user.userId })
+      : null
+
+    if (!accessToken) {
+      return res.status(404).json({
+        success: false,
+        message: "Access token not found",
+      })
+    }
+
+    if (!accessToken.revokedAt) {
+      accessToken.revokedAt = new Date()
+      await accessToken.save()
+    }
+
+    res.json({
+      success: true,
+      message: "Access token revoked",
+    })
+  } catch (error) {
+    console.error("Revoke access token error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+}
+
+module.exports = {
+  createAccessToken,
+  getAccessTokens,
+  revokeAccessToken,
+}
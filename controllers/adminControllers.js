@@ -0,0 +1,461 @@
+const mongoose = require("mongoose")
+const User = require("../models/User")
+const Session = require("../models/Session")
+const AccessToken = require("../models/AccessToken")
+const Booking = require("../models/Booking")
+const Post = require("../models/Post")
+const Connection = require("../models/Connection")
+const AdminAuditLog = require("../models/AdminAuditLog")
+const SecurityEvent = require("../models/SecurityEvent")
+const { disconnectUserSockets } = require("../utils/socketUtils")
+
+const MAX_PAGE_SIZE = 100
+
+// Parse page/limit query params, capping the page size
+const getPagination = (query, defaultLimit = 20) => {
+  const page = Math.max(Number.parseInt(query.page, 10) || 1, 1)
+  const limit = Math.min(Math.max(Number.parseInt(query.limit, 10) || defaultLimit, 1), MAX_PAGE_SIZE)
+  return { page, limit, skip: (page - 1) * limit }
+}
+
+const paginationResponse = (page, limit, total) => ({
+  currentPage: page,
+  totalPages: Math.ceil(total / limit),
+  total,
+  hasNext: page < Math.ceil(total / limit),
+  hasPrev: page > 1,
+})
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+
+// Load the target user from req.params.id, responding with 400/404 when it can't be found
+const findTargetUser = async (req, res, select = "") => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({
+      success: false,
+      message: "Invalid user ID",
+    })
+    return null
+  }
+
+  const user = await User.findById(req.params.id).select(select)
+  if (!user) {
+    res.status(404).json({
+      success: false,
+      message: "User not found",
+    })
+    return null
+  }
+
+  return user
+}
+
+// @desc    List and filter users
+// @route   GET /api/admin/users
+// @access  Admin
+const getUsers = async (req, res) => {
+  try {
+    const { search, role, isActive, isVerified, isAdmin, twoFactorEnabled } = req.query
+    const { page, limit, skip } = getPagination(req.query)
+
+    const query = {}
+    if (typeof search === "string" && search.trim()) {
+      const pattern = new RegExp(escapeRegex(search.trim()), "i")
+      query.$or = [{ name: pattern }, { email: pattern }]
+    }
+    if (role) query.role = role
+    if (isActive !== undefined) query.isActive = isActive === "true"
+    if (isVerified !== undefined) query.isVerified = isVerified === "true"
+    if (isAdmin !== undefined) query.isAdmin = isAdmin === "true"
+    if (twoFactorEnabled !== undefined) query["twoFactor.enabled"] = twoFactorEnabled === "true"
+
+    const [users, total] = await Promise.all([
+      User.find(query).sort({ createdAt: -1 }).skip(skip).limit(limit),
+      User.countDocuments(query),
+    ])
+
+    await AdminAuditLog.record(req, "list_users", null, { filters: req.query })
+
+    res.json({
+      success: true,
+      users,
+      pagination: paginationResponse(page, limit, total),
+    })
+  } catch (error) {
+    console.error("Admin get users error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+}
+
+// @desc    Get a user's account details
+// @route   GET /api/admin/users/:id
+// @access  Admin
+const getUser = async (req, res) => {
+  try {
+    const user = await findTargetUser(req, res)
+    if (!user) return
+
+    const [activeSessions, activeAccessTokens] = await Promise.all([
+      Session.countDocuments({ userId: user._id, revokedAt: { $exists: false }, expiresAt: { $gt: new Date() } }),
+      AccessToken.countDocuments({ userId: user._id, revokedAt: { $exists: false }, expiresAt: { $gt: new Date() } }),
+    ])
+
+    await AdminAuditLog.record(req, "view_user", user._id)
+
+    res.json({
+      success: true,
+      user,
+      lockStatus: user.getLockStatus(),
+      activeSessions,
+      activeAccessTokens,
+    })
+  } catch (error) {
+    console.error("Admin get user error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+}
+
+// @desc    Suspend a user account
+// @route   PUT /api/admin/users/:id/suspend
+// @access  Admin
+const suspendUser = async (req, res) => {
+  try {
+    const { reason } = req.body
+
+    if (req.params.id === req.user.userId) {
+      return res.status(400).json({
+        success: false,
+        message: "You cannot suspend your own account",
+      })
+    }
+
+    const user = await findTargetUser(req, res)
+    if (!user) return
+
+    if (!user.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: "User is already suspended",
+      })
+    }
+
+    user.isActive = false
+    user.suspension = {
+      reason: reason || undefined,
+      suspendedAt: new Date(),
+      suspendedBy: req.user.userId,
+    }
+    await user.save()
+
+    // Sign the user out everywhere
+    await Session.revokeAllForUser(user._id, "account_suspended")
+    await AccessToken.updateMany({ userId: user._id, revokedAt: { $exists: false } }, { revokedAt: new Date() })
+
+    const io = req.app.get("io")
+    if (io) {
+      await disconnectUserSockets(io, user._id)
+    }
+
+    await AdminAuditLog.record(req, "suspend_user", user._id, { reason })
+
+    res.json({
+      success: true,
+      message: "User suspended",
+      user,
+    })
+  } catch (error) {
+    console.error("Admin suspend user error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+}
+
+// @desc    Reactivate a suspended user account
+// @route   PUT /api/admin/users/:id/reactivate
+// @access  Admin
+const reactivateUser = async (req, res) => {
+  try {
+    const user = await findTargetUser(req, res)
+    if (!user) return
+
+    if (user.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: "User is not suspended",
+      })
+    }
+
+    if (user.isPendingDeletion()) {
+      return res.status(400).json({
+        success: false,
+        message: "This account is scheduled for deletion. The user can restore it from the link in their email.",
+      })
+    }
+
+    const previousSuspension = user.suspension?.toObject?.() || user.suspension
+    user.isActive = true
+    user.suspension = undefined
+    await user.save()
+
+    await AdminAuditLog.record(req, "reactivate_user", user._id, { previousSuspension })
+
+    res.json({
+      success: true,
+      message: "User reactivated",
+      user,
+    })
+  } catch (error) {
+    console.error("Admin reactivate user error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+}
+
+// @desc    Mark a user's email as verified
+// @route   PUT /api/admin/users/:id/verify-email
+// @access  Admin
+const verifyUserEmail = async (req, res) => {
+  try {
+    const user = await findTargetUser(req, res)
+    if (!user) return
+
+    if (user.isVerified) {
+      return res.status(400).json({
+        success: false,
+        message: "Email is already verified",
+      })
+    }
+
+    user.isVerified = true
+    user.otp = undefined
+    user.otpExpires = undefined
+    user.resetFailedAttempts("otp")
+    await user.save()
+
+    await AdminAuditLog.record(req, "verify_email", user._id, { email: user.email })
+
+    res.json({
+      success: true,
+      message: "Email marked as verified",
+      user,
+    })
+  } catch (error) {
+    console.error("Admin verify email error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+}
+
+// @desc    Turn off two-factor authentication for a user who lost their authenticator
+// @route   DELETE /api/admin/users/:id/2fa
+// @access  Admin
+const resetTwoFactor = async (req, res) => {
+  try {
+    const user = await findTargetUser(req, res)
+    if (!user) return
+
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is not enabled for this user",
+      })
+    }
+
+    user.twoFactor = { enabled: false }
+    await user.save()
+
+    await AdminAuditLog.record(req, "reset_two_factor", user._id)
+    await SecurityEvent.record(req, user._id, "two_factor_disabled", { resetByAdmin: true })
+
+    res.json({
+      success: true,
+      message: "Two-factor authentication has been reset",
+    })
+  } catch (error) {
+    console.error("Admin reset 2FA error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+}
+
+// @desc    View a user's bookings
+// @route   GET /api/admin/users/:id/bookings
+// @access  Admin
+const getUserBookings = async (req, res) => {
+  try {
+    const user = await findTargetUser(req, res, "_id")
+    if (!user) return
+
+    const { page, limit, skip } = getPagination(req.query)
+    const query = { $or: [{ developerId: user._id }, { recruiterId: user._id }] }
+    if (req.query.status) query.status = req.query.status
+
+    const [bookings, total] = await Promise.all([
+      Booking.find(query)
+        .populate("developerId", "name email")
+        .populate("recruiterId", "name email")
+        .populate("slotId", "title sessionType")
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      Booking.countDocuments(query),
+    ])
+
+    await AdminAuditLog.record(req, "view_user_bookings", user._id)
+
+    res.json({
+      success: true,
+      bookings,
+      pagination: paginationResponse(page, limit, total),
+    })
+  } catch (error) {
+    console.error("Admin get user bookings error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+}
+
+// @desc    View a user's posts
+// @route   GET /api/admin/users/:id/posts
+// @access  Admin
+const getUserPosts = async (req, res) => {
+  try {
+    const user = await findTargetUser(req, res, "_id")
+    if (!user) return
+
+    const { page, limit, skip } = getPagination(req.query)
+    const query = { author: user._id }
+
+    const [posts, total] = await Promise.all([
+      Post.find(query).sort({ createdAt: -1 }).skip(skip).limit(limit),
+      Post.countDocuments(query),
+    ])
+
+    await AdminAuditLog.record(req, "view_user_posts", user._id)
+
+    res.json({
+      success: true,
+      posts,
+      pagination: paginationResponse(page, limit, total),
+    })
+  } catch (error) {
+    console.error("Admin get user posts error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+}
+
+// @desc    View a user's connections
+// @route   GET /api/admin/users/:id/connections
+// @access  Admin
+const getUserConnections = async (req, res) => {
+  try {
+    const user = await findTargetUser(req, res, "_id")
+    if (!user) return
+
+    const { page, limit, skip } = getPagination(req.query)
+    const query = { $or: [{ requester: user._id }, { recipient: user._id }] }
+    if (req.query.status) query.status = req.query.status
+
+    const [connections, total] = await Promise.all([
+      Connection.find(query)
+        .populate("requester", "name email role")
+        .populate("recipient", "name email role")
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      Connection.countDocuments(query),
+    ])
+
+    await AdminAuditLog.record(req, "view_user_connections", user._id)
+
+    res.json({
+      success: true,
+      connections,
+      pagination: paginationResponse(page, limit, total),
+    })
+  } catch (error) {
+    console.error("Admin get user connections error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+}
+
+// @desc    Browse the admin audit trail
+// @route   GET /api/admin/audit-logs
+// @access  Admin
+const getAuditLogs = async (req, res) => {
+  try {
+    const { adminId, targetUserId, action } = req.query
+    const { page, limit, skip } = getPagination(req.query, 50)
+
+    for (const [name, value] of Object.entries({ adminId, targetUserId })) {
+      if (value && !mongoose.Types.ObjectId.isValid(value)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid ${name}`,
+        })
+      }
+    }
+
+    const query = {}
+    if (adminId) query.adminId = adminId
+    if (targetUserId) query.targetUserId = targetUserId
+    if (typeof action === "string" && action) query.action = action
+
+    const [logs, total] = await Promise.all([
+      AdminAuditLog.find(query)
+        .populate("adminId", "name email")
+        .populate("targetUserId", "name email")
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      AdminAuditLog.countDocuments(query),
+    ])
+
+    res.json({
+      success: true,
+      logs,
+      pagination: paginationResponse(page, limit, total),
+    })
+  } catch (error) {
+    console.error("Admin get audit logs error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+}
+
+module.exports = {
+  getUsers,
+  getUser,
+  suspendUser,
+  reactivateUser,
+  verifyUserEmail,
+  resetTwoFactor,
+  getUserBookings,
+  getUserPosts,
+  getUserConnections,
+  getAuditLogs,
+}
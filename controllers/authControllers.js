@@ -1,60 +1,176 @@
+const mongoose = require("mongoose")
 const User = require("../models/User")
-const jwt = require("jsonwebtoken")
+const Session = require("../models/Session")
+const SecurityEvent = require("../models/SecurityEvent")
 const bcrypt = require("bcryptjs")
-const { OAuth2Client } = require("google-auth-library")
-const nodemailer = require("nodemailer")
 const crypto = require("crypto")
+const {
+  createSession,
+  rotateSession,
+  hashToken,
+  generateChallengeToken,
+  verifyChallengeToken,
+} = require("../utils/tokenUtils")
+const {
+  generateSecret,
+  verifyTOTP,
+  buildOtpauthUrl,
+  generateRecoveryCodes,
+  normalizeRecoveryCode,
+} = require("../utils/totpUtils")
+const {
+  OAUTH_PROVIDERS,
+  verifyGoogleIdToken,
+  getGoogleProfile,
+  getGithubProfile,
+  getLinkedinUserInfo,
+  getLinkedinProfile,
+  getOAuthProfile,
+} = require("../utils/oauthUtils")
+const { sendEmail } = require("../utils/emailUtils")
+const { disconnectUserSockets } = require("../utils/socketUtils")
+const { ROLES, getRoleTransitionImpact, migrateRoleTransition, getOnboardingStatus } = require("../utils/roleUtils")
+const { createNotification } = require("./notificationControllers")
+
+// Start a new session and return its access/refresh token pair
+const issueTokens = async (user, req, method) => {
+  const { accessToken, refreshToken, session } = await createSession(user._id, req)
+  await SecurityEvent.record(req, user._id, "login_success", { method, sessionId: session._id })
+  return { token: accessToken, refreshToken }
+}
 
-// Initialize Google OAuth client
-const googleClient = new OAuth2Client(
-  process.env.GOOGLE_CLIENT_ID,
-  process.env.GOOGLE_CLIENT_SECRET,
-  process.env.GOOGLE_REDIRECT_URI || `${process.env.CLIENT_URL}/auth/google/callback`,
-)
-
-// Initialize nodemailer transporter
-const transporter = nodemailer.createTransport({
-  service: "gmail",
-  auth: {
-    user: process.env.EMAIL_USER,
-    pass: process.env.EMAIL_PASS, // Use app password for Gmail
-  },
-})
-
-// Generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || "7d",
-  })
+// Response returned instead of tokens when the account has 2FA enabled
+const twoFactorChallenge = (user) => {
+  return {
+    success: true,
+    message: "Two-factor authentication required",
+    twoFactorRequired: true,
+    challengeToken: generateChallengeToken(user._id, "2fa_pending"),
+  }
 }
 
+const PASSWORD_RESET_EXPIRE_MINUTES = 30
+const MAGIC_LINK_EXPIRE_MINUTES = 15
+// OAuth-only accounts have no password to re-enter, so sensitive changes need a session this fresh
+const RECENT_LOGIN_MINUTES = 10
+const OTP_EXPIRE_MINUTES = 10
+const OTP_RESEND_COOLDOWN_SECONDS = 60
+
 // Generate OTP
 const generateOTP = () => {
-  return Math.floor(100000 + Math.random() * 900000).toString()
+  return crypto.randomInt(100000, 1000000).toString()
+}
+
+// Response sent when an action is locked after too many failed attempts
+const lockedResponse = (res, user, action, message) => {
+  const lockedUntil = user.lockout[action].lockedUntil
+  return res.status(429).json({
+    success: false,
+    message,
+    locked: true,
+    lockedUntil,
+    retryAfter: Math.ceil((lockedUntil - Date.now()) / 1000),
+  })
+}
+
+// Find the account for an OAuth identity. An account with the same email gets the identity
+// linked to it; otherwise a new account is created. The profile must come from the provider
+// (a verified token or code exchange), and the email is only trusted when the provider has verified it.
+const findOrCreateOAuthUser = async (provider, oauthProfile, role = "developer", req = null) => {
+  const { providerId, email, emailVerified, name, avatar, profileUrl } = oauthProfile
+
+  if (!providerId || !email || !name) {
+    const error = new Error(`Invalid ${provider} profile data`)
+    error.status = 400
+    throw error
+  }
+
+  let user = await User.findByIdentity(provider, providerId)
+  let linkedByEmail = false
+
+  if (!user && !emailVerified) {
+    const error = new Error(`Your ${provider} email address is not verified`)
+    error.status = 403
+    throw error
+  }
+
+  if (!user) {
+    user = await User.findOne({ email: email.toLowerCase() }).select("+password")
+
+    if (user) {
+      // The provider has proven ownership of the email. A password set on an unverified
+      // account could belong to someone else who pre-registered the address, so drop it.
+      if (!user.isVerified) {
+        user.password = undefined
+        user.isVerified = true
+      }
+      user.linkIdentity(provider, providerId)
+      linkedByEmail = true
+    }
+  }
+
+  if (user && !user.isActive) {
+    const error = new Error(
+      user.isPendingDeletion() ? "This account is scheduled for deletion" : "This account has been suspended",
+    )
+    error.status = 403
+    throw error
+  }
+
+  if (user) {
+    user.lastLogin = new Date()
+    if (!user.avatar && avatar) {
+      user.avatar = avatar
+    }
+    if (provider === "github" && !user.profile?.github && profileUrl) {
+      user.profile.github = profileUrl
+    }
+    await user.save()
+    if (linkedByEmail) {
+      await SecurityEvent.record(req, user._id, "provider_link", { provider, automatic: true })
+    }
+    console.log(`Updated existing ${provider} user:`, user.email)
+    return user
+  }
+
+  user = await User.create({
+    name: name.trim(),
+    email: email.toLowerCase(),
+    avatar: avatar || null,
+    identities: [{ provider, providerId: providerId.toString(), linkedAt: new Date() }],
+    role: role || "developer",
+    isVerified: true,
+    profile: provider === "github" && profileUrl ? { github: profileUrl } : undefined,
+    lastLogin: new Date(),
+  })
+  console.log(`Created new ${provider} user:`, user.email)
+  return user
 }
 
-// Send OTP email
-const sendOTPEmail = async (email, otp, name) => {
-  const mailOptions = {
-    from: process.env.EMAIL_USER,
-    to: email,
-    subject: "DevConnect - Email Verification",
-    html: `
-      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-        <h2 style="color: #2563eb;">Welcome to DevConnect!</h2>
-        <p>Hi ${name},</p>
-        <p>Thank you for signing up with DevConnect. Please use the following OTP to verify your email address:</p>
-        <div style="background-color: #f3f4f6; padding: 20px; text-align: center; margin: 20px 0;">
-          <h1 style="color: #2563eb; font-size: 32px; margin: 0;">${otp}</h1>
-        </div>
-        <p>This OTP will expire in 10 minutes.</p>
-        <p>If you didn't create an account with DevConnect, please ignore this email.</p>
-        <p>Best regards,<br>The DevConnect Team</p>
-      </div>
-    `,
+const TWO_FACTOR_SECRET_FIELDS = "+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep"
+const TWO_FACTOR_LOCKED_MESSAGE = "Two-factor verification temporarily locked after too many failed attempts."
+
+// Check a TOTP or recovery code for a user loaded with TWO_FACTOR_SECRET_FIELDS.
+// Marks the code as used on the document; the caller must save the user.
+const verifySecondFactor = (user, { code, recoveryCode }) => {
+  if (code) {
+    const step = verifyTOTP(user.twoFactor.secret, code, user.twoFactor.lastUsedStep ?? -1)
+    if (step === null) return false
+
+    user.twoFactor.lastUsedStep = step
+    return true
+  }
+
+  if (recoveryCode) {
+    const hashedCode = hashToken(normalizeRecoveryCode(recoveryCode))
+    const index = (user.twoFactor.recoveryCodes || []).indexOf(hashedCode)
+    if (index === -1) return false
+
+    user.twoFactor.recoveryCodes.splice(index, 1)
+    return true
   }
 
-  await transporter.sendMail(mailOptions)
+  return false
 }
 
 // @desc    Register user
@@ -90,7 +206,7 @@ const register = async (req, res) => {
 
     // Generate OTP
     const otp = generateOTP()
-    const otpExpires = new Date(Date.now() + 10 * 60 * 1000) // 10 minutes
+    const otpExpires = new Date(Date.now() + OTP_EXPIRE_MINUTES * 60 * 1000)
 
     // Create user with OTP (not verified yet)
     const user = await User.create({
@@ -99,14 +215,15 @@ const register = async (req, res) => {
       password,
       role: "developer",
       isVerified: false,
-      otp,
+      otp: hashToken(otp),
       otpExpires,
+      otpLastSentAt: new Date(),
       lastLogin: new Date(),
     })
 
     // Send OTP email
     try {
-      await sendOTPEmail(email, otp, name)
+      await sendEmail("verification", email, { name, otp, expiresInMinutes: OTP_EXPIRE_MINUTES })
     } catch (emailError) {
       console.error("Failed to send OTP email:", emailError)
       // Delete the user if email sending fails
@@ -157,12 +274,7 @@ const verifyOTP = async (req, res) => {
       })
     }
 
-    // Find user with matching email and OTP
-    const user = await User.findOne({
-      email: email.toLowerCase(),
-      otp,
-      otpExpires: { $gt: new Date() },
-    })
+    const user = await User.findOne({ email: email.toLowerCase() }).select("+otp +otpExpires")
 
     if (!user) {
       return res.status(400).json({
@@ -171,14 +283,44 @@ const verifyOTP = async (req, res) => {
       })
     }
 
+    if (user.isLocked("otp")) {
+      return lockedResponse(res, user, "otp", "Too many failed attempts. Please try again later.")
+    }
+
+    const isOTPValid =
+      !!user.otp && user.otpExpires > new Date() && user.otp === hashToken(otp.toString().trim())
+
+    if (!isOTPValid) {
+      const justLocked = await user.registerFailedAttempt("otp")
+      await SecurityEvent.record(req, user._id, "otp_verification_failure", { locked: justLocked })
+
+      // Force a fresh code once the account locks
+      if (justLocked) {
+        user.otp = undefined
+        user.otpExpires = undefined
+        await user.save()
+
+        return lockedResponse(res, user, "otp", "Too many failed attempts. Please request a new OTP later.")
+      }
+
+      return res.status(400).json({
+        success: false,
+        message: "Invalid or expired OTP",
+        attemptsRemaining: user.getRemainingAttempts("otp"),
+      })
+    }
+
     // Verify user and clear OTP
     user.isVerified = true
     user.otp = undefined
     user.otpExpires = undefined
+    user.resetFailedAttempts("otp")
     await user.save()
 
-    // Generate token
-    const token = generateToken(user._id)
+    await SecurityEvent.record(req, user._id, "otp_verification_success")
+
+    // Generate tokens
+    const { token, refreshToken } = await issueTokens(user, req, "otp")
 
     // Remove password from response
     const userResponse = user.toJSON()
@@ -187,6 +329,7 @@ const verifyOTP = async (req, res) => {
       success: true,
       message: "Email verified successfully",
       token,
+      refreshToken,
       user: userResponse,
     })
   } catch (error) {
@@ -225,16 +368,34 @@ const resendOTP = async (req, res) => {
       })
     }
 
+    if (user.isLocked("otp")) {
+      return lockedResponse(res, user, "otp", "Too many failed attempts. Please try again later.")
+    }
+
+    // Enforce a cooldown between emails
+    if (user.otpLastSentAt) {
+      const secondsSinceLastSend = (Date.now() - user.otpLastSentAt.getTime()) / 1000
+      if (secondsSinceLastSend < OTP_RESEND_COOLDOWN_SECONDS) {
+        const retryAfter = Math.ceil(OTP_RESEND_COOLDOWN_SECONDS - secondsSinceLastSend)
+        return res.status(429).json({
+          success: false,
+          message: `Please wait ${retryAfter} seconds before requesting another OTP`,
+          retryAfter,
+        })
+      }
+    }
+
     // Generate new OTP
     const otp = generateOTP()
-    const otpExpires = new Date(Date.now() + 10 * 60 * 1000) // 10 minutes
+    const otpExpires = new Date(Date.now() + OTP_EXPIRE_MINUTES * 60 * 1000)
 
-    user.otp = otp
+    user.otp = hashToken(otp)
     user.otpExpires = otpExpires
+    user.otpLastSentAt = new Date()
     await user.save()
 
     // Send OTP email
-    await sendOTPEmail(email, otp, user.name)
+    await sendEmail("verification", email, { name: user.name, otp, expiresInMinutes: OTP_EXPIRE_MINUTES })
 
     res.json({
       success: true,
@@ -277,8 +438,17 @@ const login = async (req, res) => {
       })
     }
 
+    // Accounts created through OAuth have no password to check
+    if (!user.password) {
+      await SecurityEvent.record(req, user._id, "login_failure", { method: "password", reason: "no_password" })
+      return res.status(401).json({
+        success: false,
+        message: "Invalid credentials",
+      })
+    }
+
     // Check if user is verified (for local auth)
-    if (user.authProvider === "local" && !user.isVerified) {
+    if (!user.isVerified) {
       return res.status(401).json({
         success: false,
         message: "Please verify your email before logging in",
@@ -287,9 +457,26 @@ const login = async (req, res) => {
       })
     }
 
+    if (user.isLocked("login")) {
+      await SecurityEvent.record(req, user._id, "login_failure", { method: "password", reason: "locked" })
+      return lockedResponse(res, user, "login", "Account temporarily locked after too many failed logins.")
+    }
+
     // Check password
     const isPasswordValid = await user.comparePassword(password)
     if (!isPasswordValid) {
+      const justLocked = await user.registerFailedAttempt("login")
+
+      await SecurityEvent.record(req, user._id, "login_failure", {
+        method: "password",
+        reason: "invalid_password",
+        locked: justLocked,
+      })
+
+      if (justLocked) {
+        return lockedResponse(res, user, "login", "Account temporarily locked after too many failed logins.")
+      }
+
       return res.status(401).json({
         success: false,
         message: "Invalid credentials",
@@ -298,10 +485,16 @@ const login = async (req, res) => {
 
     // Update last login
     user.lastLogin = new Date()
+    user.resetFailedAttempts("login")
     await user.save()
 
-    // Generate token
-    const token = generateToken(user._id)
+    // Accounts with 2FA must complete a second step before receiving tokens
+    if (user.twoFactor?.enabled) {
+      return res.json(twoFactorChallenge(user))
+    }
+
+    // Generate tokens
+    const { token, refreshToken } = await issueTokens(user, req, "password")
 
     // Remove password from response
     const userResponse = user.toJSON()
@@ -310,6 +503,7 @@ const login = async (req, res) => {
       success: true,
       message: "Login successful",
       token,
+      refreshToken,
       user: userResponse,
     })
   } catch (error) {
@@ -338,6 +532,7 @@ const getCurrentUser = async (req, res) => {
     res.json({
       success: true,
       user,
+      lockStatus: user.getLockStatus(),
     })
   } catch (error) {
     console.error("Get current user error:", error)
@@ -353,6 +548,12 @@ const getCurrentUser = async (req, res) => {
 // @access  Private
 const logout = async (req, res) => {
   try {
+    const session = await Session.findById(req.user.sessionId)
+
+    if (session && !session.revokedAt) {
+      await session.revoke("logout")
+    }
+
     res.json({
       success: true,
       message: "Logged out successfully",
@@ -366,69 +567,156 @@ const logout = async (req, res) => {
   }
 }
 
-// @desc    Google OAuth
-// @route   POST /api/auth/google
-// @access  Public
-const googleAuth = async (req, res) => {
+// @desc    Logout from all devices
+// @route   POST /api/auth/logout-all
+// @access  Private
+const logoutAll = async (req, res) => {
+  try {
+    const result = await Session.revokeAllForUser(req.user.userId, "logout_all")
+
+    const io = req.app.get("io")
+    if (io) {
+      await disconnectUserSockets(io, req.user.userId)
+    }
+
+    res.json({
+      success: true,
+      message: "Logged out from all devices successfully",
+      revokedSessions: result.modifiedCount,
+    })
+  } catch (error) {
+    console.error("Logout all error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+}
+
+// @desc    List active sessions (signed-in devices)
+// @route   GET /api/auth/sessions
+// @access  Private
+const getSessions = async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      userId: req.user.userId,
+      revokedAt: { $exists: false },
+      expiresAt: { $gt: new Date() },
+    }).sort({ lastUsedAt: -1 })
+
+    // Sessions with a live socket connection right now
+    const onlineSessionIds = new Set()
+    const io = req.app.get("io")
+    if (io) {
+      const sockets = await io.in(`user_${req.user.userId}`).fetchSockets()
+      sockets
+        .filter((socket) => socket.data.userId === req.user.userId)
+        .forEach((socket) => onlineSessionIds.add(socket.data.sessionId))
+    }
+
+    res.json({
+      success: true,
+      sessions: sessions.map((session) => ({
+        _id: session._id,
+        device: session.device,
+        userAgent: session.userAgent,
+        ipAddress: session.ipAddress,
+        lastSeenIp: session.lastSeenIp || session.ipAddress,
+        createdAt: session.createdAt,
+        lastSeenAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        current: session._id.toString() === req.user.sessionId,
+        online: onlineSessionIds.has(session._id.toString()),
+      })),
+    })
+  } catch (error) {
+    console.error("Get sessions error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+}
+
+// @desc    Sign out a single device
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+const revokeSession = async (req, res) => {
   try {
-    const { token, profile } = req.body
+    const { id } = req.params
 
-    if (!token || !profile) {
+    if (id === req.user.sessionId) {
       return res.status(400).json({
         success: false,
-        message: "Google token and profile are required",
+        message: "Use logout to end the current session",
       })
     }
 
-    const { email, name, picture, sub } = profile
+    const session = mongoose.Types.ObjectId.isValid(id)
+      ? await Session.findOne({ _id: id, userId: req.user.userId })
+      : null
 
-    if (!email || !name) {
-      return res.status(400).json({
+    if (!session || !session.isValid()) {
+      return res.status(404).json({
         success: false,
-        message: "Invalid Google profile data",
+        message: "Session not found",
       })
     }
 
-    // Check if user exists
-    let user = await User.findOne({
-      $or: [{ email: email.toLowerCase() }, { providerId: sub, authProvider: "google" }],
-    })
+    await session.revoke("revoked_by_user")
 
-    if (user) {
-      // Update existing user
-      user.lastLogin = new Date()
-      if (!user.avatar && picture) {
-        user.avatar = picture
-      }
-      await user.save()
-    } else {
-      // Create new user with default role
-      user = await User.create({
-        name: name.trim(),
-        email: email.toLowerCase(),
-        avatar: picture || null,
-        authProvider: "google",
-        providerId: sub,
-        role: "developer",
-        isVerified: true,
-        lastLogin: new Date(),
-      })
+    const io = req.app.get("io")
+    if (io) {
+      await disconnectUserSockets(io, req.user.userId, session._id)
     }
 
-    // Generate token
-    const jwtToken = generateToken(user._id)
+    res.json({
+      success: true,
+      message: "Session revoked",
+    })
+  } catch (error) {
+    console.error("Revoke session error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+}
+
+// @desc    Get the current user's security event history
+// @route   GET /api/auth/security-events
+// @access  Private
+const getSecurityEvents = async (req, res) => {
+  try {
+    const { type, page = 1, limit = 20 } = req.query
+    const pageNumber = Math.max(Number.parseInt(page) || 1, 1)
+    const pageSize = Math.min(Math.max(Number.parseInt(limit) || 20, 1), 100)
+
+    const query = { userId: req.user.userId }
+    if (type) {
+      query.type = type
+    }
 
-    // Remove password from response
-    const userResponse = user.toJSON()
+    const [events, total] = await Promise.all([
+      SecurityEvent.find(query)
+        .select("-userId -expiresAt")
+        .sort({ createdAt: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize),
+      SecurityEvent.countDocuments(query),
+    ])
 
     res.json({
       success: true,
-      message: "Google authentication successful",
-      token: jwtToken,
-      user: userResponse,
+      events,
+      pagination: {
+        current: pageNumber,
+        pages: Math.ceil(total / pageSize),
+        total,
+      },
     })
   } catch (error) {
-    console.error("Google auth error:", error)
+    console.error("Get security events error:", error)
     res.status(500).json({
       success: false,
       message: "Server error",
@@ -436,95 +724,137 @@ const googleAuth = async (req, res) => {
   }
 }
 
-// @desc    Google OAuth Callback
-// @route   POST /api/auth/google/callback
+// @desc    Refresh access token
+// @route   POST /api/auth/refresh
 // @access  Public
-const googleCallback = async (req, res) => {
+const refreshToken = async (req, res) => {
   try {
-    const { code, role = "developer", isLogin = true } = req.body
-
-    console.log("Google callback received:", { code: code ? "present" : "missing", role, isLogin })
+    const { refreshToken: presentedToken } = req.body
 
-    if (!code) {
+    if (!presentedToken) {
       return res.status(400).json({
         success: false,
-        message: "Authorization code is required",
+        message: "Refresh token is required",
       })
     }
 
-    if (!process.env.GOOGLE_CLIENT_ID || !process.env.GOOGLE_CLIENT_SECRET) {
-      console.error("Missing Google OAuth credentials")
-      return res.status(500).json({
+    let rotated
+    try {
+      rotated = await rotateSession(presentedToken, req.ip)
+    } catch (tokenError) {
+      return res.status(401).json({
         success: false,
-        message: "Server configuration error",
+        message: tokenError.message,
       })
     }
 
-    const oauth2Client = new OAuth2Client(
-      process.env.GOOGLE_CLIENT_ID,
-      process.env.GOOGLE_CLIENT_SECRET,
-      process.env.GOOGLE_REDIRECT_URI || `${process.env.CLIENT_URL}/auth/google/callback`,
-    )
-
-    const { tokens } = await oauth2Client.getToken(code)
-    oauth2Client.setCredentials(tokens)
+    const user = await User.findOne({ _id: rotated.session.userId, isActive: true })
+    if (!user) {
+      await rotated.session.revoke("logout")
+      return res.status(401).json({
+        success: false,
+        message: "User not found",
+      })
+    }
 
-    const ticket = await oauth2Client.verifyIdToken({
-      idToken: tokens.id_token,
-      audience: process.env.GOOGLE_CLIENT_ID,
+    res.json({
+      success: true,
+      token: rotated.accessToken,
+      refreshToken: rotated.refreshToken,
     })
+  } catch (error) {
+    console.error("Refresh token error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+}
 
-    const payload = ticket.getPayload()
-    const { sub, email, name, picture } = payload
-
-    console.log("Google user info:", { sub, email, name, picture: picture ? "present" : "missing" })
+// @desc    Google OAuth
+// @route   POST /api/auth/google
+// @access  Public
+const googleAuth = async (req, res) => {
+  try {
+    const { token } = req.body
 
-    if (!email || !name) {
+    if (!token || typeof token !== "string") {
       return res.status(400).json({
         success: false,
-        message: "Invalid Google profile data",
+        message: "Google ID token is required",
       })
     }
 
-    let user = await User.findOne({
-      $or: [{ email: email.toLowerCase() }, { providerId: sub, authProvider: "google" }],
+    // The profile is read from the verified token; a profile sent by the client is ignored
+    const oauthProfile = await verifyGoogleIdToken(token)
+    const user = await findOrCreateOAuthUser("google", oauthProfile, "developer", req)
+
+    // Accounts with 2FA must complete a second step before receiving tokens
+    if (user.twoFactor?.enabled) {
+      return res.json(twoFactorChallenge(user))
+    }
+
+    // Generate tokens
+    const { token: jwtToken, refreshToken } = await issueTokens(user, req, "google")
+
+    // Remove password from response
+    const userResponse = user.toJSON()
+
+    res.json({
+      success: true,
+      message: "Google authentication successful",
+      token: jwtToken,
+      refreshToken,
+      user: userResponse,
+    })
+  } catch (error) {
+    console.error("Google auth error:", error)
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : "Server error",
     })
+  }
+}
 
-    if (user) {
-      user.lastLogin = new Date()
-      if (!user.avatar && picture) {
-        user.avatar = picture
-      }
-      await user.save()
-      console.log("Updated existing user:", user.email)
-    } else {
-      user = await User.create({
-        name: name.trim(),
-        email: email.toLowerCase(),
-        avatar: picture || null,
-        authProvider: "google",
-        providerId: sub,
-        role: role || "developer",
-        isVerified: true,
-        lastLogin: new Date(),
+// @desc    Google OAuth Callback
+// @route   POST /api/auth/google/callback
+// @access  Public
+const googleCallback = async (req, res) => {
+  try {
+    const { code, role = "developer", isLogin = true } = req.body
+
+    console.log("Google callback received:", { code: code ? "present" : "missing", role, isLogin })
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        message: "Authorization code is required",
       })
-      console.log("Created new user:", user.email)
     }
 
-    const jwtToken = generateToken(user._id)
+    const oauthProfile = await getGoogleProfile(code)
+    const user = await findOrCreateOAuthUser("google", oauthProfile, role, req)
+
+    // Accounts with 2FA must complete a second step before receiving tokens
+    if (user.twoFactor?.enabled) {
+      return res.json(twoFactorChallenge(user))
+    }
+
+    const { token: jwtToken, refreshToken } = await issueTokens(user, req, "google")
     const userResponse = user.toJSON()
 
     res.json({
       success: true,
       message: "Google authentication successful",
       token: jwtToken,
+      refreshToken,
       user: userResponse,
     })
   } catch (error) {
     console.error("Google callback error:", error)
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
-      message: "Server error: " + error.message,
+      message: error.status ? error.message : "Server error: " + error.message,
     })
   }
 }
@@ -557,229 +887,168 @@ const githubCallback = async (req, res) => {
       })
     }
 
-    const clientId = process.env.GITHUB_CLIENT_ID
-    const clientSecret = process.env.GITHUB_CLIENT_SECRET
+    const oauthProfile = await getGithubProfile(code)
+    const user = await findOrCreateOAuthUser("github", oauthProfile, role, req)
 
-    if (!clientId || !clientSecret) {
-      console.error("Missing GitHub OAuth credentials")
-      return res.status(500).json({
-        success: false,
-        message: "Server configuration error: Missing GitHub credentials",
-      })
-    }
+    // Accounts with 2FA must complete a second step before receiving tokens
+    if (user.twoFactor?.enabled) {
+      const challenge = twoFactorChallenge(user)
 
-    // Exchange code for access token
-    const tokenResponse = await fetch("https://github.com/login/oauth/access_token", {
-      method: "POST",
-      headers: {
-        Accept: "application/json",
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify({
-        client_id: clientId,
-        client_secret: clientSecret,
-        code: code,
-      }),
-    })
+      if (req.method === "GET") {
+        const frontendUrl = process.env.FRONTEND_URL || "https://dev-connect1.netlify.app"
+        return res.redirect(`${frontendUrl}/auth/2fa?challengeToken=${challenge.challengeToken}`)
+      }
 
-    if (!tokenResponse.ok) {
-      const errorText = await tokenResponse.text()
-      console.error("GitHub token exchange failed:", errorText)
-      return res.status(400).json({
-        success: false,
-        message: "Failed to exchange authorization code",
-      })
+      return res.json(challenge)
     }
 
-    const tokenData = await tokenResponse.json()
-    console.log("GitHub token data received:", {
-      access_token: tokenData.access_token ? "present" : "missing",
-    })
+    // Generate JWT tokens
+    const { token: jwtToken, refreshToken } = await issueTokens(user, req, "github")
+    const userResponse = user.toJSON()
 
-    if (!tokenData.access_token) {
-      return res.status(400).json({
-        success: false,
-        message: "No access token received from GitHub",
-      })
+    if (req.method === "GET") {
+      const frontendUrl = process.env.FRONTEND_URL || "https://dev-connect1.netlify.app"
+      const redirectUrl = `${frontendUrl}/auth/github/callback?token=${jwtToken}&refreshToken=${encodeURIComponent(refreshToken)}&user=${encodeURIComponent(JSON.stringify(userResponse))}`
+      return res.redirect(redirectUrl)
     }
 
-    // Get user profile from GitHub
-    const profileResponse = await fetch("https://api.github.com/user", {
-      headers: {
-        Authorization: `Bearer ${tokenData.access_token}`,
-        "User-Agent": "DevConnect-App",
-      },
+    // For POST requests, return JSON response
+    res.json({
+      success: true,
+      message: "GitHub authentication successful",
+      token: jwtToken,
+      refreshToken,
+      user: userResponse,
     })
+  } catch (error) {
+    console.error("GitHub callback error:", error)
 
-    if (!profileResponse.ok) {
-      const errorText = await profileResponse.text()
-      console.error("Failed to fetch GitHub profile:", errorText)
-      return res.status(400).json({
-        success: false,
-        message: "Failed to fetch user profile from GitHub",
-      })
+    if (req.method === "GET") {
+      const frontendUrl = process.env.FRONTEND_URL || "https://dev-connect1.netlify.app"
+      const errorUrl = `${frontendUrl}/auth?error=${encodeURIComponent(error.message || "Authentication failed")}`
+      return res.redirect(errorUrl)
     }
 
-    const profile = await profileResponse.json()
-
-    // Get user email (GitHub API requires separate call for email)
-    const emailResponse = await fetch("https://api.github.com/user/emails", {
-      headers: {
-        Authorization: `Bearer ${tokenData.access_token}`,
-        "User-Agent": "DevConnect-App",
-      },
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : "Server error: " + error.message,
     })
+  }
+}
 
-    let email = profile.email
-    if (!email && emailResponse.ok) {
-      const emails = await emailResponse.json()
-      const primaryEmail = emails.find((e) => e.primary && e.verified)
-      email = primaryEmail ? primaryEmail.email : emails[0]?.email
-    }
-
-    console.log("GitHub profile received:", {
-      id: profile.id,
-      login: profile.login,
-      name: profile.name,
-      email: email,
-      avatar_url: profile.avatar_url ? "present" : "missing",
-    })
+// @desc    LinkedIn OAuth
+// @route   POST /api/auth/linkedin
+// @access  Public
+const linkedinAuth = async (req, res) => {
+  try {
+    const { token } = req.body
 
-    if (!email) {
+    if (!token || typeof token !== "string") {
       return res.status(400).json({
         success: false,
-        message: "No verified email found in GitHub account",
+        message: "LinkedIn access token is required",
       })
     }
 
-    const name = profile.name || profile.login
-    const { id, avatar_url, html_url } = profile
-
-    // Check if user exists
-    let user = await User.findOne({
-      $or: [{ email: email.toLowerCase() }, { providerId: id.toString(), authProvider: "github" }],
-    })
+    // The profile is fetched from LinkedIn with the token; a profile sent by the client is ignored
+    const oauthProfile = await getLinkedinUserInfo(token)
+    const user = await findOrCreateOAuthUser("linkedin", oauthProfile, "developer", req)
 
-    if (user) {
-      // Update existing user
-      user.lastLogin = new Date()
-      if (!user.avatar && avatar_url) {
-        user.avatar = avatar_url
-      }
-      if (!user.profile?.github && html_url) {
-        if (!user.profile) user.profile = {}
-        user.profile.github = html_url
-      }
-      await user.save()
-      console.log("Updated existing GitHub user:", user.email)
-    } else {
-      // Create new user
-      user = await User.create({
-        name: name.trim(),
-        email: email.toLowerCase(),
-        avatar: avatar_url || null,
-        authProvider: "github",
-        providerId: id.toString(),
-        role: role || "developer",
-        isVerified: true,
-        profile: {
-          github: html_url,
-        },
-        lastLogin: new Date(),
-      })
-      console.log("Created new GitHub user:", user.email)
+    // Accounts with 2FA must complete a second step before receiving tokens
+    if (user.twoFactor?.enabled) {
+      return res.json(twoFactorChallenge(user))
     }
 
-    // Generate JWT token
-    const jwtToken = generateToken(user._id)
+    const { token: jwtToken, refreshToken } = await issueTokens(user, req, "linkedin")
     const userResponse = user.toJSON()
 
-    if (req.method === "GET") {
-      const frontendUrl = process.env.FRONTEND_URL || "https://dev-connect1.netlify.app"
-      const redirectUrl = `${frontendUrl}/auth/github/callback?token=${jwtToken}&user=${encodeURIComponent(JSON.stringify(userResponse))}`
-      return res.redirect(redirectUrl)
-    }
-
-    // For POST requests, return JSON response
     res.json({
       success: true,
-      message: "GitHub authentication successful",
+      message: "LinkedIn authentication successful",
       token: jwtToken,
+      refreshToken,
       user: userResponse,
     })
   } catch (error) {
-    console.error("GitHub callback error:", error)
-
-    if (req.method === "GET") {
-      const frontendUrl = process.env.FRONTEND_URL || "https://dev-connect1.netlify.app"
-      const errorUrl = `${frontendUrl}/auth?error=${encodeURIComponent(error.message || "Authentication failed")}`
-      return res.redirect(errorUrl)
-    }
-
-    res.status(500).json({
+    console.error("LinkedIn auth error:", error)
+    res.status(error.status || 500).json({
       success: false,
-      message: "Server error: " + error.message,
+      message: error.status ? error.message : "Server error",
     })
   }
 }
 
-// @desc    LinkedIn OAuth
-// @route   POST /api/auth/linkedin
-// @access  Public
-const linkedinAuth = async (req, res) => {
+const linkedinCallback = async (req, res) => {
   try {
-    const { token, profile } = req.body
-
-    if (!token || !profile) {
-      return res.status(400).json({
-        success: false,
-        message: "LinkedIn token and profile are required",
-      })
-    }
+    const { code, role = "developer", isLogin = true } = req.body
 
-    const { email, name, picture, id } = profile
+    console.log("LinkedIn callback received:", {
+      code: code ? "present" : "missing",
+      codeLength: code ? code.length : 0,
+      role,
+      isLogin,
+    })
 
-    if (!email || !name) {
+    if (!code) {
       return res.status(400).json({
         success: false,
-        message: "Invalid LinkedIn profile data",
+        message: "Authorization code is required",
       })
     }
 
-    let user = await User.findOne({
-      $or: [{ email: email.toLowerCase() }, { providerId: id, authProvider: "linkedin" }],
-    })
+    const oauthProfile = await getLinkedinProfile(code)
+    const user = await findOrCreateOAuthUser("linkedin", oauthProfile, role, req)
 
-    if (user) {
-      user.lastLogin = new Date()
-      if (!user.avatar && picture) {
-        user.avatar = picture
-      }
-      await user.save()
-    } else {
-      user = await User.create({
-        name: name.trim(),
-        email: email.toLowerCase(),
-        avatar: picture || null,
-        authProvider: "linkedin",
-        providerId: id,
-        role: "developer",
-        isVerified: true,
-        lastLogin: new Date(),
-      })
+    // Accounts with 2FA must complete a second step before receiving tokens
+    if (user.twoFactor?.enabled) {
+      return res.json(twoFactorChallenge(user))
     }
 
-    const jwtToken = generateToken(user._id)
+    const { token: jwtToken, refreshToken } = await issueTokens(user, req, "linkedin")
     const userResponse = user.toJSON()
 
+    console.log("LinkedIn authentication successful for:", user.email)
+
     res.json({
       success: true,
       message: "LinkedIn authentication successful",
       token: jwtToken,
+      refreshToken,
       user: userResponse,
     })
   } catch (error) {
-    console.error("LinkedIn auth error:", error)
+    console.error("LinkedIn callback error:", error)
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : "Server error: " + error.message,
+    })
+  }
+}
+
+// @desc    List linked sign-in providers
+// @route   GET /api/auth/providers
+// @access  Private
+const getLinkedProviders = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId).select("+password")
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      })
+    }
+
+    res.json({
+      success: true,
+      hasPassword: !!user.password,
+      providers: user.identities.map((identity) => ({
+        provider: identity.provider,
+        linkedAt: identity.linkedAt,
+      })),
+    })
+  } catch (error) {
+    console.error("Get linked providers error:", error)
     res.status(500).json({
       success: false,
       message: "Server error",
@@ -787,16 +1056,20 @@ const linkedinAuth = async (req, res) => {
   }
 }
 
-const linkedinCallback = async (req, res) => {
+// @desc    Link an OAuth provider to the current account
+// @route   POST /api/auth/providers/:provider/link
+// @access  Private
+const linkProvider = async (req, res) => {
   try {
-    const { code, role = "developer", isLogin = true } = req.body
+    const { provider } = req.params
+    const { code } = req.body
 
-    console.log("LinkedIn callback received:", {
-      code: code ? "present" : "missing",
-      codeLength: code ? code.length : 0,
-      role,
-      isLogin,
-    })
+    if (!OAUTH_PROVIDERS.includes(provider)) {
+      return res.status(400).json({
+        success: false,
+        message: `Provider must be one of: ${OAUTH_PROVIDERS.join(", ")}`,
+      })
+    }
 
     if (!code) {
       return res.status(400).json({
@@ -805,149 +1078,104 @@ const linkedinCallback = async (req, res) => {
       })
     }
 
-    const clientId = process.env.LINKEDIN_CLIENT_ID
-    const clientSecret = process.env.LINKEDIN_CLIENT_SECRET
-    const redirectUri = process.env.LINKEDIN_REDIRECT_URI || `${process.env.CLIENT_URL}/auth/linkedin/callback`
-
-    console.log("LinkedIn OAuth config:", {
-      clientId: clientId ? `${clientId.substring(0, 8)}...` : "missing",
-      clientSecret: clientSecret ? "present" : "missing",
-      redirectUri,
-    })
+    const user = await User.findById(req.user.userId)
 
-    if (!clientId || !clientSecret) {
-      console.error("Missing LinkedIn OAuth credentials")
-      return res.status(500).json({
+    if (!user) {
+      return res.status(404).json({
         success: false,
-        message: "Server configuration error: Missing LinkedIn credentials",
+        message: "User not found",
       })
     }
 
-    console.log("Exchanging code for token...")
-    const tokenResponse = await fetch("https://www.linkedin.com/oauth/v2/accessToken", {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/x-www-form-urlencoded",
-      },
-      body: new URLSearchParams({
-        grant_type: "authorization_code",
-        code: code,
-        client_id: clientId,
-        client_secret: clientSecret,
-        redirect_uri: redirectUri,
-      }),
-    })
-
-    console.log("Token response status:", tokenResponse.status)
-
-    if (!tokenResponse.ok) {
-      const errorText = await tokenResponse.text()
-      console.error("LinkedIn token exchange failed:", errorText)
+    if (user.hasIdentity(provider)) {
+      return res.status(400).json({
+        success: false,
+        message: `A ${provider} account is already linked`,
+      })
+    }
 
-      let errorMessage = "Failed to exchange authorization code"
-      try {
-        const errorJson = JSON.parse(errorText)
-        errorMessage = errorJson.error_description || errorJson.error || errorMessage
-      } catch (e) {
-        errorMessage = errorText || errorMessage
-      }
+    const oauthProfile = await getOAuthProfile(provider, code)
 
-      return res.status(400).json({
+    const owner = await User.findByIdentity(provider, oauthProfile.providerId)
+    if (owner) {
+      return res.status(409).json({
         success: false,
-        message: errorMessage,
+        message: `This ${provider} account is already linked to another user`,
       })
     }
 
-    const tokenData = await tokenResponse.json()
-    console.log("Token data received:", {
-      access_token: tokenData.access_token ? "present" : "missing",
-      expires_in: tokenData.expires_in,
-    })
+    user.linkIdentity(provider, oauthProfile.providerId)
+    if (provider === "github" && !user.profile?.github && oauthProfile.profileUrl) {
+      user.profile.github = oauthProfile.profileUrl
+    }
+    await user.save()
 
-    const accessToken = tokenData.access_token
+    await SecurityEvent.record(req, user._id, "provider_link", { provider })
 
-    console.log("Fetching user profile...")
-    const profileResponse = await fetch("https://api.linkedin.com/v2/userinfo", {
-      headers: {
-        Authorization: `Bearer ${accessToken}`,
-        "X-Restli-Protocol-Version": "2.0.0",
-      },
+    res.json({
+      success: true,
+      message: `${provider} account linked successfully`,
+      providers: user.identities.map((identity) => ({
+        provider: identity.provider,
+        linkedAt: identity.linkedAt,
+      })),
+    })
+  } catch (error) {
+    console.error("Link provider error:", error)
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : "Server error",
     })
+  }
+}
 
-    console.log("Profile response status:", profileResponse.status)
+// @desc    Unlink an OAuth provider from the current account
+// @route   DELETE /api/auth/providers/:provider
+// @access  Private
+const unlinkProvider = async (req, res) => {
+  try {
+    const { provider } = req.params
+    const user = await User.findById(req.user.userId).select("+password")
 
-    if (!profileResponse.ok) {
-      const errorText = await profileResponse.text()
-      console.error("Failed to fetch LinkedIn profile:", errorText)
-      return res.status(400).json({
+    if (!user) {
+      return res.status(404).json({
         success: false,
-        message: "Failed to fetch user profile from LinkedIn",
+        message: "User not found",
       })
     }
 
-    const profile = await profileResponse.json()
-    console.log("LinkedIn profile received:", {
-      sub: profile.sub,
-      email: profile.email,
-      name: profile.name,
-      picture: profile.picture ? "present" : "missing",
-    })
-
-    const { sub, email, name, picture } = profile
-
-    if (!email || !name) {
-      console.error("Invalid LinkedIn profile data:", profile)
-      return res.status(400).json({
+    if (!user.hasIdentity(provider)) {
+      return res.status(404).json({
         success: false,
-        message: "Invalid LinkedIn profile data - missing email or name",
+        message: `No ${provider} account is linked`,
       })
     }
 
-    let user = await User.findOne({
-      $or: [{ email: email.toLowerCase() }, { providerId: sub, authProvider: "linkedin" }],
-    })
-
-    if (user) {
-      user.lastLogin = new Date()
-      if (!user.avatar && picture) {
-        user.avatar = picture
-      }
-      if (!user.providerId || !user.authProvider) {
-        user.providerId = sub
-        user.authProvider = "linkedin"
-      }
-      await user.save()
-      console.log("Updated existing LinkedIn user:", user.email)
-    } else {
-      user = await User.create({
-        name: name.trim(),
-        email: email.toLowerCase(),
-        avatar: picture || null,
-        authProvider: "linkedin",
-        providerId: sub,
-        role: role || "developer",
-        isVerified: true,
-        lastLogin: new Date(),
+    if (user.countSignInMethods() <= 1) {
+      return res.status(400).json({
+        success: false,
+        message: "Cannot unlink your only sign-in method. Set a password or link another provider first.",
       })
-      console.log("Created new LinkedIn user:", user.email)
     }
 
-    const jwtToken = generateToken(user._id)
-    const userResponse = user.toJSON()
+    user.identities = user.identities.filter((identity) => identity.provider !== provider)
+    await user.save()
 
-    console.log("LinkedIn authentication successful for:", user.email)
+    await SecurityEvent.record(req, user._id, "provider_unlink", { provider })
 
     res.json({
       success: true,
-      message: "LinkedIn authentication successful",
-      token: jwtToken,
-      user: userResponse,
+      message: `${provider} account unlinked successfully`,
+      providers: user.identities.map((identity) => ({
+        provider: identity.provider,
+        linkedAt: identity.linkedAt,
+      })),
     })
   } catch (error) {
-    console.error("LinkedIn callback error:", error)
+    console.error("Unlink provider error:", error)
     res.status(500).json({
       success: false,
-      message: "Server error: " + error.message,
+      message: "Server error",
     })
   }
 }
@@ -982,7 +1210,7 @@ const changePassword = async (req, res) => {
       })
     }
 
-    if (user.authProvider !== "local" || !user.password) {
+    if (!user.password) {
       return res.status(400).json({
         success: false,
         message: "Password change not available for social login accounts",
@@ -1000,6 +1228,10 @@ const changePassword = async (req, res) => {
     user.password = newPassword
     await user.save()
 
+    // Sign out every other device that may still hold the old credentials
+    await Session.revokeAllForUser(user._id, "password_change", req.user.sessionId)
+    await SecurityEvent.record(req, user._id, "password_change")
+
     res.json({
       success: true,
       message: "Password changed successfully",
@@ -1013,21 +1245,22 @@ const changePassword = async (req, res) => {
   }
 }
 
-// @desc    Update user role
-// @route   PUT /api/auth/role
+// @desc    Start an email address change
+// @route   POST /api/auth/email
 // @access  Private
-const updateRole = async (req, res) => {
+const requestEmailChange = async (req, res) => {
   try {
-    const { role } = req.body
+    const { newEmail, password } = req.body
 
-    if (!role || !["developer", "recruiter", "company"].includes(role)) {
+    const normalizedEmail = newEmail?.trim().toLowerCase()
+    if (!User.isValidEmail(normalizedEmail)) {
       return res.status(400).json({
         success: false,
-        message: "Valid role is required (developer, recruiter, or company)",
+        message: "A valid new email address is required",
       })
     }
 
-    const user = await User.findById(req.user.userId)
+    const user = await User.findById(req.user.userId).select("+password")
 
     if (!user) {
       return res.status(404).json({
@@ -1036,18 +1269,867 @@ const updateRole = async (req, res) => {
       })
     }
 
-    user.role = role
+    if (normalizedEmail === user.email) {
+      return res.status(400).json({
+        success: false,
+        message: "New email must be different from your current email",
+      })
+    }
+
+    if (user.password) {
+      if (!password || !(await user.comparePassword(password))) {
+        return res.status(400).json({
+          success: false,
+          message: "Current password is incorrect",
+        })
+      }
+    } else {
+      const session = await Session.findById(req.user.sessionId)
+      if (!session || Date.now() - session.createdAt > RECENT_LOGIN_MINUTES * 60 * 1000) {
+        return res.status(403).json({
+          success: false,
+          message: "Please sign in again before changing your email",
+          reauthenticationRequired: true,
+        })
+      }
+    }
+
+    // Whether the address is taken is only checked on confirmation, so this can't be used to probe for accounts
+    const code = generateOTP()
+    user.emailChange = {
+      newEmail: normalizedEmail,
+      code: hashToken(code),
+      expiresAt: new Date(Date.now() + OTP_EXPIRE_MINUTES * 60 * 1000),
+      failedAttempts: 0,
+    }
     await user.save()
 
-    const userResponse = user.toJSON()
+    try {
+      await sendEmail("emailChangeCode", normalizedEmail, {
+        name: user.name,
+        newEmail: normalizedEmail,
+        code,
+        expiresInMinutes: OTP_EXPIRE_MINUTES,
+      })
+    } catch (emailError) {
+      console.error("Failed to send email change code:", emailError)
+      user.emailChange = undefined
+      await user.save()
+      return res.status(500).json({
+        success: false,
+        message: "Failed to send verification code. Please try again.",
+      })
+    }
+
+    try {
+      await sendEmail("emailChangeRequested", user.email, { name: user.name, newEmail: normalizedEmail })
+    } catch (emailError) {
+      console.error("Failed to send email change notice:", emailError)
+    }
 
     res.json({
       success: true,
-      message: "Role updated successfully",
-      user: userResponse,
+      message: `A verification code has been sent to ${normalizedEmail}`,
+      pendingEmail: normalizedEmail,
     })
   } catch (error) {
-    console.error("Update role error:", error)
+    console.error("Request email change error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+}
+
+// @desc    Confirm an email address change with the code sent to the new address
+// @route   POST /api/auth/email/confirm
+// @access  Private
+const confirmEmailChange = async (req, res) => {
+  try {
+    const { code } = req.body
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        message: "Verification code is required",
+      })
+    }
+
+    const user = await User.findById(req.user.userId).select("+emailChange.code")
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      })
+    }
+
+    if (!user.emailChange?.newEmail || !user.emailChange.code || user.emailChange.expiresAt < new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: "No pending email change or the code has expired",
+      })
+    }
+
+    if (user.emailChange.code !== hashToken(code.toString())) {
+      const discarded = user.registerFailedEmailChangeAttempt()
+      await user.save()
+
+      return res.status(400).json({
+        success: false,
+        message: discarded ? "Too many incorrect codes. Please start the email change again." : "Invalid verification code",
+      })
+    }
+
+    const previousEmail = user.email
+    const newEmail = user.emailChange.newEmail
+
+    const emailTaken = await User.exists({ email: newEmail, _id: { $ne: user._id } })
+    if (emailTaken) {
+      user.emailChange = undefined
+      await user.save()
+      return res.status(409).json({
+        success: false,
+        message: "This email address is already in use",
+      })
+    }
+
+    user.email = newEmail
+    user.isVerified = true
+    user.emailChange = undefined
+
+    try {
+      await user.save()
+    } catch (saveError) {
+      // Another account claimed the address between the check and the save
+      if (saveError.code === 11000) {
+        return res.status(409).json({
+          success: false,
+          message: "This email address is already in use",
+        })
+      }
+      throw saveError
+    }
+
+    // Sign out other devices now that the account email has changed
+    await Session.revokeAllForUser(user._id, "email_change", req.user.sessionId)
+    await SecurityEvent.record(req, user._id, "email_change", { previousEmail, newEmail })
+
+    try {
+      await sendEmail("emailChanged", previousEmail, { name: user.name, newEmail })
+    } catch (emailError) {
+      console.error("Failed to send email changed notice:", emailError)
+    }
+
+    res.json({
+      success: true,
+      message: "Email address updated successfully",
+      user: user.toJSON(),
+    })
+  } catch (error) {
+    console.error("Confirm email change error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+}
+
+// @desc    Request password reset email
+// @route   POST /api/auth/forgot-password
+// @access  Public
+const forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: "Email is required",
+      })
+    }
+
+    // Same response whether or not the account exists, to avoid leaking registered emails
+    const genericResponse = {
+      success: true,
+      message: "If an account exists for this email, a password reset link has been sent.",
+    }
+
+    const user = await User.findOne({ email: email.toLowerCase(), isActive: true })
+    if (!user) {
+      return res.json(genericResponse)
+    }
+
+    const resetToken = crypto.randomBytes(32).toString("hex")
+    user.passwordResetToken = hashToken(resetToken)
+    user.passwordResetExpires = new Date(Date.now() + PASSWORD_RESET_EXPIRE_MINUTES * 60 * 1000)
+    await user.save()
+
+    const resetUrl = `${process.env.CLIENT_URL}/reset-password?token=${resetToken}&email=${encodeURIComponent(user.email)}`
+
+    try {
+      await sendEmail("passwordReset", user.email, {
+        name: user.name,
+        resetUrl,
+        expiresInMinutes: PASSWORD_RESET_EXPIRE_MINUTES,
+      })
+    } catch (emailError) {
+      // The token was never delivered, so drop it. The response stays the same so it can't reveal the account.
+      console.error("Failed to send password reset email:", emailError)
+      user.passwordResetToken = undefined
+      user.passwordResetExpires = undefined
+      await user.save()
+    }
+
+    res.json(genericResponse)
+  } catch (error) {
+    console.error("Forgot password error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+}
+
+// @desc    Reset password with emailed token
+// @route   POST /api/auth/reset-password
+// @access  Public
+const resetPassword = async (req, res) => {
+  try {
+    const { email, token, newPassword } = req.body
+
+    if (!email || !token || !newPassword) {
+      return res.status(400).json({
+        success: false,
+        message: "Email, token and new password are required",
+      })
+    }
+
+    if (newPassword.length < 6) {
+      return res.status(400).json({
+        success: false,
+        message: "New password must be at least 6 characters",
+      })
+    }
+
+    // Clear the token atomically so it can only be used once, even under concurrent requests
+    const user = await User.findOneAndUpdate(
+      {
+        email: email.toLowerCase(),
+        isActive: true,
+        passwordResetToken: hashToken(token),
+        passwordResetExpires: { $gt: new Date() },
+      },
+      { $unset: { passwordResetToken: 1, passwordResetExpires: 1 } },
+      { new: true },
+    )
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid or expired reset link",
+      })
+    }
+
+    user.password = newPassword
+    // Receiving the email proves ownership of the address
+    user.isVerified = true
+    await user.save()
+
+    await Session.revokeAllForUser(user._id, "password_reset")
+    await SecurityEvent.record(req, user._id, "password_reset")
+
+    try {
+      await sendEmail("passwordChanged", user.email, { name: user.name })
+    } catch (emailError) {
+      console.error("Failed to send password changed email:", emailError)
+    }
+
+    res.json({
+      success: true,
+      message: "Password reset successfully. Please log in with your new password.",
+    })
+  } catch (error) {
+    console.error("Reset password error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+}
+
+// @desc    Email a single-use sign-in link
+// @route   POST /api/auth/magic-link
+// @access  Public
+const requestMagicLink = async (req, res) => {
+  try {
+    const { email } = req.body
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: "Email is required",
+      })
+    }
+
+    // Same response whether or not the account exists, to avoid leaking registered emails
+    const genericResponse = {
+      success: true,
+      message: "If an account exists for this email, a sign-in link has been sent.",
+    }
+
+    const user = await User.findOne({ email: email.toLowerCase(), isActive: true })
+    if (!user) {
+      return res.json(genericResponse)
+    }
+
+    const magicToken = crypto.randomBytes(32).toString("hex")
+    user.magicLinkToken = hashToken(magicToken)
+    user.magicLinkExpires = new Date(Date.now() + MAGIC_LINK_EXPIRE_MINUTES * 60 * 1000)
+    await user.save()
+
+    const loginUrl = `${process.env.CLIENT_URL}/auth/magic-link?token=${magicToken}&email=${encodeURIComponent(user.email)}`
+
+    try {
+      await sendEmail("magicLink", user.email, {
+        name: user.name,
+        loginUrl,
+        expiresInMinutes: MAGIC_LINK_EXPIRE_MINUTES,
+      })
+    } catch (emailError) {
+      console.error("Failed to send magic link email:", emailError)
+      user.magicLinkToken = undefined
+      user.magicLinkExpires = undefined
+      await user.save()
+      return res.status(500).json({
+        success: false,
+        message: "Failed to send sign-in link. Please try again.",
+      })
+    }
+
+    res.json(genericResponse)
+  } catch (error) {
+    console.error("Request magic link error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+}
+
+// @desc    Exchange a magic link for tokens
+// @route   POST /api/auth/magic-link/verify
+// @access  Public
+const verifyMagicLink = async (req, res) => {
+  try {
+    const { email, token } = req.body
+
+    if (!email || !token) {
+      return res.status(400).json({
+        success: false,
+        message: "Email and token are required",
+      })
+    }
+
+    // Clear the token atomically so the link can only be used once, even under concurrent requests
+    const user = await User.findOneAndUpdate(
+      {
+        email: email.toLowerCase(),
+        isActive: true,
+        magicLinkToken: hashToken(token),
+        magicLinkExpires: { $gt: new Date() },
+      },
+      { $unset: { magicLinkToken: 1, magicLinkExpires: 1 } },
+      { new: true },
+    ).select("+password")
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid or expired sign-in link",
+      })
+    }
+
+    // Receiving the email proves ownership of the address. A password set on an unverified account could
+    // belong to someone else who pre-registered the address, so drop it.
+    if (!user.isVerified) {
+      user.password = undefined
+      user.isVerified = true
+      user.otp = undefined
+      user.otpExpires = undefined
+    }
+    user.lastLogin = new Date()
+    await user.save()
+
+    // Accounts with 2FA must complete a second step before receiving tokens
+    if (user.twoFactor?.enabled) {
+      return res.json(twoFactorChallenge(user))
+    }
+
+    const { token: jwtToken, refreshToken } = await issueTokens(user, req, "magic_link")
+
+    res.json({
+      success: true,
+      message: "Login successful",
+      token: jwtToken,
+      refreshToken,
+      user: user.toJSON(),
+    })
+  } catch (error) {
+    console.error("Verify magic link error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+}
+
+// @desc    Start 2FA enrollment
+// @route   POST /api/auth/2fa/setup
+// @access  Private
+const setupTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId)
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      })
+    }
+
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is already enabled",
+      })
+    }
+
+    const secret = generateSecret()
+    user.twoFactor.pendingSecret = secret
+    await user.save()
+
+    res.json({
+      success: true,
+      message: "Scan the QR code with your authenticator app, then confirm with a code",
+      secret,
+      otpauthUrl: buildOtpauthUrl(secret, user.email),
+    })
+  } catch (error) {
+    console.error("Setup 2FA error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+}
+
+// @desc    Confirm 2FA enrollment
+// @route   POST /api/auth/2fa/enable
+// @access  Private
+const enableTwoFactor = async (req, res) => {
+  try {
+    const { code } = req.body
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        message: "Verification code is required",
+      })
+    }
+
+    const user = await User.findById(req.user.userId).select("+twoFactor.pendingSecret")
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      })
+    }
+
+    if (!user.twoFactor?.pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: "Start two-factor setup first",
+      })
+    }
+
+    const step = verifyTOTP(user.twoFactor.pendingSecret, code)
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid verification code",
+      })
+    }
+
+    const recoveryCodes = generateRecoveryCodes()
+
+    user.twoFactor.enabled = true
+    user.twoFactor.secret = user.twoFactor.pendingSecret
+    user.twoFactor.pendingSecret = undefined
+    user.twoFactor.lastUsedStep = step
+    user.twoFactor.recoveryCodes = recoveryCodes.map((recoveryCode) => hashToken(normalizeRecoveryCode(recoveryCode)))
+    user.twoFactor.enabledAt = new Date()
+    await user.save()
+
+    await SecurityEvent.record(req, user._id, "two_factor_enabled")
+
+    res.json({
+      success: true,
+      message: "Two-factor authentication enabled. Store your recovery codes somewhere safe.",
+      recoveryCodes,
+    })
+  } catch (error) {
+    console.error("Enable 2FA error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+}
+
+// @desc    Complete a 2FA-pending login
+// @route   POST /api/auth/2fa/verify
+// @access  Public
+const verifyTwoFactor = async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        success: false,
+        message: "Challenge token and a verification or recovery code are required",
+      })
+    }
+
+    let decoded
+    try {
+      decoded = verifyChallengeToken(challengeToken, "2fa_pending")
+    } catch (tokenError) {
+      return res.status(401).json({
+        success: false,
+        message: "Two-factor challenge expired. Please sign in again.",
+      })
+    }
+
+    const user = await User.findOne({ _id: decoded.userId, isActive: true }).select(TWO_FACTOR_SECRET_FIELDS)
+
+    if (!user || !user.twoFactor?.enabled) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid two-factor challenge",
+      })
+    }
+
+    if (user.isLocked("twoFactor")) {
+      await SecurityEvent.record(req, user._id, "login_failure", { method: "two_factor", reason: "locked" })
+      return lockedResponse(res, user, "twoFactor", TWO_FACTOR_LOCKED_MESSAGE)
+    }
+
+    if (!verifySecondFactor(user, { code, recoveryCode })) {
+      // Counted atomically, so parallel guesses can't get past the limit
+      const justLocked = await user.registerFailedAttempt("twoFactor")
+
+      await SecurityEvent.record(req, user._id, "login_failure", {
+        method: "two_factor",
+        reason: "invalid_code",
+        locked: justLocked,
+      })
+
+      if (justLocked) {
+        return lockedResponse(res, user, "twoFactor", TWO_FACTOR_LOCKED_MESSAGE)
+      }
+
+      return res.status(401).json({
+        success: false,
+        message: "Invalid verification code",
+      })
+    }
+
+    user.lastLogin = new Date()
+    user.resetFailedAttempts("twoFactor")
+    await user.save()
+
+    const { token, refreshToken } = await issueTokens(user, req, "two_factor")
+
+    res.json({
+      success: true,
+      message: "Login successful",
+      token,
+      refreshToken,
+      user: user.toJSON(),
+      recoveryCodesRemaining: user.twoFactor.recoveryCodes.length,
+    })
+  } catch (error) {
+    console.error("Verify 2FA error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+}
+
+// @desc    Disable 2FA
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+const disableTwoFactor = async (req, res) => {
+  try {
+    const { code, recoveryCode } = req.body
+
+    if (!code && !recoveryCode) {
+      return res.status(400).json({
+        success: false,
+        message: "A verification or recovery code is required",
+      })
+    }
+
+    const user = await User.findById(req.user.userId).select(TWO_FACTOR_SECRET_FIELDS)
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      })
+    }
+
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is not enabled",
+      })
+    }
+
+    if (!verifySecondFactor(user, { code, recoveryCode })) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid verification code",
+      })
+    }
+
+    user.twoFactor = { enabled: false }
+    await user.save()
+
+    await SecurityEvent.record(req, user._id, "two_factor_disabled")
+
+    res.json({
+      success: true,
+      message: "Two-factor authentication disabled",
+    })
+  } catch (error) {
+    console.error("Disable 2FA error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+}
+
+// @desc    Regenerate 2FA recovery codes
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private
+const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const { code } = req.body
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        message: "Verification code is required",
+      })
+    }
+
+    const user = await User.findById(req.user.userId).select(TWO_FACTOR_SECRET_FIELDS)
+
+    if (!user || !user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is not enabled",
+      })
+    }
+
+    if (!verifySecondFactor(user, { code })) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid verification code",
+      })
+    }
+
+    const recoveryCodes = generateRecoveryCodes()
+    user.twoFactor.recoveryCodes = recoveryCodes.map((recoveryCode) => hashToken(normalizeRecoveryCode(recoveryCode)))
+    await user.save()
+
+    res.json({
+      success: true,
+      message: "New recovery codes generated. Previous codes no longer work.",
+      recoveryCodes,
+    })
+  } catch (error) {
+    console.error("Regenerate recovery codes error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+}
+
+// Validate the requested role, responding with 400 when it isn't one of the supported roles
+const isValidRole = (role, res) => {
+  if (!role || !ROLES.includes(role)) {
+    res.status(400).json({
+      success: false,
+      message: "Valid role is required (developer, recruiter, or company)",
+    })
+    return false
+  }
+  return true
+}
+
+// @desc    Preview what switching role would affect
+// @route   GET /api/auth/role/transition?role=recruiter
+// @access  Private
+const previewRoleChange = async (req, res) => {
+  try {
+    const { role } = req.query
+    if (!isValidRole(role, res)) return
+
+    const user = await User.findById(req.user.userId)
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      })
+    }
+
+    const transition = await getRoleTransitionImpact(user, role)
+
+    res.json({
+      success: true,
+      transition,
+    })
+  } catch (error) {
+    console.error("Preview role change error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+}
+
+// @desc    Update user role
+// @route   PUT /api/auth/role
+// @access  Private
+const updateRole = async (req, res) => {
+  try {
+    const { role, migrate } = req.body
+    if (!isValidRole(role, res)) return
+
+    const user = await User.findById(req.user.userId)
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      })
+    }
+
+    const previousRole = user.role
+    let migration = null
+
+    if (previousRole !== role) {
+      const transition = await getRoleTransitionImpact(user, role)
+
+      if (transition.organization) {
+        return res.status(409).json({
+          success: false,
+          message: `Leave ${transition.organization.name} before switching to the ${role} role`,
+          transition,
+        })
+      }
+
+      // Only an explicit boolean opts in, so a stray "false" string can't cancel bookings
+      if (transition.blocked && migrate !== true) {
+        return res.status(409).json({
+          success: false,
+          message:
+            "You have active slots or bookings in your current role. Resolve them first, or retry with migrate: true to deactivate your slots and cancel your open bookings.",
+          transition,
+        })
+      }
+
+      if (transition.blocked) {
+        const { slotsDeactivated, cancelledBookings } = await migrateRoleTransition(
+          transition,
+          `${user.name} is no longer available as a ${previousRole}`,
+        )
+
+        // Let the other party of each cancelled booking know. A failed notification must not stop the
+        // role change, since the slots and bookings have already been migrated.
+        for (const booking of cancelledBookings) {
+          const otherPartyId = previousRole === "developer" ? booking.recruiterId : booking.developerId
+          try {
+            await createNotification(
+              otherPartyId,
+              "booking_cancelled",
+              "Booking Cancelled",
+              `Your ${booking.sessionType} session with ${user.name} was cancelled because they switched roles.`,
+              { bookingId: booking._id, developerId: booking.developerId, recruiterId: booking.recruiterId },
+              req,
+            )
+          } catch (notificationError) {
+            console.error("Error creating cancellation notification:", notificationError)
+          }
+        }
+
+        migration = { slotsDeactivated, bookingsCancelled: cancelledBookings.length }
+      }
+    }
+
+    user.role = role
+    await user.save()
+
+    if (previousRole !== role) {
+      await SecurityEvent.record(req, user._id, "role_change", { from: previousRole, to: role, migration })
+    }
+
+    const userResponse = user.toJSON()
+
+    res.json({
+      success: true,
+      message: "Role updated successfully",
+      user: userResponse,
+      migration,
+      onboarding: await getOnboardingStatus(user),
+    })
+  } catch (error) {
+    console.error("Update role error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+}
+
+// @desc    Get onboarding progress for the current role
+// @route   GET /api/auth/onboarding
+// @access  Private
+const getOnboarding = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId)
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      })
+    }
+
+    res.json({
+      success: true,
+      onboarding: await getOnboardingStatus(user),
+    })
+  } catch (error) {
+    console.error("Get onboarding error:", error)
     res.status(500).json({
       success: false,
       message: "Server error",
@@ -1062,11 +2144,32 @@ module.exports = {
   login,
   getCurrentUser,
   logout,
+  logoutAll,
+  getSessions,
+  revokeSession,
+  getSecurityEvents,
+  refreshToken,
   googleAuth,
   googleCallback,
   githubCallback,
   linkedinAuth,
   linkedinCallback,
+  getLinkedProviders,
+  linkProvider,
+  unlinkProvider,
   changePassword,
+  requestEmailChange,
+  confirmEmailChange,
+  forgotPassword,
+  resetPassword,
+  requestMagicLink,
+  verifyMagicLink,
+  setupTwoFactor,
+  enableTwoFactor,
+  verifyTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  previewRoleChange,
   updateRole,
+  getOnboarding,
 }
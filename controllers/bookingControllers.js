@@ -1,7 +1,36 @@
 const Booking = require("../models/Booking")
 const User = require("../models/User")
 const DeveloperSlot = require("../models/DeveloperSlot")
+const Organization = require("../models/Organization")
+const Endorsement = require("../models/Endorsement")
 const { createNotification } = require("./notificationControllers")
+const { sendEmail } = require("../utils/emailUtils")
+
+const REMINDER_LEAD_HOURS = Number.parseInt(process.env.SESSION_REMINDER_HOURS, 10) || 24
+
+// Email both parties about a booking. The booking must have developerId and recruiterId populated.
+const emailBookingParties = async (templateName, booking) => {
+  const parties = [
+    [booking.developerId, booking.recruiterId],
+    [booking.recruiterId, booking.developerId],
+  ]
+
+  for (const [user, otherParty] of parties) {
+    try {
+      await sendEmail(templateName, user.email, {
+        name: user.name,
+        otherPartyName: otherParty.name,
+        sessionType: booking.sessionType,
+        scheduledDate: booking.scheduledDate,
+        scheduledTime: booking.scheduledTime,
+        duration: booking.duration,
+        meetingLink: booking.meetingLink,
+      })
+    } catch (emailError) {
+      console.error(`Error sending ${templateName} email:`, emailError)
+    }
+  }
+}
 
 // @desc    Create a new booking
 // @route   POST /api/bookings
@@ -256,8 +285,11 @@ const getBookingById = async (req, res) => {
       })
     }
 
-    // Check if user has access to this booking
-    if (booking.recruiterId._id.toString() !== userId && booking.developerId._id.toString() !== userId) {
+    // Check if user has access to this booking. Owners and admins of the recruiter's organization can view it too.
+    // Either party may have deleted their account since
+    const isParty = booking.recruiterId?._id.toString() === userId || booking.developerId?._id.toString() === userId
+    const organization = isParty || !booking.recruiterId ? null : await Organization.findForUser(booking.recruiterId._id)
+    if (!isParty && !organization?.isManager(userId)) {
       return res.status(403).json({
         success: false,
         message: "Access denied",
@@ -304,8 +336,8 @@ const updateBookingStatus = async (req, res) => {
     }
 
     // Check permissions
-    const isDeveloper = booking.developerId.toString() === userId
-    const isRecruiter = booking.recruiterId.toString() === userId
+    const isDeveloper = booking.developerId?.toString() === userId
+    const isRecruiter = booking.recruiterId?.toString() === userId
 
     if (!isDeveloper && !isRecruiter) {
       return res.status(403).json({
@@ -344,7 +376,12 @@ const updateBookingStatus = async (req, res) => {
 
     await booking.save()
 
-    if (status === "confirmed" && isDeveloper) {
+    // Endorsements from the recruiter now come from someone who has worked with the developer
+    if (status === "completed" && booking.recruiterId) {
+      await Endorsement.verifyForBooking(booking)
+    }
+
+    if (status === "confirmed" && isDeveloper && booking.recruiterId) {
       await createNotification(
         booking.recruiterId,
         "booking_confirmed",
@@ -362,6 +399,10 @@ const updateBookingStatus = async (req, res) => {
       .populate("recruiterId", "name email profilePicture")
       .populate("slotId", "title description sessionType")
 
+    if (status === "confirmed" && isDeveloper) {
+      await emailBookingParties("bookingConfirmation", updatedBooking)
+    }
+
     res.json({
       success: true,
       message: `Booking ${status} successfully`,
@@ -395,8 +436,8 @@ const cancelBooking = async (req, res) => {
     }
 
     // Check permissions
-    const isDeveloper = booking.developerId.toString() === userId
-    const isRecruiter = booking.recruiterId.toString() === userId
+    const isDeveloper = booking.developerId?.toString() === userId
+    const isRecruiter = booking.recruiterId?.toString() === userId
 
     if (!isDeveloper && !isRecruiter) {
       return res.status(403).json({
@@ -471,7 +512,7 @@ const addReview = async (req, res) => {
     }
 
     // Check if user is the recruiter and booking is completed
-    if (booking.recruiterId.toString() !== userId) {
+    if (booking.recruiterId?.toString() !== userId) {
       return res.status(403).json({
         success: false,
         message: "Only the recruiter can add reviews",
@@ -542,7 +583,7 @@ const addFeedback = async (req, res) => {
     }
 
     // Check if user is the recruiter and booking is completed
-    if (booking.recruiterId.toString() !== userId) {
+    if (booking.recruiterId?.toString() !== userId) {
       return res.status(403).json({
         success: false,
         message: "Only the recruiter can add feedback",
@@ -576,20 +617,23 @@ const addFeedback = async (req, res) => {
 
     await booking.save()
 
-    // Create notification for developer
-    await createNotification(
-      booking.developerId._id,
-      "feedback_received",
-      "New Feedback Received",
-      `You received a ${rating}-star rating from ${req.user.name}`,
-      {
-        bookingId: booking._id,
-        recruiterId: userId,
-      },
-    )
+    // The developer may have deleted their account since
+    if (booking.developerId?._id) {
+      // Create notification for developer
+      await createNotification(
+        booking.developerId._id,
+        "feedback_received",
+        "New Feedback Received",
+        `You received a ${rating}-star rating from ${req.user.name}`,
+        {
+          bookingId: booking._id,
+          recruiterId: userId,
+        },
+      )
 
-    // Update developer's average rating
-    await updateDeveloperRating(booking.developerId._id)
+      // Update developer's average rating
+      await updateDeveloperRating(booking.developerId._id)
+    }
 
     res.json({
       success: true,
@@ -653,6 +697,56 @@ const updateDeveloperRating = async (developerId) => {
   }
 }
 
+// Send reminders for confirmed sessions starting within REMINDER_LEAD_HOURS. Run periodically from server.js.
+const sendSessionReminders = async () => {
+  const now = new Date()
+  const cutoff = new Date(now.getTime() + REMINDER_LEAD_HOURS * 60 * 60 * 1000)
+
+  // scheduledDate is stored at midnight, so widen the query by a day and check the exact time below
+  const bookings = await Booking.find({
+    status: "confirmed",
+    reminderSentAt: { $exists: false },
+    scheduledDate: { $gte: new Date(now.getTime() - 24 * 60 * 60 * 1000), $lte: cutoff },
+  })
+    .populate("developerId", "name email")
+    .populate("recruiterId", "name email")
+
+  let sent = 0
+  for (const booking of bookings) {
+    const startsAt = booking.bookingDateTime
+    if (startsAt <= now || startsAt > cutoff || !booking.developerId || !booking.recruiterId) continue
+
+    // Mark first so an overlapping run can't send the same reminder twice
+    const claimed = await Booking.updateOne(
+      { _id: booking._id, reminderSentAt: { $exists: false } },
+      { reminderSentAt: now },
+    )
+    if (claimed.modifiedCount === 0) continue
+
+    for (const [user, otherParty] of [
+      [booking.developerId, booking.recruiterId],
+      [booking.recruiterId, booking.developerId],
+    ]) {
+      try {
+        await createNotification(
+          user._id,
+          "session_reminder",
+          "Upcoming Session",
+          `Your ${booking.sessionType} session with ${otherParty.name} starts on ${booking.scheduledDate.toLocaleDateString()} at ${booking.scheduledTime}`,
+          { bookingId: booking._id, developerId: booking.developerId._id, recruiterId: booking.recruiterId._id },
+        )
+      } catch (notificationError) {
+        console.error("Error creating reminder notification:", notificationError)
+      }
+    }
+
+    await emailBookingParties("sessionReminder", booking)
+    sent++
+  }
+
+  return { sent }
+}
+
 // @desc    Get available slots for a developer slot
 // @route   GET /api/bookings/slot-availability/:slotId
 // @access  Public
@@ -968,4 +1062,5 @@ module.exports = {
   addFeedback,
   getAvailableSlotsForSlot,
   testSlotData,
+  sendSessionReminders,
 }
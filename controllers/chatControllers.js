@@ -214,8 +214,9 @@ const getConversations = async (req, res) => {
           as: "user",
         },
       },
+      // Conversations with deleted accounts are kept, without the other user's details
       {
-        $unwind: "$user",
+        $unwind: { path: "$user", preserveNullAndEmptyArrays: true },
       },
       {
         $lookup: {
@@ -234,17 +235,17 @@ const getConversations = async (req, res) => {
         },
       },
       {
-        $unwind: "$lastMessage.sender",
+        $unwind: { path: "$lastMessage.sender", preserveNullAndEmptyArrays: true },
       },
       {
-        $unwind: "$lastMessage.receiver",
+        $unwind: { path: "$lastMessage.receiver", preserveNullAndEmptyArrays: true },
       },
       {
         $project: {
           _id: 1,
           user: {
             _id: "$user._id",
-            name: "$user.name",
+            name: { $ifNull: ["$user.name", "Deleted user"] },
             email: "$user.email",
             avatar: "$user.avatar",
             role: "$user.role",
@@ -378,7 +379,7 @@ const deleteMessage = async (req, res) => {
     }
 
     // Check if user is the sender
-    if (message.sender.toString() !== userId.toString()) {
+    if (message.sender?.toString() !== userId.toString()) {
       return res.status(403).json({
         success: false,
         message: "Not authorized to delete this message",
@@ -390,7 +391,7 @@ const deleteMessage = async (req, res) => {
     // Emit message deletion via Socket.IO
     try {
       const io = req.app.get("io")
-      if (io) {
+      if (io && message.receiver) {
         io.to(message.receiver.toString()).emit("message_deleted", {
           messageId,
           deletedBy: userId,
@@ -1,6 +1,27 @@
 const Connection = require("../models/Connection")
 const User = require("../models/User")
+const Skill = require("../models/Skill")
 const { createNotification } = require("./notificationControllers")
+const { sendEmail } = require("../utils/emailUtils")
+const { getViewerContext, applyPrivacy, matchVisible } = require("../utils/privacyUtils")
+const { searchUserProfiles } = require("../utils/userSearchUtils")
+
+// Users sharing skills that are ranked for connection suggestions
+const MAX_SIMILAR_CANDIDATES = 200
+
+// Email the recipient about a new connection request
+const sendConnectionRequestEmail = async (recipient, requesterId, requesterName) => {
+  try {
+    await sendEmail("connectionRequest", recipient.email, {
+      name: recipient.name,
+      requesterName,
+      profileUrl: `${process.env.CLIENT_URL}/profile/${requesterId}`,
+    })
+  } catch (emailError) {
+    console.error("Error sending connection request email:", emailError)
+    // Don't fail the request if email fails
+  }
+}
 
 // @desc    Send friend request
 // @route   POST /api/connections/send-request
@@ -80,6 +101,8 @@ const sendConnectionRequest = async (req, res) => {
       // Don't fail the request if notification fails
     }
 
+    await sendConnectionRequestEmail(recipient, requesterId, req.user.name)
+
     // Emit real-time notification (with error handling)
     try {
       const io = req.app.get("io")
@@ -192,6 +215,8 @@ const sendConnection = async (req, res) => {
       // Don't fail the request if notification fails
     }
 
+    await sendConnectionRequestEmail(recipient, requesterId, req.user.name)
+
     // Emit real-time notification (with error handling)
     try {
       const io = req.app.get("io")
@@ -408,12 +433,14 @@ const getFriends = async (req, res) => {
         { recipient: userId, status: "accepted" },
       ],
     })
-      .populate("requester", "name avatar role profile.location profile.bio profile.skills")
-      .populate("recipient", "name avatar role profile.location profile.bio profile.skills")
+      .populate("requester", "name avatar role profile.location profile.bio profile.skills privacy")
+      .populate("recipient", "name avatar role profile.location profile.bio profile.skills privacy")
       .sort({ connectionDate: -1 })
 
     console.log("Found friend connections:", connections.length)
 
+    const viewer = await getViewerContext(req.user)
+
     // Format connections to show the other user with consistent structure
     const friends = connections.map((conn) => {
       const otherUser = conn.requester._id.toString() === userId.toString() ? conn.recipient : conn.requester
@@ -425,7 +452,7 @@ const getFriends = async (req, res) => {
         name: otherUser.name,
         avatar: otherUser.avatar,
         role: otherUser.role,
-        profile: otherUser.profile,
+        profile: applyPrivacy(otherUser, viewer).profile,
         connectionDate: conn.connectionDate,
         createdAt: conn.createdAt,
       }
@@ -564,24 +591,47 @@ const getConnectionSuggestions = async (req, res) => {
     // Get current user's profile for matching
     const currentUser = await User.findById(userId)
 
-    // Find potential connections based on:
-    // 1. Same role (developers with developers, recruiters with recruiters)
-    // 2. Similar skills (for developers)
-    // 3. Same location
-    // 4. Exclude already connected users
-    const suggestions = await User.find({
-      _id: { $nin: connectedUserIds },
-      isActive: true,
-    })
-      .select("name avatar role profile.location profile.bio profile.skills")
-      .limit(Number.parseInt(limit))
-      .sort({ createdAt: -1 })
+    const viewer = await getViewerContext(req.user)
+    const maxSuggestions = Number.parseInt(limit) || 10
+    const fields = "name avatar role profile.location profile.bio profile.skills profile.skillIds privacy"
+
+    // Users with the same skills come first, ranked by how many they share. Child skills count, so React
+    // developers are matched with Next.js developers. Only skills the current user can see are compared.
+    const skillIds = await Skill.withDescendants(currentUser?.profile?.skillIds || [])
+    const skillIdSet = new Set(skillIds.map((id) => id.toString()))
+    const sharedSkills = (user) => user.profile.skillIds.filter((id) => skillIdSet.has(id.toString())).length
+
+    const similarUsers =
+      skillIds.length > 0
+        ? await User.find({
+            _id: { $nin: connectedUserIds },
+            isActive: true,
+            ...matchVisible("skills", { "profile.skillIds": { $in: skillIds } }, viewer),
+          })
+            .select(fields)
+            .limit(MAX_SIMILAR_CANDIDATES)
+        : []
+    const similar = similarUsers.sort((a, b) => sharedSkills(b) - sharedSkills(a)).slice(0, maxSuggestions)
+
+    // Fill the rest with the newest users, excluding already connected users
+    const others =
+      similar.length < maxSuggestions
+        ? await User.find({
+            _id: { $nin: [...connectedUserIds, ...similar.map((user) => user._id.toString())] },
+            isActive: true,
+          })
+            .select(fields)
+            .limit(maxSuggestions - similar.length)
+            .sort({ createdAt: -1 })
+        : []
+
+    const suggestions = [...similar, ...others]
 
     console.log("Found suggestions:", suggestions.length)
 
     res.json({
       success: true,
-      suggestions,
+      suggestions: suggestions.map((suggestion) => applyPrivacy(suggestion, viewer)),
       count: suggestions.length,
     })
   } catch (error) {
@@ -622,35 +672,25 @@ const searchUsers = async (req, res) => {
     // Add current user to exclude list
     connectedUserIds.push(userId.toString())
 
-    // Build search criteria
-    const searchCriteria = {
-      _id: { $nin: connectedUserIds },
-      isActive: true,
-      $or: [
-        { name: { $regex: query, $options: "i" } },
-        { "profile.bio": { $regex: query, $options: "i" } },
-        { "profile.skills": { $regex: query, $options: "i" } },
-        { "profile.location": { $regex: query, $options: "i" } },
-        { role: { $regex: query, $options: "i" } },
-      ],
-    }
-
-    const users = await User.find(searchCriteria)
-      .select("name avatar role profile.location profile.bio profile.skills")
-      .limit(Number.parseInt(limit))
-      .skip((page - 1) * limit)
-      .sort({ name: 1 })
-
-    const total = await User.countDocuments(searchCriteria)
+    // Ranked search over names and profiles. Profile sections only match when the viewer is allowed to see them.
+    const viewer = await getViewerContext(req.user)
+    const { results, total } = await searchUserProfiles(query, {
+      viewer,
+      filter: { _id: { $nin: connectedUserIds }, isActive: true },
+      select: "name avatar role profile.location profile.bio profile.skills privacy",
+      page,
+      limit,
+    })
 
-    console.log("Found users:", users.length)
+    console.log("Found users:", results.length)
 
     // Get connection status for each user
     const usersWithStatus = await Promise.all(
-      users.map(async (user) => {
+      results.map(async ({ user, score }) => {
         const connectionStatus = await Connection.getConnectionStatus(userId, user._id)
         return {
-          ...user.toJSON(),
+          ...applyPrivacy(user, viewer),
+          searchScore: score,
           connectionStatus,
         }
       })
@@ -0,0 +1,331 @@
+const crypto = require("crypto")
+const mongoose = require("mongoose")
+const archiver = require("archiver")
+const DataExport = require("../models/DataExport")
+const User = require("../models/User")
+const Post = require("../models/Post")
+const Message = require("../models/Message")
+const Connection = require("../models/Connection")
+const DeveloperSlot = require("../models/DeveloperSlot")
+const Booking = require("../models/Booking")
+const Notification = require("../models/Notification")
+const Endorsement = require("../models/Endorsement")
+const { createNotification } = require("./notificationControllers")
+const { hashToken } = require("../utils/tokenUtils")
+const { sendEmail } = require("../utils/emailUtils")
+const { emitToUser } = require("../utils/socketUtils")
+const { putFile, deleteFile, getSignedUrl } = require("../utils/storageUtils")
+
+const DOWNLOAD_EXPIRE_HOURS = Number.parseInt(process.env.DATA_EXPORT_EXPIRE_HOURS, 10) || 48
+
+// How long the storage URL a download redirects to stays valid
+const DOWNLOAD_URL_SECONDS = 5 * 60
+
+// Exports stuck in processing this long (e.g. the server restarted mid-build) are picked up again
+const STALE_PROCESSING_MINUTES = 30
+
+// Collect everything stored about a user, keyed by the file it is written to
+const collectUserData = async (userId) => {
+  const user = await User.findById(userId)
+
+  const [posts, commentedPosts, messages, connections, slots, bookings, notifications, endorsements] =
+    await Promise.all([
+      Post.find({ author: userId }).populate("comments.user", "name").sort({ createdAt: -1 }).lean(),
+      Post.find({ author: { $ne: userId }, "comments.user": userId }).select("author comments").lean(),
+      Message.find({ $or: [{ sender: userId }, { receiver: userId }] })
+        .populate("sender", "name")
+        .populate("receiver", "name")
+        .sort({ createdAt: 1 })
+        .lean(),
+      Connection.find({ $or: [{ requester: userId }, { recipient: userId }] })
+        .populate("requester", "name")
+        .populate("recipient", "name")
+        .lean(),
+      DeveloperSlot.find({ developerId: userId }).lean(),
+      Booking.find({ $or: [{ developerId: userId }, { recruiterId: userId }] })
+        .populate("developerId", "name")
+        .populate("recruiterId", "name")
+        .sort({ scheduledDate: -1 })
+        .lean(),
+      Notification.find({ userId }).sort({ createdAt: -1 }).lean(),
+      Endorsement.find({ $or: [{ user: userId }, { endorser: userId }] })
+        .populate("user", "name")
+        .populate("endorser", "name")
+        .sort({ createdAt: -1 })
+        .lean(),
+    ])
+
+  // Comments the user left on other people's posts
+  const comments = commentedPosts.flatMap((post) =>
+    post.comments
+      .filter((comment) => comment.user.toString() === userId.toString())
+      .map((comment) => ({ postId: post._id, content: comment.content, createdAt: comment.createdAt })),
+  )
+
+  const media = {
+    avatar: user.avatar || null,
+    resume: user.profile?.resume || null,
+    resumeFile: user.resumeFile?.file
+      ? { fileName: user.resumeFile.fileName, uploadedAt: user.resumeFile.uploadedAt }
+      : null,
+    postImages: posts.flatMap((post) => (post.images || []).map((image) => ({ postId: post._id, url: image.url }))),
+    messageFiles: messages
+      .filter((message) => message.fileUrl && message.sender?._id.toString() === userId.toString())
+      .map((message) => ({ messageId: message._id, url: message.fileUrl, fileName: message.fileName })),
+  }
+
+  return {
+    "profile.json": user.toJSON(),
+    "posts.json": posts,
+    "comments.json": comments,
+    "messages.json": messages,
+    "connections.json": connections,
+    "slots.json": slots,
+    "bookings.json": bookings,
+    "notifications.json": notifications,
+    "endorsements.json": endorsements,
+    "media.json": media,
+  }
+}
+
+// Zip the given files in memory. Resolves with the archive as a Buffer.
+const buildZip = (files) =>
+  new Promise((resolve, reject) => {
+    const archive = archiver("zip", { zlib: { level: 9 } })
+    const chunks = []
+
+    archive.on("data", (chunk) => chunks.push(chunk))
+    archive.on("end", () => resolve(Buffer.concat(chunks)))
+    archive.on("error", reject)
+
+    for (const [name, content] of Object.entries(files)) {
+      archive.append(JSON.stringify(content, null, 2), { name })
+    }
+    archive.finalize()
+  })
+
+// Build one export and let the user know how to download it
+const buildDataExport = async (dataExport, io = null) => {
+  const user = await User.findById(dataExport.userId)
+  if (!user) {
+    dataExport.status = "failed"
+    dataExport.error = "User not found"
+    await dataExport.save()
+    return
+  }
+
+  try {
+    const files = await collectUserData(user._id)
+    files["export.json"] = {
+      exportId: dataExport._id,
+      userId: user._id,
+      generatedAt: new Date(),
+      files: Object.keys(files),
+    }
+
+    const zip = await buildZip(files)
+    // A random part keeps the key from being guessed from the user and export IDs
+    const fileKey = `exports/${user._id}/${dataExport._id}-${crypto.randomBytes(16).toString("hex")}.zip`
+    const stored = await putFile("exports", fileKey, zip, {
+      contentType: "application/zip",
+      isPublic: false,
+    })
+
+    const token = crypto.randomBytes(32).toString("hex")
+    dataExport.status = "ready"
+    dataExport.file = { driver: stored.driver, key: stored.key }
+    dataExport.fileSize = zip.length
+    dataExport.downloadToken = hashToken(token)
+    dataExport.completedAt = new Date()
+    dataExport.expiresAt = new Date(Date.now() + DOWNLOAD_EXPIRE_HOURS * 60 * 60 * 1000)
+    await dataExport.save()
+
+    const downloadUrl = `${process.env.CLIENT_URL}/account/export?id=${dataExport._id}&token=${token}`
+
+    try {
+      await sendEmail("dataExportReady", user.email, {
+        name: user.name,
+        downloadUrl,
+        expiresAt: dataExport.expiresAt,
+      })
+    } catch (emailError) {
+      console.error("Failed to send data export email:", emailError)
+    }
+
+    try {
+      await createNotification(
+        user._id,
+        "data_export_ready",
+        "Your data export is ready",
+        `Your data export is ready. We've emailed you a download link, which works until ${dataExport.expiresAt.toLocaleString()}.`,
+        { userId: user._id },
+      )
+    } catch (notificationError) {
+      console.error("Error creating data export notification:", notificationError)
+    }
+
+    // The link is only sent to the user's live sockets and never stored
+    if (io) {
+      emitToUser(io, user._id, "data_export_ready", {
+        exportId: dataExport._id,
+        downloadUrl,
+        expiresAt: dataExport.expiresAt,
+      })
+    }
+  } catch (error) {
+    console.error(`Error building data export ${dataExport._id}:`, error)
+    dataExport.status = "failed"
+    dataExport.error = error.message?.substring(0, 500)
+    await dataExport.save()
+  }
+}
+
+// Claim a pending (or stale) export so that only one worker builds it
+const claimDataExport = (query) =>
+  DataExport.findOneAndUpdate(
+    query,
+    { status: "processing", startedAt: new Date() },
+    { new: true, sort: { createdAt: 1 } },
+  )
+
+// Build waiting exports and clean up expired ones. Run periodically from server.js.
+const processDataExports = async (io = null) => {
+  const staleBefore = new Date(Date.now() - STALE_PROCESSING_MINUTES * 60 * 1000)
+  let built = 0
+
+  let dataExport
+  while (
+    (dataExport = await claimDataExport({
+      $or: [{ status: "pending" }, { status: "processing", startedAt: { $lt: staleBefore } }],
+    }))
+  ) {
+    await buildDataExport(dataExport, io)
+    built++
+  }
+
+  const expiredExports = await DataExport.find({ status: "ready", expiresAt: { $lte: new Date() } })
+  for (const expiredExport of expiredExports) {
+    await deleteFile(expiredExport.file)
+    expiredExport.status = "expired"
+    await expiredExport.save()
+  }
+
+  return { built, expired: expiredExports.length }
+}
+
+// @desc    Request an export of all your data
+// @route   POST /api/users/export
+// @access  Private
+const requestDataExport = async (req, res) => {
+  try {
+    const inProgress = await DataExport.findOne({
+      userId: req.user.userId,
+      status: { $in: ["pending", "processing"] },
+    })
+
+    if (inProgress) {
+      return res.status(400).json({
+        success: false,
+        message: "An export is already being prepared. We'll notify you when it's ready.",
+        dataExport: inProgress,
+      })
+    }
+
+    const dataExport = await DataExport.create({ userId: req.user.userId })
+
+    // Build in the background. The periodic job picks it up if this attempt is lost.
+    const io = req.app.get("io")
+    claimDataExport({ _id: dataExport._id, status: "pending" })
+      .then((claimed) => claimed && buildDataExport(claimed, io))
+      .catch((error) => console.error("Data export error:", error))
+
+    res.status(202).json({
+      success: true,
+      message: "Your export is being prepared. We'll notify you and email a download link when it's ready.",
+      dataExport,
+    })
+  } catch (error) {
+    console.error("Request data export error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+}
+
+// @desc    List your data exports
+// @route   GET /api/users/export
+// @access  Private
+const getDataExports = async (req, res) => {
+  try {
+    const dataExports = await DataExport.find({ userId: req.user.userId }).sort({ createdAt: -1 }).limit(10)
+
+    res.json({
+      success: true,
+      dataExports,
+    })
+  } catch (error) {
+    console.error("Get data exports error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+}
+
+// @desc    Download an export with the token from the download link
+// @route   GET /api/users/export/:id/download?token=...
+// @access  Public (token)
+const downloadDataExport = async (req, res) => {
+  try {
+    const { token } = req.query
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: "Download token is required",
+      })
+    }
+
+    const dataExport = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await DataExport.findOne({ _id: req.params.id, downloadToken: hashToken(token) })
+      : null
+
+    if (!dataExport || !dataExport.isDownloadable()) {
+      return res.status(404).json({
+        success: false,
+        message: "This download link is invalid or has expired",
+      })
+    }
+
+    dataExport.downloadCount += 1
+    dataExport.lastDownloadedAt = new Date()
+    await dataExport.save()
+
+    // Hand off to a short-lived URL from the storage driver rather than streaming through the API
+    res.redirect(await getSignedUrl(dataExport.file, DOWNLOAD_URL_SECONDS))
+  } catch (error) {
+    console.error("Download data export error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+}
+
+// Remove all of a user's exports and their files (used when the account is purged)
+const deleteUserDataExports = async (userId) => {
+  const dataExports = await DataExport.find({ userId })
+  for (const dataExport of dataExports) {
+    await deleteFile(dataExport.file)
+  }
+  await DataExport.deleteMany({ userId })
+}
+
+module.exports = {
+  requestDataExport,
+  getDataExports,
+  downloadDataExport,
+  processDataExports,
+  deleteUserDataExports,
+}
@@ -2,6 +2,8 @@ const DeveloperSlot = require("../models/DeveloperSlot")
 const User = require("../models/User")
 const Booking = require("../models/Booking")
 const mongoose = require("mongoose")
+const { getViewerContext, applyPrivacy } = require("../utils/privacyUtils")
+const { SLOT_SKILL_PATHS, skillCondition } = require("../utils/skillUtils")
 
 const createSlot = async (req, res) => {
   try {
@@ -140,12 +142,10 @@ const getPublicSlots = async (req, res) => {
 
     // Check if developer exists
     const developer = await User.findById(developerId).select(
-      "name email skills profilePicture bio location portfolioWebsite role experience education githubProfile linkedinProfile",
+      "name email avatar avatarVariants role profile privacy deletion",
     )
 
-    console.log("Found developer:", developer)
-
-    if (!developer) {
+    if (!developer || developer.isPendingDeletion()) {
       console.log("Developer not found in database")
       return res.status(404).json({
         success: false,
@@ -174,9 +174,13 @@ const getPublicSlots = async (req, res) => {
       query.price = { $lte: Number.parseFloat(maxPrice) }
     }
 
+    // Tags that are skills also match slots tagged with one of their child skills
     if (tags) {
       const tagArray = Array.isArray(tags) ? tags : [tags]
-      query.tags = { $in: tagArray }
+      const tagFilter = await skillCondition(tagArray, SLOT_SKILL_PATHS)
+      if (tagFilter) {
+        Object.assign(query, tagFilter)
+      }
     }
 
     console.log("Searching slots with query:", query)
@@ -185,9 +189,12 @@ const getPublicSlots = async (req, res) => {
 
     console.log("Found slots:", slots.length)
 
+    // Only show the profile sections the viewer is allowed to see
+    const viewer = await getViewerContext(req.user)
+
     res.json({
       success: true,
-      developer,
+      developer: applyPrivacy(developer, viewer),
       slots,
     })
   } catch (error) {
@@ -0,0 +1,208 @@
+const mongoose = require("mongoose")
+const Endorsement = require("../models/Endorsement")
+const Connection = require("../models/Connection")
+const Skill = require("../models/Skill")
+const User = require("../models/User")
+const { createNotification } = require("./notificationControllers")
+const { getViewerContext, canViewSection } = require("../utils/privacyUtils")
+
+// Load the user whose skills are endorsed, or send a 404
+const findEndorsedUser = async (id, res) => {
+  const user = mongoose.Types.ObjectId.isValid(id)
+    ? await User.findById(id).select("name profile.skills privacy isActive deletion")
+    : null
+
+  if (!user || !user.isActive || user.isPendingDeletion()) {
+    res.status(404).json({
+      success: false,
+      message: "User not found",
+    })
+    return null
+  }
+
+  return user
+}
+
+// The skill as listed on the user's profile, matching aliases of canonical skills ("reactjs" for "React")
+const findListedSkill = async (user, name) => {
+  const {
+    names: [canonical],
+  } = await Skill.normalizeNames([name])
+  if (!canonical) return null
+
+  const key = Skill.normalizeKey(canonical)
+  return (user.profile?.skills || []).find((skill) => Skill.normalizeKey(skill) === key) || null
+}
+
+// @desc    Get endorsement counts and sample endorsers for each of a user's skills
+// @route   GET /api/users/:id/endorsements
+// @access  Private
+const getEndorsements = async (req, res) => {
+  try {
+    const user = await findEndorsedUser(req.params.id, res)
+    if (!user) return
+
+    const viewer = await getViewerContext(req.user)
+    if (!canViewSection(user, "skills", viewer)) {
+      return res.status(403).json({
+        success: false,
+        message: "This user's privacy settings don't allow you to see their skills",
+      })
+    }
+
+    res.json({
+      success: true,
+      endorsements: await Endorsement.summarize(user, req.user.userId),
+    })
+  } catch (error) {
+    console.error("Get endorsements error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+}
+
+// @desc    Endorse one of a connection's skills
+// @route   POST /api/users/:id/endorsements
+// @access  Private
+const endorseSkill = async (req, res) => {
+  try {
+    const endorserId = req.user.userId
+    const { skill: skillName } = req.body || {}
+
+    if (typeof skillName !== "string" || !skillName.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: "Skill is required",
+      })
+    }
+
+    if (req.params.id === endorserId.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: "You cannot endorse your own skills",
+      })
+    }
+
+    const user = await findEndorsedUser(req.params.id, res)
+    if (!user) return
+
+    const isConnected = await Connection.exists({
+      status: "accepted",
+      $or: [
+        { requester: endorserId, recipient: user._id },
+        { requester: user._id, recipient: endorserId },
+      ],
+    })
+    if (!isConnected) {
+      return res.status(403).json({
+        success: false,
+        message: "You can only endorse skills of your connections",
+      })
+    }
+
+    const viewer = await getViewerContext(req.user)
+    const skill = canViewSection(user, "skills", viewer) ? await findListedSkill(user, skillName) : null
+    if (!skill) {
+      return res.status(400).json({
+        success: false,
+        message: "This skill is not listed on the user's profile",
+      })
+    }
+
+    if (await Endorsement.exists({ user: user._id, skill, endorser: endorserId })) {
+      return res.status(409).json({
+        success: false,
+        message: "You have already endorsed this skill",
+      })
+    }
+
+    const endorsement = await Endorsement.create({
+      user: user._id,
+      endorser: endorserId,
+      skill,
+      verified: await Endorsement.hasCompletedBooking(user._id, endorserId),
+    })
+    await Endorsement.updateStats(user._id)
+
+    await createNotification(
+      user._id,
+      "endorsement_received",
+      "New Endorsement",
+      `${req.user.name} endorsed you for ${skill}`,
+      { userId: endorserId },
+      req,
+    )
+
+    res.status(201).json({
+      success: true,
+      message: "Skill endorsed successfully",
+      endorsement,
+    })
+  } catch (error) {
+    // Two requests for the same endorsement at once
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: "You have already endorsed this skill",
+      })
+    }
+
+    console.error("Endorse skill error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+}
+
+// @desc    Withdraw an endorsement
+// @route   DELETE /api/users/:id/endorsements/:skill
+// @access  Private
+const withdrawEndorsement = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: "Endorsement not found",
+      })
+    }
+
+    // The skill may have been removed from the profile since, so look it up among the endorsements
+    const endorsements = await Endorsement.find({ user: req.params.id, endorser: req.user.userId })
+    const {
+      names: [canonical],
+    } = await Skill.normalizeNames([req.params.skill])
+    const endorsement = endorsements.find(
+      ({ skill }) => canonical && Skill.normalizeKey(skill) === Skill.normalizeKey(canonical),
+    )
+
+    if (!endorsement) {
+      return res.status(404).json({
+        success: false,
+        message: "Endorsement not found",
+      })
+    }
+
+    await endorsement.deleteOne()
+    await Endorsement.updateStats(endorsement.user)
+
+    res.json({
+      success: true,
+      message: "Endorsement withdrawn successfully",
+    })
+  } catch (error) {
+    console.error("Withdraw endorsement error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+}
+
+module.exports = {
+  getEndorsements,
+  endorseSkill,
+  withdrawEndorsement,
+}
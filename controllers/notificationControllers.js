@@ -1,5 +1,9 @@
 const Notification = require("../models/Notification")
+const User = require("../models/User")
 const { emitToUser } = require("../utils/socketUtils")
+const { sendEmail } = require("../utils/emailUtils")
+
+const DIGEST_MAX_ITEMS = 10
 
 // Create notification
 const createNotification = async (userId, type, title, message, data = {}, req = null) => {
@@ -45,6 +49,29 @@ const createNotification = async (userId, type, title, message, data = {}, req =
   }
 }
 
+// Email a user a digest of their unread notifications. Returns the number of notifications included.
+const sendNotificationDigest = async (userId) => {
+  const user = await User.findById(userId).select("name email")
+  if (!user) return 0
+
+  const query = { userId, isRead: false }
+  const [notifications, unreadCount] = await Promise.all([
+    Notification.find(query).sort({ createdAt: -1 }).limit(DIGEST_MAX_ITEMS),
+    Notification.countDocuments(query),
+  ])
+
+  if (unreadCount === 0) return 0
+
+  await sendEmail("digest", user.email, {
+    name: user.name,
+    notifications,
+    unreadCount,
+    dashboardUrl: process.env.CLIENT_URL,
+  })
+
+  return notifications.length
+}
+
 // @desc    Get user notifications
 // @route   GET /api/notifications
 // @access  Private
@@ -235,6 +262,27 @@ const getUnreadCount = async (req, res) => {
   }
 }
 
+// @desc    Email a digest of unread notifications
+// @route   POST /api/notifications/digest
+// @access  Private
+const emailDigest = async (req, res) => {
+  try {
+    const included = await sendNotificationDigest(req.user.userId)
+
+    res.json({
+      success: true,
+      message: included > 0 ? "Digest sent" : "No unread notifications",
+      included,
+    })
+  } catch (error) {
+    console.error("Email digest error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+}
+
 // @desc    Get notifications by type
 // @route   GET /api/notifications/type/:type
 // @access  Private
@@ -279,10 +327,12 @@ const getNotificationsByType = async (req, res) => {
 
 module.exports = {
   createNotification,
+  sendNotificationDigest,
   getNotifications,
   markAsRead,
   markAllAsRead,
   deleteNotification,
   getUnreadCount,
   getNotificationsByType,
+  emailDigest,
 }
\ No newline at end of file
@@ -0,0 +1,665 @@
+const crypto = require("crypto")
+const mongoose = require("mongoose")
+const Organization = require("../models/Organization")
+const OrganizationInvitation = require("../models/OrganizationInvitation")
+const Booking = require("../models/Booking")
+const User = require("../models/User")
+const { hashToken } = require("../utils/tokenUtils")
+const { sendEmail } = require("../utils/emailUtils")
+
+const INVITATION_EXPIRE_DAYS = 7
+
+// Load the organization in req.params.id for a member, responding with 404/403 when not allowed.
+// Non-members get a 404 so organization IDs can't be probed.
+const loadOrganization = async (req, res, { manage = false } = {}) => {
+  const organization = mongoose.Types.ObjectId.isValid(req.params.id)
+    ? await Organization.findById(req.params.id)
+    : null
+
+  if (!organization || !organization.getMember(req.user.userId)) {
+    res.status(404).json({
+      success: false,
+      message: "Organization not found",
+    })
+    return null
+  }
+
+  if (manage && !organization.isManager(req.user.userId)) {
+    res.status(403).json({
+      success: false,
+      message: "Only organization owners and admins can do this",
+    })
+    return null
+  }
+
+  return organization
+}
+
+const countOwners = (organization) => organization.members.filter((member) => member.role === "owner").length
+
+// @desc    Create an organization
+// @route   POST /api/organizations
+// @access  Private (recruiter, company)
+const createOrganization = async (req, res) => {
+  try {
+    const { name, logo, domain } = req.body
+
+    if (!["recruiter", "company"].includes(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: "Only recruiter and company accounts can create organizations",
+      })
+    }
+
+    if (!name || !name.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: "Organization name is required",
+      })
+    }
+
+    const existing = await Organization.findForUser(req.user.userId)
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: "You already belong to an organization",
+      })
+    }
+
+    const organization = await Organization.create({
+      name,
+      logo: logo || null,
+      domain: domain || undefined,
+      createdBy: req.user.userId,
+      members: [{ userId: req.user.userId, role: "owner" }],
+    })
+
+    res.status(201).json({
+      success: true,
+      message: "Organization created successfully",
+      organization,
+    })
+  } catch (error) {
+    console.error("Create organization error:", error)
+
+    // The creator joined another organization since the check above
+    if (error.code === 11000 && error.keyPattern?.["members.userId"]) {
+      return res.status(400).json({
+        success: false,
+        message: "You already belong to an organization",
+      })
+    }
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: "An organization with this domain already exists",
+      })
+    }
+
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors)[0].message,
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+}
+
+// @desc    Get the current user's organization
+// @route   GET /api/organizations/me
+// @access  Private
+const getMyOrganization = async (req, res) => {
+  try {
+    const organization = await Organization.findForUser(req.user.userId).populate(
+      "members.userId",
+      "name email avatar role",
+    )
+
+    if (!organization) {
+      return res.json({
+        success: true,
+        organization: null,
+      })
+    }
+
+    const membership = organization.members.find((member) => member.userId?._id.toString() === req.user.userId)
+    const pendingInvitations = await OrganizationInvitation.countDocuments(
+      OrganizationInvitation.pendingQuery(organization._id),
+    )
+
+    res.json({
+      success: true,
+      organization,
+      myRole: membership?.role,
+      seats: {
+        total: organization.seats,
+        used: organization.members.length + pendingInvitations,
+      },
+    })
+  } catch (error) {
+    console.error("Get my organization error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+}
+
+// @desc    Update organization details
+// @route   PUT /api/organizations/:id
+// @access  Private (owner, admin)
+const updateOrganization = async (req, res) => {
+  try {
+    const organization = await loadOrganization(req, res, { manage: true })
+    if (!organization) return
+
+    const { name, logo, domain } = req.body
+
+    if (name !== undefined) organization.name = name
+    if (logo !== undefined) organization.logo = logo || null
+    if (domain !== undefined) organization.domain = domain || undefined
+
+    await organization.save()
+
+    res.json({
+      success: true,
+      message: "Organization updated successfully",
+      organization,
+    })
+  } catch (error) {
+    console.error("Update organization error:", error)
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: "An organization with this domain already exists",
+      })
+    }
+
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors)[0].message,
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+}
+
+// @desc    Invite someone to the organization by email
+// @route   POST /api/organizations/:id/invitations
+// @access  Private (owner, admin)
+const inviteMember = async (req, res) => {
+  try {
+    const organization = await loadOrganization(req, res, { manage: true })
+    if (!organization) return
+
+    const { email, role = "recruiter" } = req.body
+    const normalizedEmail = email?.trim().toLowerCase()
+
+    if (!User.isValidEmail(normalizedEmail)) {
+      return res.status(400).json({
+        success: false,
+        message: "A valid email address is required",
+      })
+    }
+
+    if (!["admin", "recruiter"].includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: "Role must be admin or recruiter",
+      })
+    }
+
+    const memberUsers = await User.find({ _id: { $in: organization.getMemberIds() } }).select("email")
+    if (memberUsers.some((member) => member.email === normalizedEmail)) {
+      return res.status(400).json({
+        success: false,
+        message: "This person is already a member",
+      })
+    }
+
+    const pendingQuery = OrganizationInvitation.pendingQuery(organization._id)
+    const existingInvitation = await OrganizationInvitation.findOne({ ...pendingQuery, email: normalizedEmail })
+    if (existingInvitation) {
+      return res.status(400).json({
+        success: false,
+        message: "An invitation is already pending for this email",
+      })
+    }
+
+    const pendingCount = await OrganizationInvitation.countDocuments(pendingQuery)
+    if (organization.members.length + pendingCount >= organization.seats) {
+      return res.status(400).json({
+        success: false,
+        message: `All ${organization.seats} seats are in use. Remove a member or revoke an invitation first.`,
+      })
+    }
+
+    const token = crypto.randomBytes(32).toString("hex")
+    const invitation = await OrganizationInvitation.create({
+      organizationId: organization._id,
+      email: normalizedEmail,
+      role,
+      tokenHash: hashToken(token),
+      invitedBy: req.user.userId,
+      expiresAt: new Date(Date.now() + INVITATION_EXPIRE_DAYS * 24 * 60 * 60 * 1000),
+    })
+
+    try {
+      await sendEmail("organizationInvitation", normalizedEmail, {
+        organizationName: organization.name,
+        inviterName: req.user.name,
+        role,
+        acceptUrl: `${process.env.CLIENT_URL}/organizations/join?token=${token}`,
+        expiresInDays: INVITATION_EXPIRE_DAYS,
+      })
+    } catch (emailError) {
+      console.error("Failed to send organization invitation:", emailError)
+      await OrganizationInvitation.deleteOne({ _id: invitation._id })
+      return res.status(500).json({
+        success: false,
+        message: "Failed to send invitation email. Please try again.",
+      })
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Invitation sent to ${normalizedEmail}`,
+      invitation,
+    })
+  } catch (error) {
+    console.error("Invite member error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+}
+
+// @desc    List pending invitations
+// @route   GET /api/organizations/:id/invitations
+// @access  Private (owner, admin)
+const getInvitations = async (req, res) => {
+  try {
+    const organization = await loadOrganization(req, res, { manage: true })
+    if (!organization) return
+
+    const invitations = await OrganizationInvitation.find(OrganizationInvitation.pendingQuery(organization._id))
+      .populate("invitedBy", "name email")
+      .sort({ createdAt: -1 })
+
+    res.json({
+      success: true,
+      invitations,
+    })
+  } catch (error) {
+    console.error("Get invitations error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+}
+
+// @desc    Revoke a pending invitation
+// @route   DELETE /api/organizations/:id/invitations/:invitationId
+// @access  Private (owner, admin)
+const revokeInvitation = async (req, res) => {
+  try {
+    const organization = await loadOrganization(req, res, { manage: true })
+    if (!organization) return
+
+    const invitation = mongoose.Types.ObjectId.isValid(req.params.invitationId)
+      ? await OrganizationInvitation.findOne({ _id: req.params.invitationId, organizationId: organization._id })
+      : null
+
+    if (!invitation || !invitation.isPending()) {
+      return res.status(404).json({
+        success: false,
+        message: "Invitation not found",
+      })
+    }
+
+    invitation.revokedAt = new Date()
+    await invitation.save()
+
+    res.json({
+      success: true,
+      message: "Invitation revoked",
+    })
+  } catch (error) {
+    console.error("Revoke invitation error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+}
+
+// @desc    Accept an invitation
+// @route   POST /api/organizations/invitations/accept
+// @access  Private
+const acceptInvitation = async (req, res) => {
+  try {
+    const { token } = req.body
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: "Invitation token is required",
+      })
+    }
+
+    const invitation = await OrganizationInvitation.findOne({ tokenHash: hashToken(token) })
+
+    if (!invitation || !invitation.isPending()) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid or expired invitation",
+      })
+    }
+
+    if (invitation.email !== req.user.email.toLowerCase()) {
+      return res.status(403).json({
+        success: false,
+        message: `This invitation was sent to ${invitation.email}. Sign in with that email to accept it.`,
+      })
+    }
+
+    const existing = await Organization.findForUser(req.user.userId)
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: "You already belong to an organization",
+      })
+    }
+
+    // Add the member only while a seat is free, in a single update so concurrent accepts can't overfill
+    const result = await Organization.updateOne(
+      {
+        _id: invitation.organizationId,
+        "members.userId": { $ne: req.user.userId },
+        $expr: { $lt: [{ $size: "$members" }, "$seats"] },
+      },
+      { $push: { members: { userId: req.user.userId, role: invitation.role, joinedAt: new Date() } } },
+    )
+
+    if (result.modifiedCount === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "This organization has no free seats",
+      })
+    }
+
+    invitation.acceptedAt = new Date()
+    invitation.acceptedBy = req.user.userId
+    await invitation.save()
+
+    const organization = await Organization.findById(invitation.organizationId)
+
+    res.json({
+      success: true,
+      message: `You joined ${organization.name}`,
+      organization,
+    })
+  } catch (error) {
+    console.error("Accept invitation error:", error)
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: "You already belong to an organization",
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+}
+
+// @desc    Change a member's role
+// @route   PUT /api/organizations/:id/members/:userId
+// @access  Private (owner)
+const updateMemberRole = async (req, res) => {
+  try {
+    const organization = await loadOrganization(req, res)
+    if (!organization) return
+
+    if (!organization.hasRole(req.user.userId, ["owner"])) {
+      return res.status(403).json({
+        success: false,
+        message: "Only organization owners can change roles",
+      })
+    }
+
+    const { role } = req.body
+    if (!Organization.ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Role must be one of: ${Organization.ROLES.join(", ")}`,
+      })
+    }
+
+    const member = organization.getMember(req.params.userId)
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: "Member not found",
+      })
+    }
+
+    if (member.role === "owner" && role !== "owner" && countOwners(organization) <= 1) {
+      return res.status(400).json({
+        success: false,
+        message: "An organization needs at least one owner",
+      })
+    }
+
+    member.role = role
+    await organization.save()
+
+    res.json({
+      success: true,
+      message: "Member role updated",
+      member,
+    })
+  } catch (error) {
+    console.error("Update member role error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+}
+
+// @desc    Remove a member, or leave the organization
+// @route   DELETE /api/organizations/:id/members/:userId
+// @access  Private (owner, admin, or the member themselves)
+const removeMember = async (req, res) => {
+  try {
+    const organization = await loadOrganization(req, res)
+    if (!organization) return
+
+    const member = organization.getMember(req.params.userId)
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: "Member not found",
+      })
+    }
+
+    const isSelf = req.params.userId === req.user.userId
+    const isOwner = organization.hasRole(req.user.userId, ["owner"])
+    const isAdmin = organization.hasRole(req.user.userId, ["admin"])
+
+    // Owners can remove anyone, admins can remove recruiters, everyone can leave
+    if (!isSelf && !isOwner && !(isAdmin && member.role === "recruiter")) {
+      return res.status(403).json({
+        success: false,
+        message: "You don't have permission to remove this member",
+      })
+    }
+
+    if (member.role === "owner" && countOwners(organization) <= 1) {
+      return res.status(400).json({
+        success: false,
+        message: "Transfer ownership to another member before the last owner leaves",
+      })
+    }
+
+    organization.members = organization.members.filter(
+      (existingMember) => existingMember.userId.toString() !== req.params.userId,
+    )
+    await organization.save()
+
+    res.json({
+      success: true,
+      message: isSelf ? "You left the organization" : "Member removed",
+    })
+  } catch (error) {
+    console.error("Remove member error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+}
+
+// @desc    Get bookings made by any member
+// @route   GET /api/organizations/:id/bookings
+// @access  Private (owner, admin)
+const getOrganizationBookings = async (req, res) => {
+  try {
+    const organization = await loadOrganization(req, res, { manage: true })
+    if (!organization) return
+
+    const { status, memberId, page = 1, limit = 10 } = req.query
+
+    const query = { recruiterId: { $in: organization.getMemberIds() } }
+    if (memberId) {
+      if (!organization.getMember(memberId)) {
+        return res.status(400).json({
+          success: false,
+          message: "memberId is not a member of this organization",
+        })
+      }
+      query.recruiterId = memberId
+    }
+    if (status) {
+      query.status = status
+    }
+
+    const total = await Booking.countDocuments(query)
+    const bookings = await Booking.find(query)
+      .populate("developerId", "name email avatar profile.skills")
+      .populate("recruiterId", "name email avatar")
+      .populate("slotId", "title sessionType")
+      .sort({ scheduledDate: -1 })
+      .skip((page - 1) * limit)
+      .limit(Number.parseInt(limit))
+
+    res.json({
+      success: true,
+      bookings,
+      pagination: {
+        current: Number.parseInt(page),
+        pages: Math.ceil(total / limit),
+        total,
+      },
+    })
+  } catch (error) {
+    console.error("Get organization bookings error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+}
+
+// @desc    Get developers booked by anyone in the organization
+// @route   GET /api/organizations/:id/developers
+// @access  Private (members)
+const getBookedDevelopers = async (req, res) => {
+  try {
+    const organization = await loadOrganization(req, res)
+    if (!organization) return
+
+    const developers = await Booking.aggregate([
+      {
+        $match: {
+          recruiterId: { $in: organization.getMemberIds() },
+          status: { $in: ["pending", "confirmed", "completed"] },
+        },
+      },
+      { $sort: { scheduledDate: -1 } },
+      {
+        $group: {
+          _id: "$developerId",
+          totalBookings: { $sum: 1 },
+          completedBookings: { $sum: { $cond: [{ $eq: ["$status", "completed"] }, 1, 0] } },
+          averageRating: { $avg: "$feedback.rating" },
+          lastSessionDate: { $first: "$scheduledDate" },
+          bookedBy: { $addToSet: "$recruiterId" },
+        },
+      },
+      { $sort: { lastSessionDate: -1 } },
+      {
+        $lookup: {
+          from: "users",
+          localField: "_id",
+          foreignField: "_id",
+          as: "developer",
+          pipeline: [{ $project: { name: 1, email: 1, avatar: 1, "profile.skills": 1, "profile.ratings": 1 } }],
+        },
+      },
+      { $unwind: "$developer" },
+      {
+        $lookup: {
+          from: "users",
+          localField: "bookedBy",
+          foreignField: "_id",
+          as: "bookedBy",
+          pipeline: [{ $project: { name: 1, avatar: 1 } }],
+        },
+      },
+    ])
+
+    res.json({
+      success: true,
+      developers,
+    })
+  } catch (error) {
+    console.error("Get booked developers error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+}
+
+module.exports = {
+  createOrganization,
+  getMyOrganization,
+  updateOrganization,
+  inviteMember,
+  getInvitations,
+  revokeInvitation,
+  acceptInvitation,
+  updateMemberRole,
+  removeMember,
+  getOrganizationBookings,
+  getBookedDevelopers,
+}
@@ -1,17 +1,11 @@
 const mongoose = require("mongoose") 
+const crypto = require("crypto")
 const Post = require("../models/Post")
 const User = require("../models/User")
 const Connection = require("../models/Connection")
 const { createNotification } = require("./notificationControllers")
 const { emitToUser } = require("../utils/socketUtils")
-const cloudinary = require("cloudinary").v2
-
-// Configure Cloudinary
-cloudinary.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET,
-})
+const { storeImage, deleteStoredImage } = require("../utils/imageUtils")
 
 // @desc    Create a new post
 // @route   POST /api/posts
@@ -29,31 +23,25 @@ const createPost = async (req, res) => {
 
     const images = []
 
-    // Handle image uploads if any
+    // Store the processed variants of any uploaded images
     if (req.files && req.files.length > 0) {
       for (const file of req.files) {
         try {
-          // Convert buffer to base64
-          const base64String = file.buffer.toString("base64")
-          const dataURI = `data:${file.mimetype};base64,${base64String}`
-
-          // Upload to Cloudinary
-          const result = await cloudinary.uploader.upload(dataURI, {
-            folder: `rite/posts/${req.user.userId}`,
-            resource_type: "auto",
-            transformation: [
-              { width: 1200, height: 1200, crop: "limit" },
-              { quality: "auto" },
-              { fetch_format: "auto" },
-            ],
-          })
+          const keyPrefix = `rite/posts/${req.user.userId}/${Date.now()}-${crypto.randomBytes(6).toString("hex")}`
+          const image = await storeImage("posts", keyPrefix, file.processedImage)
 
           images.push({
-            url: result.secure_url,
-            publicId: result.public_id,
+            url: image.variants.full.jpeg,
+            variants: image.variants,
+            width: image.width,
+            height: image.height,
+            files: image.files,
           })
         } catch (uploadError) {
-          console.error("Cloudinary upload error:", uploadError)
+          console.error("Post image upload error:", uploadError)
+          for (const image of images) {
+            await deleteStoredImage(image).catch((cleanupError) => console.error("Image cleanup error:", cleanupError))
+          }
           return res.status(500).json({
             success: false,
             message: "Error uploading image",
@@ -71,7 +59,7 @@ const createPost = async (req, res) => {
     })
 
     await post.save()
-    await post.populate("author", "name avatar role")
+    await post.populate("author", "name avatar avatarVariants.thumb role")
 
     res.status(201).json({
       success: true,
@@ -101,10 +89,10 @@ const getPost = async (req, res) => {
     }
 
     const post = await Post.findById(req.params.id)
-      .populate("author", "name avatar role")
-      .populate("likes.user", "name avatar")
-      .populate("comments.user", "name avatar")
-      .populate("shares.user", "name avatar")
+      .populate("author", "name avatar avatarVariants.thumb role")
+      .populate("likes.user", "name avatar avatarVariants.thumb")
+      .populate("comments.user", "name avatar avatarVariants.thumb")
+      .populate("shares.user", "name avatar avatarVariants.thumb")
 
     if (!post || !post.isActive) {
       return res.status(404).json({
@@ -192,15 +180,15 @@ const getFeed = async (req, res) => {
     }
 
     const posts = await Post.find(query)
-      .populate("author", "name avatar role")
-      .populate("likes.user", "name avatar")
-      .populate("comments.user", "name avatar")
-      .populate("shares.user", "name avatar")
+      .populate("author", "name avatar avatarVariants.thumb role")
+      .populate("likes.user", "name avatar avatarVariants.thumb")
+      .populate("comments.user", "name avatar avatarVariants.thumb")
+      .populate("shares.user", "name avatar avatarVariants.thumb")
       .populate({
         path: "sharedPost",
         populate: {
           path: "author",
-          select: "name avatar role",
+          select: "name avatar avatarVariants.thumb role",
         },
       })
       .sort({ createdAt: -1 })
@@ -240,15 +228,15 @@ const getMyPosts = async (req, res) => {
       author: req.user.userId,
       isActive: true,
     })
-      .populate("author", "name avatar role")
-      .populate("likes.user", "name avatar")
-      .populate("comments.user", "name avatar")
-      .populate("shares.user", "name avatar")
+      .populate("author", "name avatar avatarVariants.thumb role")
+      .populate("likes.user", "name avatar avatarVariants.thumb")
+      .populate("comments.user", "name avatar avatarVariants.thumb")
+      .populate("shares.user", "name avatar avatarVariants.thumb")
       .populate({
         path: "sharedPost",
         populate: {
           path: "author",
-          select: "name avatar role",
+          select: "name avatar avatarVariants.thumb role",
         },
       })
       .sort({ createdAt: -1 })
@@ -372,7 +360,7 @@ const toggleLike = async (req, res) => {
     await post.save()
 
     // Populate likes for response
-    await post.populate("likes.user", "name avatar")
+    await post.populate("likes.user", "name avatar avatarVariants.thumb")
 
     // Emit real-time update to post author (only for new likes, not unlikes)
     if (isLiked && post.author.toString() !== userId.toString()) {
@@ -505,7 +493,7 @@ const addComment = async (req, res) => {
     await post.save()
     
     // Populate the new comment with user data
-    await post.populate("comments.user", "name avatar")
+    await post.populate("comments.user", "name avatar avatarVariants.thumb")
 
     const newComment = post.comments[post.comments.length - 1]
 
@@ -594,7 +582,7 @@ const sharePost = async (req, res) => {
       })
     }
 
-    const post = await Post.findById(postId).populate("author", "name avatar")
+    const post = await Post.findById(postId).populate("author", "name avatar avatarVariants.thumb")
 
     if (!post || !post.isActive) {
       return res.status(404).json({
@@ -631,13 +619,13 @@ const sharePost = async (req, res) => {
 
     await sharedPost.save()
     await sharedPost.populate([
-      { path: "author", select: "name avatar role" },
+      { path: "author", select: "name avatar avatarVariants.thumb role" },
       {
         path: "sharedPost",
         select: "content images author createdAt",
         populate: {
           path: "author",
-          select: "name avatar role",
+          select: "name avatar avatarVariants.thumb role",
         },
       },
     ])
@@ -750,7 +738,7 @@ const getPostShares = async (req, res) => {
       })
     }
 
-    const post = await Post.findById(postId).populate("shares.user", "name avatar role")
+    const post = await Post.findById(postId).populate("shares.user", "name avatar avatarVariants.thumb role")
 
     if (!post || !post.isActive) {
       return res.status(404).json({
@@ -805,13 +793,13 @@ const deletePost = async (req, res) => {
       })
     }
 
-    // Delete images from Cloudinary
+    // Delete images from storage
     if (post.images && post.images.length > 0) {
       for (const image of post.images) {
         try {
-          await cloudinary.uploader.destroy(image.publicId)
+          await deleteStoredImage(image)
         } catch (deleteError) {
-          console.error("Error deleting image from Cloudinary:", deleteError)
+          console.error("Error deleting post image:", deleteError)
         }
       }
     }
@@ -942,7 +930,7 @@ const editComment = async (req, res) => {
     comment.content = content.trim()
     comment.editedAt = new Date()
     await post.save()
-    await post.populate("comments.user", "name avatar")
+    await post.populate("comments.user", "name avatar avatarVariants.thumb")
 
     res.json({
       success: true,
@@ -0,0 +1,486 @@
+const path = require("path")
+const mongoose = require("mongoose")
+const User = require("../models/User")
+const { detectResumeType, extractResumeText, parseResume } = require("../utils/resumeUtils")
+const { toJsonResume, fromJsonResume } = require("../utils/jsonResumeUtils")
+const { putFile, deleteFile, getSignedUrl } = require("../utils/storageUtils")
+const { getViewerContext, canViewSection, applyPrivacy } = require("../utils/privacyUtils")
+
+// How long the storage URL a download redirects to stays valid
+const DOWNLOAD_URL_SECONDS = 5 * 60
+
+// Resume details shown to the owner
+const formatResume = (user) =>
+  user.resumeFile?.file
+    ? {
+        fileName: user.resumeFile.fileName,
+        contentType: user.resumeFile.contentType,
+        size: user.resumeFile.size,
+        uploadedAt: user.resumeFile.uploadedAt,
+        privacy: user.privacy?.resume,
+      }
+    : null
+
+const formatSuggestions = (user) => ({
+  skills: user.resumeSuggestions?.skills || [],
+  experience: user.resumeSuggestions?.experience || [],
+  education: user.resumeSuggestions?.education || [],
+  generatedAt: user.resumeSuggestions?.generatedAt || null,
+})
+
+// Profile fields a JSON Resume import can overwrite
+const IMPORTED_FIELDS = [
+  "name",
+  "profile.bio",
+  "profile.location",
+  "profile.github",
+  "profile.linkedin",
+  "profile.portfolio",
+  "profile.website",
+]
+
+// Merge imported profile data into the user document: overwrite the fields the document sets and add
+// skills, experience and education entries the profile doesn't have yet. Returns what changed.
+const mergeImportedProfile = (user, imported) => {
+  const fields = []
+  const added = { skills: [], experience: [], education: [] }
+  const key = (...values) => values.map((value) => (value || "").toLowerCase().trim()).join("|")
+
+  for (const field of IMPORTED_FIELDS) {
+    const value = field === "name" ? imported.name : imported.profile[field.replace("profile.", "")]
+    const current = user.get(field)
+    if (value !== undefined && value !== current) {
+      fields.push({ field, from: current ?? null, to: value })
+      user.set(field, value)
+    }
+  }
+
+  const skills = new Set((user.profile.skills || []).map((skill) => key(skill)))
+  for (const skill of imported.profile.skills || []) {
+    if (!skills.has(key(skill))) {
+      skills.add(key(skill))
+      added.skills.push(skill)
+    }
+  }
+
+  const experience = new Set((user.profile.experience || []).map((entry) => key(entry.title, entry.company)))
+  for (const entry of imported.profile.experience || []) {
+    if (!experience.has(key(entry.title, entry.company))) {
+      experience.add(key(entry.title, entry.company))
+      added.experience.push(entry)
+    }
+  }
+
+  const education = new Set((user.profile.education || []).map((entry) => key(entry.degree, entry.school)))
+  for (const entry of imported.profile.education || []) {
+    if (!education.has(key(entry.degree, entry.school))) {
+      education.add(key(entry.degree, entry.school))
+      added.education.push(entry)
+    }
+  }
+
+  user.profile.skills.push(...added.skills)
+  user.profile.experience.push(...added.experience)
+  user.profile.education.push(...added.education)
+
+  return { fields, added }
+}
+
+// @desc    Upload a resume and suggest profile entries from it
+// @route   POST /api/users/resume
+// @access  Private
+const uploadResume = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: "No file uploaded",
+      })
+    }
+
+    // The client-supplied mimetype was only a first filter; check the file itself
+    const resumeType = detectResumeType(req.file.buffer)
+    if (!resumeType) {
+      return res.status(400).json({
+        success: false,
+        message: "Resume must be a PDF or DOCX file",
+      })
+    }
+
+    const user = await User.findById(req.user.userId)
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      })
+    }
+
+    const text = await extractResumeText(req.file.buffer, resumeType.type)
+    const suggestions = parseResume(text, user.profile)
+
+    const stored = await putFile(
+      "resumes",
+      `resumes/${user._id}/${Date.now()}.${resumeType.extension}`,
+      req.file.buffer,
+      { contentType: resumeType.contentType, isPublic: false },
+    )
+
+    const previousFile = user.resumeFile?.file
+      ? { driver: user.resumeFile.file.driver, key: user.resumeFile.file.key }
+      : null
+
+    user.resumeFile = {
+      fileName: path.basename(req.file.originalname || `resume.${resumeType.extension}`).substring(0, 255),
+      contentType: resumeType.contentType,
+      size: req.file.size,
+      file: { driver: stored.driver, key: stored.key },
+      text,
+      uploadedAt: new Date(),
+    }
+    user.resumeSuggestions = { ...suggestions, generatedAt: new Date() }
+
+    try {
+      await user.save()
+    } catch (saveError) {
+      await deleteFile(stored).catch((deleteError) => console.error("Error deleting resume upload:", deleteError))
+      throw saveError
+    }
+
+    if (previousFile) {
+      try {
+        await deleteFile(previousFile)
+      } catch (deleteError) {
+        console.error("Error deleting previous resume:", deleteError)
+      }
+    }
+
+    const found = suggestions.skills.length + suggestions.experience.length + suggestions.education.length
+
+    res.status(201).json({
+      success: true,
+      message: !text
+        ? "Resume uploaded. No text could be read from it, so there are no suggestions."
+        : found
+          ? "Resume uploaded. Review the suggested profile entries to add them to your profile."
+          : "Resume uploaded. We didn't find anything new to add to your profile.",
+      resume: formatResume(user),
+      suggestions: formatSuggestions(user),
+    })
+  } catch (error) {
+    console.error("Upload resume error:", error)
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : "Server error",
+    })
+  }
+}
+
+// @desc    Get your resume details and pending suggestions
+// @route   GET /api/users/resume
+// @access  Private
+const getResume = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId)
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      })
+    }
+
+    res.json({
+      success: true,
+      resume: formatResume(user),
+      suggestions: formatSuggestions(user),
+    })
+  } catch (error) {
+    console.error("Get resume error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+}
+
+// @desc    Add confirmed resume suggestions to your profile. Suggestions that aren't confirmed are discarded.
+// @route   POST /api/users/resume/suggestions/confirm
+// @access  Private
+// Body: { skills: [name], experience: [index], education: [index] }
+const confirmResumeSuggestions = async (req, res) => {
+  try {
+    const { skills = [], experience = [], education = [] } = req.body || {}
+
+    if (![skills, experience, education].every(Array.isArray)) {
+      return res.status(400).json({
+        success: false,
+        message: "skills, experience and education must be arrays",
+      })
+    }
+
+    const user = await User.findById(req.user.userId)
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      })
+    }
+
+    const suggestions = formatSuggestions(user)
+    if (!suggestions.generatedAt) {
+      return res.status(400).json({
+        success: false,
+        message: "There are no resume suggestions to confirm",
+      })
+    }
+
+    const pick = (entries, indexes) =>
+      [...new Set(indexes)]
+        .filter((index) => Number.isInteger(index) && index >= 0 && index < entries.length)
+        .map((index) => entries[index].toObject())
+
+    const confirmedSkills = suggestions.skills.filter((skill) =>
+      skills.some((name) => typeof name === "string" && name.toLowerCase() === skill.toLowerCase()),
+    )
+    const existingSkills = new Set((user.profile.skills || []).map((skill) => skill.toLowerCase()))
+    const addedSkills = confirmedSkills.filter((skill) => !existingSkills.has(skill.toLowerCase()))
+    const addedExperience = pick(suggestions.experience, experience)
+    const addedEducation = pick(suggestions.education, education)
+
+    user.profile.skills.push(...addedSkills)
+    user.profile.experience.push(...addedExperience)
+    user.profile.education.push(...addedEducation)
+    user.resumeSuggestions = undefined
+    user.markModified("profile")
+    await user.save()
+
+    res.json({
+      success: true,
+      message: "Profile updated from your resume",
+      added: {
+        skills: addedSkills.length,
+        experience: addedExperience.length,
+        education: addedEducation.length,
+      },
+      user: user.toJSON(),
+    })
+  } catch (error) {
+    console.error("Confirm resume suggestions error:", error)
+
+    // Suggested entries that don't pass the profile's validation
+    if (error.name === "ValidationError") {
+      const errors = Object.values(error.errors).map((err) => err.message)
+      return res.status(400).json({
+        success: false,
+        message: "Validation error",
+        errors,
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+}
+
+// @desc    Discard the suggestions from your resume
+// @route   DELETE /api/users/resume/suggestions
+// @access  Private
+const dismissResumeSuggestions = async (req, res) => {
+  try {
+    await User.updateOne({ _id: req.user.userId }, { $unset: { resumeSuggestions: "" } })
+
+    res.json({
+      success: true,
+      message: "Resume suggestions dismissed",
+    })
+  } catch (error) {
+    console.error("Dismiss resume suggestions error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+}
+
+// @desc    Remove your uploaded resume
+// @route   DELETE /api/users/resume
+// @access  Private
+const deleteResume = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId)
+    if (!user || !user.resumeFile?.file) {
+      return res.status(404).json({
+        success: false,
+        message: "No resume uploaded",
+      })
+    }
+
+    await deleteFile(user.resumeFile.file)
+    user.resumeFile = undefined
+    user.resumeSuggestions = undefined
+    await user.save()
+
+    res.json({
+      success: true,
+      message: "Resume removed",
+    })
+  } catch (error) {
+    console.error("Delete resume error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+}
+
+// @desc    Download a user's resume, if their privacy settings allow it
+// @route   GET /api/users/:id/resume
+// @access  Private
+const downloadResume = async (req, res) => {
+  try {
+    const owner = mongoose.Types.ObjectId.isValid(req.params.id) ? await User.findById(req.params.id) : null
+
+    // Accounts awaiting deletion are treated as already gone
+    if (!owner || owner.isPendingDeletion() || !owner.resumeFile?.file) {
+      return res.status(404).json({
+        success: false,
+        message: "Resume not found",
+      })
+    }
+
+    const viewer = await getViewerContext(req.user)
+    if (!canViewSection(owner, "resume", viewer)) {
+      return res.status(403).json({
+        success: false,
+        message: "This user's privacy settings don't allow you to download their resume",
+      })
+    }
+
+    // Hand off to a short-lived URL from the storage driver rather than streaming through the API
+    res.redirect(await getSignedUrl(owner.resumeFile.file, DOWNLOAD_URL_SECONDS))
+  } catch (error) {
+    console.error("Download resume error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+}
+
+// @desc    Export a profile as a JSON Resume document
+// @route   GET /api/users/:id/resume.json
+// @access  Private
+const exportJsonResume = async (req, res) => {
+  try {
+    const user = mongoose.Types.ObjectId.isValid(req.params.id) ? await User.findById(req.params.id) : null
+
+    // Accounts awaiting deletion are treated as already gone
+    if (!user || user.isPendingDeletion()) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      })
+    }
+
+    // Sections hidden by the user's privacy settings are left out
+    const viewer = await getViewerContext(req.user)
+    res.json(toJsonResume(applyPrivacy(user, viewer)))
+  } catch (error) {
+    console.error("Export JSON Resume error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+}
+
+// @desc    Import a JSON Resume document into your profile. Returns a preview of the changes unless ?apply=true.
+// @route   POST /api/users/profile/import
+// @access  Private
+const importJsonResume = async (req, res) => {
+  try {
+    const resume = req.body
+
+    if (!resume || typeof resume !== "object" || Array.isArray(resume)) {
+      return res.status(400).json({
+        success: false,
+        message: "Request body must be a JSON Resume document",
+      })
+    }
+
+    const user = await User.findById(req.user.userId)
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      })
+    }
+
+    const changes = mergeImportedProfile(user, fromJsonResume(resume))
+
+    // Run the User schema validators (URL formats, required entry fields, lengths) on what the import touches
+    const changedPaths = [
+      ...changes.fields.map(({ field }) => field),
+      ...Object.keys(changes.added)
+        .filter((list) => changes.added[list].length > 0)
+        .map((list) => `profile.${list}`),
+    ]
+    const validationError = changedPaths.length ? user.validateSync(changedPaths) : null
+    const errors = validationError
+      ? Object.fromEntries(Object.entries(validationError.errors).map(([path, error]) => [path, error.message]))
+      : null
+
+    const hasChanges = changedPaths.length > 0
+    const apply = req.query.apply === "true"
+
+    if (!apply) {
+      return res.json({
+        success: true,
+        preview: true,
+        valid: !errors,
+        hasChanges,
+        changes,
+        errors,
+      })
+    }
+
+    if (errors) {
+      return res.status(400).json({
+        success: false,
+        message: "The resume contains invalid values",
+        changes,
+        errors,
+      })
+    }
+
+    if (hasChanges) {
+      user.markModified("profile")
+      await user.save()
+    }
+
+    res.json({
+      success: true,
+      message: hasChanges ? "Profile updated from your resume" : "Your profile already matches this resume",
+      changes,
+      user: user.toJSON(),
+    })
+  } catch (error) {
+    console.error("Import JSON Resume error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+}
+
+module.exports = {
+  uploadResume,
+  getResume,
+  confirmResumeSuggestions,
+  dismissResumeSuggestions,
+  deleteResume,
+  downloadResume,
+  exportJsonResume,
+  importJsonResume,
+}
@@ -0,0 +1,73 @@
+const Skill = require("../models/Skill")
+const { escapeRegex } = require("../utils/textSearchUtils")
+
+// Skills considered when ranking autocomplete results
+const MAX_AUTOCOMPLETE_CANDIDATES = 50
+
+// @desc    Suggest skills from the taxonomy as the user types
+// @route   GET /api/skills/autocomplete?q=rea&category=library&limit=10
+// @access  Public
+const autocompleteSkills = async (req, res) => {
+  try {
+    const { q = "", category, limit = 10 } = req.query
+    const key = Skill.normalizeKey(q)
+
+    if (!key) {
+      return res.status(400).json({
+        success: false,
+        message: "Search text is required",
+      })
+    }
+
+    if (category && !Skill.CATEGORIES.includes(category)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid category. Allowed values: ${Skill.CATEGORIES.join(", ")}`,
+      })
+    }
+
+    const query = { keys: new RegExp(`^${escapeRegex(key)}`) }
+    if (category) {
+      query.category = category
+    }
+
+    const skills = await Skill.find(query)
+      .select("name aliases keys category parent")
+      .populate("parent", "name")
+      .limit(MAX_AUTOCOMPLETE_CANDIDATES)
+
+    // Exact matches first, then matches on the canonical name, then shorter names
+    const rank = (skill) => {
+      if (skill.keys.includes(key)) return 0
+      return Skill.normalizeKey(skill.name).startsWith(key) ? 1 : 2
+    }
+    const ranked = skills
+      .sort((a, b) => rank(a) - rank(b) || a.name.length - b.name.length || a.name.localeCompare(b.name))
+      .slice(0, Math.min(Math.max(Number.parseInt(limit) || 10, 1), MAX_AUTOCOMPLETE_CANDIDATES))
+
+    res.json({
+      success: true,
+      skills: ranked.map((skill) => ({
+        _id: skill._id,
+        name: skill.name,
+        aliases: skill.aliases,
+        category: skill.category,
+        parent: skill.parent,
+        // The alias that matched, so the UI can show "ReactJS → React"
+        matchedAlias: Skill.normalizeKey(skill.name).startsWith(key)
+          ? null
+          : skill.aliases.find((alias) => Skill.normalizeKey(alias).startsWith(key)) || null,
+      })),
+    })
+  } catch (error) {
+    console.error("Autocomplete skills error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+}
+
+module.exports = {
+  autocompleteSkills,
+}
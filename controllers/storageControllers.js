@@ -0,0 +1,45 @@
+const {
+  resolveLocalPath,
+  normalizeLocalKey,
+  isPrivateLocalKey,
+  verifyLocalSignature,
+} = require("../utils/storageUtils")
+
+// @desc    Serve a file stored by the local storage driver
+// @route   GET /uploads/*
+// @access  Public (private files need a signed URL)
+const serveLocalFile = async (req, res) => {
+  try {
+    // Checked in normalized form, so "x/../private/..." can't skip the signature check
+    const key = normalizeLocalKey(req.params[0])
+    const { expires, signature } = req.query
+
+    // Signed URLs stop working once they expire, even for public files
+    const isSigned = expires !== undefined || signature !== undefined
+    if ((isSigned || isPrivateLocalKey(key)) && !verifyLocalSignature(key, expires, signature)) {
+      return res.status(403).json({
+        success: false,
+        message: "This link is invalid or has expired",
+      })
+    }
+
+    res.sendFile(resolveLocalPath(key), (error) => {
+      if (error && !res.headersSent) {
+        res.status(404).json({
+          success: false,
+          message: "File not found",
+        })
+      }
+    })
+  } catch (error) {
+    console.error("Serve local file error:", error)
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : "Server error",
+    })
+  }
+}
+
+module.exports = {
+  serveLocalFile,
+}
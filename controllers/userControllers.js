@@ -1,12 +1,166 @@
+const crypto = require("crypto")
 const User = require("../models/User")
-const AWS = require("aws-sdk")
+const SecurityEvent = require("../models/SecurityEvent")
+const Session = require("../models/Session")
+const AccessToken = require("../models/AccessToken")
+const Post = require("../models/Post")
+const Message = require("../models/Message")
+const Connection = require("../models/Connection")
+const DeveloperSlot = require("../models/DeveloperSlot")
+const Booking = require("../models/Booking")
+const Notification = require("../models/Notification")
+const Organization = require("../models/Organization")
+const Endorsement = require("../models/Endorsement")
+const OrganizationInvitation = require("../models/OrganizationInvitation")
+const { createNotification } = require("./notificationControllers")
+const { deleteUserDataExports } = require("./dataExportControllers")
+const { hashToken } = require("../utils/tokenUtils")
+const { sendEmail } = require("../utils/emailUtils")
+const { disconnectUserSockets } = require("../utils/socketUtils")
+const { storeImage, deleteStoredImage } = require("../utils/imageUtils")
+const { deleteFile } = require("../utils/storageUtils")
+const { getViewerContext, canViewSection, applyPrivacy, matchVisible } = require("../utils/privacyUtils")
+const { searchUserProfiles } = require("../utils/userSearchUtils")
+const { escapeRegex } = require("../utils/textSearchUtils")
+const { USER_SKILL_PATHS, skillCondition } = require("../utils/skillUtils")
+const {
+  parseDeveloperFilters,
+  buildDeveloperQuery,
+  rankDevelopers,
+  getDeveloperFacets,
+} = require("../utils/developerDirectoryUtils")
+
+// Accounts purged per run of purgeDeletedAccounts
+const PURGE_BATCH_SIZE = 20
+
+// Cancel the user's upcoming bookings and notify the other party. Pass req for real-time notifications.
+const cancelUpcomingBookings = async (user, req = null) => {
+  const startOfToday = new Date()
+  startOfToday.setUTCHours(0, 0, 0, 0)
+
+  const bookings = await Booking.find({
+    $or: [{ developerId: user._id }, { recruiterId: user._id }],
+    status: { $in: ["pending", "confirmed"] },
+    scheduledDate: { $gte: startOfToday },
+  })
+
+  for (const booking of bookings) {
+    booking.status = "cancelled"
+    booking.cancellationReason = `${user.name} deleted their account`
+    await booking.save()
+
+    const otherPartyId = booking.developerId.equals(user._id) ? booking.recruiterId : booking.developerId
+    try {
+      await createNotification(
+        otherPartyId,
+        "booking_cancelled",
+        "Booking Cancelled",
+        `Your ${booking.sessionType} session with ${user.name} on ${booking.scheduledDate.toLocaleDateString()} was cancelled because their account was deleted.`,
+        { bookingId: booking._id, developerId: booking.developerId, recruiterId: booking.recruiterId },
+        req,
+      )
+    } catch (notificationError) {
+      console.error("Error creating cancellation notification:", notificationError)
+    }
+  }
+
+  return bookings.length
+}
+
+// Delete the user's uploaded avatar, resume and post images. Errors are thrown so the purge is retried.
+const deleteUserMedia = async (user) => {
+  await deleteStoredImage({ files: user.avatarFiles })
+  await deleteFile(user.resumeFile?.file)
+
+  const posts = await Post.find({ author: user._id, "images.0": { $exists: true } }).select("images")
+  for (const post of posts) {
+    for (const image of post.images) {
+      await deleteStoredImage(image)
+    }
+  }
+}
+
+// Give up the user's organization seat, handing ownership on or removing the organization if they were the last member
+const leaveOrganization = async (user) => {
+  await OrganizationInvitation.deleteMany({ email: user.email })
 
-// Configure AWS S3
-const s3 = new AWS.S3({
-  accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-  secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
-  region: process.env.AWS_REGION,
-})
+  const organization = await Organization.findForUser(user._id)
+  if (!organization) return
+
+  const remaining = organization.members.filter((member) => !member.userId.equals(user._id))
+  if (remaining.length === 0) {
+    await OrganizationInvitation.deleteMany({ organizationId: organization._id })
+    await Organization.deleteOne({ _id: organization._id })
+    return
+  }
+
+  if (!remaining.some((member) => member.role === "owner")) {
+    const successor = remaining.find((member) => member.role === "admin") || remaining[0]
+    successor.role = "owner"
+  }
+
+  organization.members = remaining
+  await organization.save()
+}
+
+// Remove or anonymize everything the user owns, then delete the account itself
+const purgeUser = async (user) => {
+  const userId = user._id
+
+  await cancelUpcomingBookings(user)
+  await deleteUserMedia(user)
+
+  // Content. Shares of the user's posts keep their own text but lose the reference.
+  const postIds = await Post.distinct("_id", { author: userId })
+  await Post.deleteMany({ author: userId })
+  await Post.updateMany({ sharedPost: { $in: postIds } }, { $unset: { sharedPost: "" }, isShared: false })
+  await Post.updateMany(
+    { $or: [{ "likes.user": userId }, { "comments.user": userId }, { "shares.user": userId }] },
+    { $pull: { likes: { user: userId }, comments: { user: userId }, shares: { user: userId } } },
+  )
+
+  // Conversations stay with the other party, with the user's side anonymized
+  await Message.updateMany({ sender: userId }, { sender: null })
+  await Message.updateMany({ receiver: userId }, { receiver: null })
+  await Message.updateMany({ "reactions.userId": userId }, { $pull: { reactions: { userId } } })
+  await Message.deleteMany({ sender: null, receiver: null })
+
+  // Relationships and scheduling
+  await Connection.deleteMany({ $or: [{ requester: userId }, { recipient: userId }] })
+  const endorsedUserIds = await Endorsement.distinct("user", { endorser: userId })
+  await Endorsement.deleteMany({ $or: [{ user: userId }, { endorser: userId }] })
+  for (const endorsedUserId of endorsedUserIds) {
+    await Endorsement.updateStats(endorsedUserId)
+  }
+  await DeveloperSlot.deleteMany({ developerId: userId })
+
+  // Bookings stay in the other party's history. Reviews written by a recruiter keep their ratings, so the
+  // developer's averages are unchanged, but the text they wrote is removed.
+  await Booking.updateMany(
+    { recruiterId: userId },
+    {
+      recruiterId: null,
+      $unset: { message: "", requirements: "", "review.comment": "", "feedback.comment": "" },
+    },
+  )
+  await Booking.updateMany({ developerId: userId }, { developerId: null })
+  await Booking.deleteMany({ developerId: null, recruiterId: null })
+  await leaveOrganization(user)
+
+  // Notifications to the user, and references to them in other people's notifications
+  await Notification.deleteMany({ userId })
+  for (const field of ["data.developerId", "data.recruiterId", "data.userId"]) {
+    await Notification.updateMany({ [field]: userId }, { $unset: { [field]: "" } })
+  }
+
+  // Credentials and account history. The admin audit trail is kept.
+  await Session.deleteMany({ userId })
+  await AccessToken.deleteMany({ userId })
+  await SecurityEvent.deleteMany({ userId })
+  await deleteUserDataExports(userId)
+
+  await User.deleteOne({ _id: userId })
+}
 
 exports.getProfile = async (req, res) => {
   try {
@@ -36,7 +190,7 @@ exports.getProfile = async (req, res) => {
 // Update user profile
 exports.updateProfile = async (req, res) => {
   try {
-    const { name, profile, preferences } = req.body;
+    const { name, profile, preferences, privacy } = req.body;
     const user = await User.findById(req.user.userId);
 
     if (!user) {
@@ -79,9 +233,9 @@ exports.updateProfile = async (req, res) => {
         };
       }
 
-      // Update individual profile fields (excluding ratings)
+      // Update individual profile fields (excluding ratings, and skill IDs which are set from skills)
       Object.keys(profile).forEach(key => {
-        if (key !== 'ratings' && profile[key] !== undefined) {
+        if (key !== 'ratings' && key !== 'skillIds' && profile[key] !== undefined) {
           // Handle arrays - only update if they have content or are explicitly empty arrays
           if (Array.isArray(profile[key])) {
             user.profile[key] = profile[key];
@@ -91,7 +245,7 @@ exports.updateProfile = async (req, res) => {
             user.profile[key] = profile[key];
           }
           // Handle empty strings for optional fields
-          else if (profile[key] === '' && ['bio', 'location', 'portfolio', 'github', 'linkedin', 'website', 'calendlyUsername'].includes(key)) {
+          else if (profile[key] === '' && ['bio', 'location', 'timezone', 'company', 'portfolio', 'github', 'linkedin', 'website', 'calendlyUsername'].includes(key)) {
             user.profile[key] = '';
           }
         }
@@ -135,6 +289,15 @@ exports.updateProfile = async (req, res) => {
       });
     }
 
+    // Handle privacy settings, ignoring unknown sections and levels
+    if (privacy) {
+      Object.keys(privacy).forEach(key => {
+        if (User.schema.path(`privacy.${key}`) && User.PRIVACY_LEVELS.includes(privacy[key])) {
+          user.privacy[key] = privacy[key];
+        }
+      });
+    }
+
     // Use markModified to ensure Mongoose detects nested changes
     if (profile) {
       user.markModified('profile');
@@ -230,16 +393,20 @@ exports.getUserById = async (req, res) => {
   try {
     const user = await User.findById(req.params.id).select("-password")
 
-    if (!user) {
+    // Accounts awaiting deletion are treated as already gone
+    if (!user || user.isPendingDeletion()) {
       return res.status(404).json({
         success: false,
         message: "User not found",
       })
     }
 
+    const viewer = await getViewerContext(req.user)
+
     res.json({
       success: true,
-      user,
+      user: applyPrivacy(user, viewer),
+      endorsements: canViewSection(user, "skills", viewer) ? await Endorsement.summarize(user, req.user.userId) : [],
     })
   } catch (error) {
     console.error("Get user by ID error:", error)
@@ -250,9 +417,10 @@ exports.getUserById = async (req, res) => {
   }
 }
 
-// Delete user account
+// Delete user account. The account is deactivated now and purged once the grace period ends.
 exports.deleteAccount = async (req, res) => {
   try {
+    const { reason } = req.body || {}
     const user = await User.findById(req.user.userId)
     if (!user) {
       return res.status(404).json({
@@ -261,13 +429,44 @@ exports.deleteAccount = async (req, res) => {
       })
     }
 
-    await User.findByIdAndDelete(req.user.userId)
+    const restoreToken = crypto.randomBytes(32).toString("hex")
+    user.scheduleDeletion(hashToken(restoreToken), reason)
+    await user.save()
+
+    // Sign the user out everywhere and take them out of listings and bookings
+    await Session.revokeAllForUser(user._id, "account_deletion")
+    await AccessToken.updateMany({ userId: user._id, revokedAt: { $exists: false } }, { revokedAt: new Date() })
+    await DeveloperSlot.updateMany({ developerId: user._id, isActive: true }, { isActive: false })
+    const cancelledBookings = await cancelUpcomingBookings(user, req)
+
+    const io = req.app.get("io")
+    if (io) {
+      await disconnectUserSockets(io, user._id)
+    }
+
+    await SecurityEvent.record(req, user._id, "account_deletion", {
+      email: user.email,
+      scheduledFor: user.deletion.scheduledFor,
+    })
+
+    try {
+      await sendEmail("accountDeletionScheduled", user.email, {
+        name: user.name,
+        scheduledFor: user.deletion.scheduledFor,
+        restoreUrl: `${process.env.CLIENT_URL}/account/restore?token=${restoreToken}`,
+      })
+    } catch (emailError) {
+      console.error("Failed to send account deletion email:", emailError)
+    }
 
     res.json({
       success: true,
-      message: "Account deleted successfully",
+      message: "Your account has been deactivated and will be permanently deleted after the grace period",
+      scheduledFor: user.deletion.scheduledFor,
+      cancelledBookings,
     })
   } catch (error) {
+    console.error("Delete account error:", error)
     res.status(500).json({
       success: false,
       message: "Failed to delete account",
@@ -276,6 +475,63 @@ exports.deleteAccount = async (req, res) => {
   }
 }
 
+// Restore an account during its deletion grace period
+exports.restoreAccount = async (req, res) => {
+  try {
+    const { token } = req.body
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: "Restore token is required",
+      })
+    }
+
+    const user = await User.findOneAndUpdate(
+      { "deletion.restoreToken": hashToken(token), "deletion.scheduledFor": { $gt: new Date() } },
+      { $set: { isActive: true }, $unset: { deletion: "" } },
+      { new: true },
+    )
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid or expired restore link",
+      })
+    }
+
+    await SecurityEvent.record(req, user._id, "account_restoration")
+
+    res.json({
+      success: true,
+      message: "Your account has been restored. Sign in to continue. Your session slots were deactivated and need to be turned back on.",
+    })
+  } catch (error) {
+    console.error("Restore account error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+}
+
+// Purge accounts whose deletion grace period has ended. Run periodically from server.js.
+exports.purgeDeletedAccounts = async () => {
+  const users = await User.find({ "deletion.scheduledFor": { $lte: new Date() } }).limit(PURGE_BATCH_SIZE)
+
+  let purged = 0
+  for (const user of users) {
+    try {
+      await purgeUser(user)
+      purged++
+    } catch (error) {
+      console.error(`Error purging account ${user._id}:`, error)
+    }
+  }
+
+  return { purged }
+}
+
 // Upload avatar
 exports.uploadAvatar = async (req, res) => {
   try {
@@ -295,38 +551,27 @@ exports.uploadAvatar = async (req, res) => {
       })
     }
 
-    // Delete old avatar from S3 if exists
-    if (user.avatar && user.avatar.includes("amazonaws.com")) {
-      const oldKey = user.avatar.split("/").pop()
-      await s3
-        .deleteObject({
-          Bucket: process.env.AWS_S3_BUCKET,
-          Key: `avatars/${oldKey}`,
-        })
-        .promise()
-    }
-
-    // Upload new avatar to S3
-    const key = `avatars/${req.user.userId}-${Date.now()}-${req.file.originalname}`
-
-    const uploadParams = {
-      Bucket: process.env.AWS_S3_BUCKET,
-      Key: key,
-      Body: req.file.buffer,
-      ContentType: req.file.mimetype,
-      ACL: "public-read",
-    }
+    const image = await storeImage("avatars", `avatars/${req.user.userId}/${Date.now()}`, req.file.processedImage)
 
-    const result = await s3.upload(uploadParams).promise()
+    // Remove the previous upload once the new one is stored
+    const previousImage = { files: user.avatarFiles.map((file) => ({ driver: file.driver, key: file.key })) }
 
-    // Update user avatar
-    user.avatar = result.Location
+    user.avatar = image.variants.medium.jpeg
+    user.avatarVariants = image.variants
+    user.avatarFiles = image.files
     await user.save()
 
+    try {
+      await deleteStoredImage(previousImage)
+    } catch (deleteError) {
+      console.error("Error deleting previous avatar:", deleteError)
+    }
+
     res.json({
       success: true,
       message: "Avatar uploaded successfully",
-      avatar: result.Location,
+      avatar: user.avatar,
+      avatarVariants: image.variants,
     })
   } catch (error) {
     console.error("Upload avatar error:", error)
@@ -349,47 +594,49 @@ exports.searchUsers = async (req, res) => {
       })
     }
 
-    const searchQuery = {
-      isActive: true,
-      $or: [
-        { name: { $regex: query, $options: "i" } },
-        { "profile.bio": { $regex: query, $options: "i" } },
-        { "profile.skills": { $regex: query, $options: "i" } },
-      ],
-    }
+    // Profile sections only match when the viewer is allowed to see them
+    const viewer = await getViewerContext(req.user)
+
+    const filter = { isActive: true }
 
     // Add filters
     if (role && role !== "all") {
-      searchQuery.role = role
+      filter.role = role
     }
 
-    if (skills) {
-      const skillsArray = skills.split(",").map((skill) => skill.trim())
-      searchQuery["profile.skills"] = { $in: skillsArray }
+    const filters = []
+
+    const skillFilter = typeof skills === "string" ? await skillCondition(skills.split(","), USER_SKILL_PATHS) : null
+    if (skillFilter) {
+      filters.push(matchVisible("skills", skillFilter, viewer))
     }
 
     if (location) {
-      searchQuery["profile.location"] = { $regex: location, $options: "i" }
+      filters.push(matchVisible("location", { "profile.location": new RegExp(escapeRegex(location), "i") }, viewer))
     }
 
-    const users = await User.find(searchQuery)
-      .select("name avatar role profile.location profile.bio profile.skills")
-      .limit(limit * 1)
-      .skip((page - 1) * limit)
-      .sort({ createdAt: -1 })
+    if (filters.length > 0) {
+      filter.$and = filters
+    }
 
-    const total = await User.countDocuments(searchQuery)
+    const { results, total } = await searchUserProfiles(query, {
+      viewer,
+      filter,
+      select: "name avatar role profile.location profile.bio profile.skills privacy",
+      page,
+      limit,
+    })
 
     // Add connection status for each user if authenticated
-    let usersWithStatus = users
+    let usersWithStatus = results.map(({ user, score }) => ({ ...applyPrivacy(user, viewer), searchScore: score }))
     if (req.user) {
       const Connection = require("../models/Connection")
       const currentUserId = req.user.userId
 
       usersWithStatus = await Promise.all(
-        users.map(async (user) => {
+        results.map(async ({ user, score }) => {
           if (user._id.toString() === currentUserId.toString()) {
-            return { ...user.toObject(), connectionStatus: "self" }
+            return { ...applyPrivacy(user, viewer), searchScore: score, connectionStatus: "self" }
           }
 
           const connection = await Connection.findOne({
@@ -408,7 +655,7 @@ exports.searchUsers = async (req, res) => {
             }
           }
 
-          return { ...user.toObject(), connectionStatus: status }
+          return { ...applyPrivacy(user, viewer), searchScore: score, connectionStatus: status }
         }),
       )
     }
@@ -436,51 +683,48 @@ exports.searchUsers = async (req, res) => {
 // Get developers
 exports.getDevelopers = async (req, res) => {
   try {
-    const { skills, location, experience, page = 1, limit = 20 } = req.query
-
-    const query = {
-      role: "developer",
-      isActive: true,
-    }
-
-    // Add filters
-    if (skills) {
-      const skillsArray = skills.split(",").map((skill) => skill.trim())
-      query["profile.skills"] = { $in: skillsArray }
-    }
-
-    if (location) {
-      query["profile.location"] = { $regex: location, $options: "i" }
-    }
-
-    if (experience) {
-      query["profile.experience"] = { $exists: true, $not: { $size: 0 } }
-    }
-
-    const developers = await User.find(query)
-      .select("name avatar profile.bio profile.skills profile.location profile.experience profile.ratings")
-      .limit(limit * 1)
-      .skip((page - 1) * limit)
-      .sort({ "profile.ratings.overall": -1, createdAt: -1 })
+    const { page = 1, limit = 20 } = req.query
+
+    // Filter on profiles and on developers' active slots. Profile sections only match when the viewer
+    // is allowed to see them.
+    const viewer = await getViewerContext(req.user)
+    const filters = await parseDeveloperFilters(req.query, viewer)
+    const query = await buildDeveloperQuery(filters)
+
+    // Ranked by rating and skill endorsements, then loaded in that order
+    const pageNumber = Math.max(Number.parseInt(page) || 1, 1)
+    const pageSize = Math.max(Number.parseInt(limit) || 20, 1)
+    const developerIds = await rankDevelopers(query, {
+      skip: (pageNumber - 1) * pageSize,
+      limit: pageSize,
+      viewer,
+    })
+    const pageDevelopers = await User.find({ _id: { $in: developerIds } }).select(
+      "name avatar profile.bio profile.skills profile.location profile.experience profile.ratings endorsements privacy",
+    )
+    const developersById = new Map(pageDevelopers.map((developer) => [developer._id.toString(), developer]))
+    const developers = developerIds.map((id) => developersById.get(id.toString())).filter(Boolean)
 
     const total = await User.countDocuments(query)
+    const facets = await getDeveloperFacets(filters, viewer)
 
     res.json({
       success: true,
-      developers,
+      developers: developers.map((developer) => applyPrivacy(developer, viewer)),
+      facets,
       pagination: {
-        currentPage: Number.parseInt(page),
-        totalPages: Math.ceil(total / limit),
+        currentPage: pageNumber,
+        totalPages: Math.ceil(total / pageSize),
         totalDevelopers: total,
-        hasNext: page < Math.ceil(total / limit),
-        hasPrev: page > 1,
+        hasNext: pageNumber < Math.ceil(total / pageSize),
+        hasPrev: pageNumber > 1,
       },
     })
   } catch (error) {
     console.error("Get developers error:", error)
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
-      message: "Server error",
+      message: error.status ? error.message : "Server error",
     })
   }
 }
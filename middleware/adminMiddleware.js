@@ -0,0 +1,13 @@
+// Must run after authMiddleware. Only platform administrators may continue.
+const adminMiddleware = (req, res, next) => {
+  if (!req.user?.isAdmin) {
+    return res.status(403).json({
+      success: false,
+      message: "Admin access required",
+    })
+  }
+
+  next()
+}
+
+module.exports = adminMiddleware
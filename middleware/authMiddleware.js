@@ -1,7 +1,9 @@
-const jwt = require("jsonwebtoken")
 const User = require("../models/User")
+const { verifyAccessToken, isPersonalAccessToken, verifyPersonalAccessToken } = require("../utils/tokenUtils")
 
-const authMiddleware = async (req, res, next) => {
+// Resolve the bearer token to req.user. Personal access tokens are only accepted when the route
+// names a scope the token was granted; JWT sessions have full access.
+const authenticate = async (req, res, next, scope = null) => {
   try {
     const token = req.header("Authorization")?.replace("Bearer ", "")
 
@@ -12,10 +14,32 @@ const authMiddleware = async (req, res, next) => {
       })
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET)
-    console.log("Decoded token:", decoded)
+    let userId
+    let credentials
 
-    const user = await User.findById(decoded.userId).select("-password")
+    if (isPersonalAccessToken(token)) {
+      const accessToken = await verifyPersonalAccessToken(token, req.ip)
+
+      if (!scope || !accessToken.hasScope(scope)) {
+        return res.status(403).json({
+          success: false,
+          message: scope
+            ? `Access token is missing the required scope: ${scope}`
+            : "Access tokens cannot be used for this endpoint",
+        })
+      }
+
+      userId = accessToken.userId
+      credentials = { accessTokenId: accessToken._id.toString(), scopes: [...accessToken.scopes] }
+    } else {
+      const { decoded } = await verifyAccessToken(token, req.ip)
+      console.log("Decoded token:", decoded)
+
+      userId = decoded.userId
+      credentials = { sessionId: decoded.sessionId }
+    }
+
+    const user = await User.findById(userId).select("-password")
     if (!user) {
       return res.status(401).json({
         success: false,
@@ -23,11 +47,29 @@ const authMiddleware = async (req, res, next) => {
       })
     }
 
+    if (user.isPendingDeletion()) {
+      return res.status(403).json({
+        success: false,
+        message: "This account is scheduled for deletion",
+        pendingDeletion: true,
+      })
+    }
+
+    if (!user.isActive) {
+      return res.status(403).json({
+        success: false,
+        message: "This account has been suspended",
+        suspended: true,
+      })
+    }
+
     req.user = {
       userId: user._id.toString(),
       name: user.name,
       email: user.email,
       role: user.role,
+      isAdmin: user.isAdmin,
+      ...credentials,
     }
 
     console.log("Authenticated user:", req.user)
@@ -42,4 +84,15 @@ const authMiddleware = async (req, res, next) => {
   }
 }
 
+const authMiddleware = (req, res, next) => authenticate(req, res, next)
+
+// Same as authMiddleware, but also accepts personal access tokens granted the given scope
+const requireScope = (scope) => (req, res, next) => authenticate(req, res, next, scope)
+
+// For public routes that show more to signed-in users: authenticates when a token is sent, otherwise
+// continues without req.user
+const optionalAuth = (req, res, next) => (req.header("Authorization") ? authenticate(req, res, next) : next())
+
 module.exports = authMiddleware
+module.exports.requireScope = requireScope
+module.exports.optionalAuth = optionalAuth
@@ -84,6 +84,19 @@ const searchLimiter = rateLimit({
   legacyHeaders: false,
 })
 
+// Rate limiting for magic-link requests, keyed by the target email so one inbox can't be flooded
+const magicLinkLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 3, // limit each email address to 3 magic links per windowMs
+  keyGenerator: (req) => `magic-link:${String(req.body?.email || "").trim().toLowerCase()}`,
+  message: {
+    success: false,
+    message: "Too many sign-in links requested for this email, please try again later.",
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+})
+
 module.exports = {
   apiLimiter,
   authLimiter,
@@ -92,4 +105,5 @@ module.exports = {
   postLimiter,
   uploadLimiter,
   searchLimiter,
+  magicLinkLimiter,
 }
@@ -1,5 +1,6 @@
 const multer = require("multer")
 const path = require("path")
+const { processImage } = require("../utils/imageUtils")
 
 // Configure multer for memory storage (for S3 upload)
 const storage = multer.memoryStorage()
@@ -67,6 +68,24 @@ const uploadPostImages = multer({
   },
 })
 
+const uploadResume = multer({
+  storage: storage,
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB limit for resumes
+    files: 1,
+  },
+  fileFilter: (req, file, cb) => {
+    if (
+      file.mimetype === "application/pdf" ||
+      file.mimetype === "application/vnd.openxmlformats-officedocument.wordprocessingml.document"
+    ) {
+      cb(null, true)
+    } else {
+      cb(new Error("Resume must be a PDF or DOCX file"), false)
+    }
+  },
+})
+
 // Error handling middleware
 const handleUploadError = (error, req, res, next) => {
   if (error instanceof multer.MulterError) {
@@ -100,9 +119,29 @@ const handleUploadError = (error, req, res, next) => {
   next(error)
 }
 
+// Check the real type of uploaded images and render their variants onto file.processedImage.
+// Use after the multer middleware and handleUploadError.
+const processImageUploads = (profile) => async (req, res, next) => {
+  const files = req.file ? [req.file] : req.files || []
+
+  try {
+    for (const file of files) {
+      file.processedImage = await processImage(file.buffer, profile)
+    }
+    next()
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : "Error processing image",
+    })
+  }
+}
+
 module.exports = {
   upload,
   uploadAvatar,
   uploadPostImages,
+  uploadResume,
   handleUploadError,
+  processImageUploads,
 }
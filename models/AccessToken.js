@@ -0,0 +1,91 @@
+const mongoose = require("mongoose")
+
+// Scopes a personal access token can be granted. A ":write" scope also grants the matching ":read" scope.
+const ACCESS_TOKEN_SCOPES = ["slots:read", "slots:write", "bookings:read", "bookings:write", "posts:read", "posts:write"]
+
+const accessTokenSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+    // SHA-256 of the raw token (never store the raw token)
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+    // Leading characters of the raw token so users can tell their tokens apart
+    tokenPrefix: {
+      type: String,
+      required: true,
+    },
+    scopes: {
+      type: [
+        {
+          type: String,
+          enum: ACCESS_TOKEN_SCOPES,
+        },
+      ],
+      validate: {
+        validator: (scopes) => scopes.length > 0,
+        message: "At least one scope is required",
+      },
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    lastUsedAt: {
+      type: Date,
+    },
+    lastUsedIp: {
+      type: String,
+    },
+    revokedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Indexes for better query performance
+accessTokenSchema.index({ userId: 1, createdAt: -1 })
+
+// Let MongoDB purge tokens once they have expired
+accessTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+// Method to check if token can still be used
+accessTokenSchema.methods.isValid = function () {
+  return !this.revokedAt && this.expiresAt > new Date()
+}
+
+// Method to check if token grants a scope
+accessTokenSchema.methods.hasScope = function (scope) {
+  if (this.scopes.includes(scope)) return true
+
+  const [resource, action] = scope.split(":")
+  return action === "read" && this.scopes.includes(`${resource}:write`)
+}
+
+// Remove sensitive fields from JSON output
+accessTokenSchema.methods.toJSON = function () {
+  const token = this.toObject()
+  delete token.tokenHash
+  return token
+}
+
+const AccessToken = mongoose.model("AccessToken", accessTokenSchema)
+AccessToken.SCOPES = ACCESS_TOKEN_SCOPES
+
+module.exports = AccessToken
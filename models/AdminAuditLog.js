@@ -0,0 +1,64 @@
+const mongoose = require("mongoose")
+
+const adminAuditLogSchema = new mongoose.Schema(
+  {
+    adminId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    action: {
+      type: String,
+      enum: [
+        "list_users",
+        "view_user",
+        "view_user_bookings",
+        "view_user_posts",
+        "view_user_connections",
+        "suspend_user",
+        "reactivate_user",
+        "verify_email",
+        "reset_two_factor",
+      ],
+      required: true,
+    },
+    targetUserId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    // Action-specific context, e.g. the suspension reason or the filters used
+    details: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    ipAddress: {
+      type: String,
+    },
+    userAgent: {
+      type: String,
+      maxlength: 500,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Indexes for better query performance
+adminAuditLogSchema.index({ createdAt: -1 })
+adminAuditLogSchema.index({ adminId: 1, createdAt: -1 })
+adminAuditLogSchema.index({ targetUserId: 1, createdAt: -1 })
+adminAuditLogSchema.index({ action: 1, createdAt: -1 })
+
+// Static method to record an admin action made in a request
+adminAuditLogSchema.statics.record = function (req, action, targetUserId = null, details = {}) {
+  return this.create({
+    adminId: req.user.userId,
+    action,
+    targetUserId,
+    details,
+    ipAddress: req.ip,
+    userAgent: req.get("User-Agent")?.substring(0, 500),
+  })
+}
+
+module.exports = mongoose.model("AdminAuditLog", adminAuditLogSchema)
@@ -2,15 +2,21 @@ const mongoose = require("mongoose")
 
 const bookingSchema = new mongoose.Schema(
   {
+    // Cleared when the recruiter's account is deleted
     recruiterId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
-      required: true,
+      required: function () {
+        return this.isNew
+      },
     },
+    // Cleared when the developer's account is deleted
     developerId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
-      required: true,
+      required: function () {
+        return this.isNew
+      },
     },
     slotId: {
       type: mongoose.Schema.Types.ObjectId,
@@ -67,6 +73,9 @@ const bookingSchema = new mongoose.Schema(
     meetingLink: {
       type: String,
     },
+    reminderSentAt: {
+      type: Date,
+    },
     notes: {
       type: String,
       maxlength: 1000,
@@ -140,6 +149,7 @@ bookingSchema.index({ recruiterId: 1, createdAt: -1 })
 bookingSchema.index({ developerId: 1, createdAt: -1 })
 bookingSchema.index({ slotId: 1, scheduledDate: 1, scheduledTime: 1 })
 bookingSchema.index({ status: 1 })
+bookingSchema.index({ status: 1, scheduledDate: 1, reminderSentAt: 1 })
 
 // Compound index to prevent double booking
 bookingSchema.index(
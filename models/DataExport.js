@@ -0,0 +1,78 @@
+const mongoose = require("mongoose")
+
+const dataExportSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "processing", "ready", "failed", "expired"],
+      default: "pending",
+    },
+    // Where the zip is stored
+    file: {
+      driver: {
+        type: String,
+        enum: ["s3", "cloudinary", "local"],
+      },
+      key: {
+        type: String,
+      },
+    },
+    fileSize: {
+      type: Number,
+    },
+    // SHA-256 of the token in the download link (never store the raw token)
+    downloadToken: {
+      type: String,
+      select: false,
+    },
+    startedAt: {
+      type: Date,
+    },
+    completedAt: {
+      type: Date,
+    },
+    // When the download link stops working and the file is removed
+    expiresAt: {
+      type: Date,
+    },
+    downloadCount: {
+      type: Number,
+      default: 0,
+    },
+    lastDownloadedAt: {
+      type: Date,
+    },
+    error: {
+      type: String,
+      maxlength: 500,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Indexes for better query performance
+dataExportSchema.index({ userId: 1, createdAt: -1 })
+dataExportSchema.index({ status: 1, createdAt: 1 })
+dataExportSchema.index({ status: 1, expiresAt: 1 })
+
+// Method to check if the export can still be downloaded
+dataExportSchema.methods.isDownloadable = function () {
+  return this.status === "ready" && this.expiresAt > new Date()
+}
+
+// Hide sensitive data when converting to JSON
+dataExportSchema.methods.toJSON = function () {
+  const dataExport = this.toObject()
+  delete dataExport.downloadToken
+  delete dataExport.file
+  return dataExport
+}
+
+module.exports = mongoose.model("DataExport", dataExportSchema)
@@ -1,4 +1,5 @@
 const mongoose = require("mongoose")
+const Skill = require("./Skill")
 
 const timeSlotSchema = new mongoose.Schema(
   {
@@ -91,6 +92,13 @@ const developerSlotSchema = new mongoose.Schema(
         maxlength: 50,
       },
     ],
+    // Canonical IDs of the tags that are skills in the taxonomy, set from tags on save
+    skillIds: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Skill",
+      },
+    ],
     isActive: {
       type: Boolean,
       default: true,
@@ -120,6 +128,7 @@ developerSlotSchema.index({ developerId: 1, isActive: 1 })
 developerSlotSchema.index({ sessionType: 1, isActive: 1 })
 developerSlotSchema.index({ price: 1, isActive: 1 })
 developerSlotSchema.index({ tags: 1, isActive: 1 })
+developerSlotSchema.index({ skillIds: 1, isActive: 1 })
 developerSlotSchema.index({ createdAt: -1 })
 
 // Virtual for formatted price
@@ -250,4 +259,37 @@ developerSlotSchema.pre("save", function (next) {
   next()
 })
 
+// Store tags that are skills under their canonical names, with the skills' IDs
+developerSlotSchema.pre("save", async function (next) {
+  if (!this.isModified("tags") && !this.isModified("skillIds")) return next()
+
+  try {
+    const { names, skillIds } = await Skill.normalizeNames(this.tags)
+    this.tags = names
+    this.skillIds = skillIds
+    next()
+  } catch (error) {
+    next(error)
+  }
+})
+
+// Re-normalize stored tags after the skill taxonomy changes
+developerSlotSchema.statics.normalizeStoredTags = async function () {
+  let normalized = 0
+
+  const slots = this.find({ "tags.0": { $exists: true } })
+    .select("tags skillIds")
+    .cursor()
+
+  for await (const slot of slots) {
+    const { names, skillIds } = await Skill.normalizeNames(slot.tags)
+    if (names.join("\n") === slot.tags.join("\n") && skillIds.join() === slot.skillIds.join()) continue
+
+    await this.updateOne({ _id: slot._id }, { $set: { tags: names, skillIds } })
+    normalized++
+  }
+
+  return { normalized }
+}
+
 module.exports = mongoose.model("DeveloperSlot", developerSlotSchema)
@@ -0,0 +1,150 @@
+const mongoose = require("mongoose")
+
+// Endorsers listed with each skill in a profile summary
+const SAMPLE_ENDORSERS = 3
+
+const endorsementSchema = new mongoose.Schema(
+  {
+    // User whose skill is endorsed
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    endorser: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Skill as listed on the user's profile
+    skill: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+    // The endorser has completed a booking with the user
+    verified: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Indexes for better query performance
+endorsementSchema.index({ user: 1, skill: 1, endorser: 1 }, { unique: true })
+endorsementSchema.index({ endorser: 1 })
+
+// Check whether the endorser has completed a booking with the user as the developer
+endorsementSchema.statics.hasCompletedBooking = async function (userId, endorserId) {
+  const Booking = mongoose.model("Booking")
+  return !!(await Booking.exists({ developerId: userId, recruiterId: endorserId, status: "completed" }))
+}
+
+// Recount endorsements of the user's listed skills. The totals are kept on the user for ranking.
+endorsementSchema.statics.updateStats = async function (userId) {
+  const User = mongoose.model("User")
+  const user = await User.findById(userId).select("profile.skills")
+  if (!user) return
+
+  const [stats] = await this.aggregate([
+    { $match: { user: user._id, skill: { $in: user.profile?.skills || [] } } },
+    { $group: { _id: null, total: { $sum: 1 }, verified: { $sum: { $cond: ["$verified", 1, 0] } } } },
+  ])
+
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { endorsements: { total: stats?.total || 0, verified: stats?.verified || 0 } } },
+  )
+}
+
+// Move endorsements to the name their skill is listed under now (after a skill is renamed or merged into
+// another in the taxonomy), then recount. If the endorser had also endorsed the new name, that one is kept.
+endorsementSchema.statics.renameSkills = async function (userId, skills) {
+  const Skill = mongoose.model("Skill")
+  const listedByKey = new Map(skills.map((skill) => [Skill.normalizeKey(skill), skill]))
+
+  for (const skill of await this.distinct("skill", { user: userId, skill: { $nin: skills } })) {
+    const {
+      names: [canonical],
+    } = await Skill.normalizeNames([skill])
+    const listed = canonical && listedByKey.get(Skill.normalizeKey(canonical))
+    if (!listed) continue
+
+    const endorsers = await this.distinct("endorser", { user: userId, skill: listed })
+    await this.deleteMany({ user: userId, skill, endorser: { $in: endorsers } })
+    await this.updateMany({ user: userId, skill }, { skill: listed })
+  }
+
+  await this.updateStats(userId)
+}
+
+// Verify the endorsements from the recruiter of a completed booking
+endorsementSchema.statics.verifyForBooking = async function (booking) {
+  const { modifiedCount } = await this.updateMany(
+    { user: booking.developerId, endorser: booking.recruiterId, verified: false },
+    { verified: true },
+  )
+  if (modifiedCount > 0) {
+    await this.updateStats(booking.developerId)
+  }
+}
+
+// Endorsement counts and a sample of endorsers (verified first, then newest) for each of the user's listed
+// skills. endorsedByViewer tells whether viewerId has endorsed the skill.
+endorsementSchema.statics.summarize = async function (user, viewerId = null) {
+  const User = mongoose.model("User")
+  const skills = user.profile?.skills || []
+  if (skills.length === 0) return []
+
+  const groups = await this.aggregate([
+    { $match: { user: user._id, skill: { $in: skills } } },
+    { $sort: { verified: -1, createdAt: -1 } },
+    {
+      $group: {
+        _id: "$skill",
+        count: { $sum: 1 },
+        verifiedCount: { $sum: { $cond: ["$verified", 1, 0] } },
+        endorsers: { $push: { user: "$endorser", verified: "$verified" } },
+      },
+    },
+    {
+      $project: {
+        count: 1,
+        verifiedCount: 1,
+        endorsedByViewer: viewerId
+          ? { $in: [new mongoose.Types.ObjectId(viewerId), "$endorsers.user"] }
+          : { $literal: false },
+        endorsers: { $slice: ["$endorsers", SAMPLE_ENDORSERS] },
+      },
+    },
+  ])
+
+  // Endorsers whose accounts are no longer active are left out of the sample
+  const endorsers = await User.find({
+    _id: { $in: groups.flatMap((group) => group.endorsers.map(({ user: endorserId }) => endorserId)) },
+    isActive: true,
+  }).select("name avatar")
+  const endorsersById = new Map(endorsers.map((endorser) => [endorser._id.toString(), endorser]))
+
+  return skills.map((skill) => {
+    const group = groups.find(({ _id }) => _id === skill)
+    return {
+      skill,
+      count: group?.count || 0,
+      verifiedCount: group?.verifiedCount || 0,
+      endorsedByViewer: group?.endorsedByViewer || false,
+      sampleEndorsers: (group?.endorsers || [])
+        .filter(({ user: endorserId }) => endorsersById.has(endorserId.toString()))
+        .map(({ user: endorserId, verified }) => {
+          const endorser = endorsersById.get(endorserId.toString())
+          return { _id: endorser._id, name: endorser.name, avatar: endorser.avatar, verified }
+        }),
+    }
+  })
+}
+
+module.exports = mongoose.model("Endorsement", endorsementSchema)
@@ -2,16 +2,22 @@ const mongoose = require("mongoose")
 
 const messageSchema = new mongoose.Schema(
   {
+    // Cleared when the sender's account is deleted
     sender: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
-      required: true,
+      required: function () {
+        return this.isNew
+      },
       index: true,
     },
+    // Cleared when the receiver's account is deleted
     receiver: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
-      required: true,
+      required: function () {
+        return this.isNew
+      },
       index: true,
     },
     content: {
@@ -9,7 +9,7 @@ const notificationSchema = new mongoose.Schema(
     },
     type: {
       type: String,
-      enum: ["booking_created", "booking_confirmed", "booking_cancelled", "session_reminder", "feedback_received"],
+      enum: ["booking_created", "booking_confirmed", "booking_cancelled", "session_reminder", "feedback_received", "data_export_ready", "endorsement_received"],
       required: true,
     },
     title: {
@@ -0,0 +1,97 @@
+const mongoose = require("mongoose")
+
+const ORGANIZATION_ROLES = ["owner", "admin", "recruiter"]
+const DEFAULT_SEATS = Number.parseInt(process.env.ORG_DEFAULT_SEATS, 10) || 5
+
+const organizationSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Organization name is required"],
+      trim: true,
+      maxlength: [100, "Organization name cannot exceed 100 characters"],
+    },
+    logo: {
+      type: String,
+      default: null,
+    },
+    // Company email domain, e.g. "acme.com"
+    domain: {
+      type: String,
+      lowercase: true,
+      trim: true,
+      match: [/^([a-z0-9-]+\.)+[a-z]{2,}$/, "Please enter a valid domain"],
+    },
+    members: [
+      {
+        userId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+          required: true,
+        },
+        role: {
+          type: String,
+          enum: ORGANIZATION_ROLES,
+          default: "recruiter",
+        },
+        joinedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    // Maximum number of members, counting pending invitations
+    seats: {
+      type: Number,
+      default: DEFAULT_SEATS,
+      min: 1,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Indexes for better query performance
+// A user belongs to at most one organization
+organizationSchema.index({ "members.userId": 1 }, { unique: true })
+organizationSchema.index(
+  { domain: 1 },
+  { unique: true, partialFilterExpression: { domain: { $type: "string" } } },
+)
+
+// Method to get a user's membership entry
+organizationSchema.methods.getMember = function (userId) {
+  return this.members.find((member) => member.userId.toString() === userId.toString())
+}
+
+// Method to check if a user has one of the given roles
+organizationSchema.methods.hasRole = function (userId, roles) {
+  const member = this.getMember(userId)
+  return !!member && roles.includes(member.role)
+}
+
+// Method to check if a user can manage members, invitations and settings
+organizationSchema.methods.isManager = function (userId) {
+  return this.hasRole(userId, ["owner", "admin"])
+}
+
+// Method to list member user IDs
+organizationSchema.methods.getMemberIds = function () {
+  return this.members.map((member) => member.userId)
+}
+
+// Static method to find the organization a user belongs to
+organizationSchema.statics.findForUser = function (userId) {
+  return this.findOne({ "members.userId": userId })
+}
+
+const Organization = mongoose.model("Organization", organizationSchema)
+Organization.ROLES = ORGANIZATION_ROLES
+
+module.exports = Organization
@@ -0,0 +1,72 @@
+const mongoose = require("mongoose")
+
+const organizationInvitationSchema = new mongoose.Schema(
+  {
+    organizationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: true,
+    },
+    email: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true,
+    },
+    role: {
+      type: String,
+      enum: ["admin", "recruiter"],
+      default: "recruiter",
+    },
+    // SHA-256 of the token in the invitation link (never store the raw token)
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    acceptedAt: {
+      type: Date,
+    },
+    acceptedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    revokedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Indexes for better query performance
+organizationInvitationSchema.index({ organizationId: 1, createdAt: -1 })
+organizationInvitationSchema.index({ organizationId: 1, email: 1 })
+
+// Method to check if invitation can still be accepted
+organizationInvitationSchema.methods.isPending = function () {
+  return !this.acceptedAt && !this.revokedAt && this.expiresAt > new Date()
+}
+
+// Static query for invitations that still hold a seat
+organizationInvitationSchema.statics.pendingQuery = function (organizationId) {
+  return {
+    organizationId,
+    acceptedAt: { $exists: false },
+    revokedAt: { $exists: false },
+    expiresAt: { $gt: new Date() },
+  }
+}
+
+module.exports = mongoose.model("OrganizationInvitation", organizationInvitationSchema)
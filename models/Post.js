@@ -1,5 +1,29 @@
 const mongoose = require("mongoose")
 
+// URLs of one image size in each output format
+const imageVariantSchema = new mongoose.Schema(
+  {
+    webp: String,
+    jpeg: String,
+  },
+  { _id: false },
+)
+
+const storedFileSchema = new mongoose.Schema(
+  {
+    driver: {
+      type: String,
+      enum: ["s3", "cloudinary", "local"],
+      required: true,
+    },
+    key: {
+      type: String,
+      required: true,
+    },
+  },
+  { _id: false },
+)
+
 const postSchema = new mongoose.Schema(
   {
     author: {
@@ -14,8 +38,16 @@ const postSchema = new mongoose.Schema(
     },
     images: [
       {
-        url: String,
-        publicId: String, // Cloudinary public_id for deletion
+        url: String, // Full-size JPEG
+        variants: {
+          thumb: imageVariantSchema,
+          medium: imageVariantSchema,
+          full: imageVariantSchema,
+        },
+        width: Number,
+        height: Number,
+        files: [storedFileSchema],
+        publicId: String, // Legacy Cloudinary public_id, replaced by files
       },
     ],
     likes: [
@@ -116,6 +148,30 @@ postSchema.index({ visibility: 1, createdAt: -1 })
 postSchema.index({ isActive: 1, createdAt: -1 })
 postSchema.index({ createdAt: -1 }) // For feed sorting
 
+// Static method to record the storage driver and key for images uploaded before they were tracked
+postSchema.statics.migrateLegacyImages = async function () {
+  const result = await this.updateMany({ images: { $elemMatch: { publicId: { $exists: true }, files: { $exists: false } } } }, [
+    {
+      $set: {
+        images: {
+          $map: {
+            input: "$images",
+            in: {
+              $cond: [
+                { $ifNull: ["$$this.files", false] },
+                "$$this",
+                { $mergeObjects: ["$$this", { files: [{ driver: "cloudinary", key: "$$this.publicId" }] }] },
+              ],
+            },
+          },
+        },
+      },
+    },
+  ])
+
+  return { migrated: result.modifiedCount }
+}
+
 // Ensure virtual fields are serialized
 postSchema.set("toJSON", { virtuals: true })
 
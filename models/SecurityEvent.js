@@ -0,0 +1,82 @@
+const mongoose = require("mongoose")
+
+// How long events are kept before MongoDB purges them
+const RETENTION_DAYS = Number.parseInt(process.env.SECURITY_EVENT_RETENTION_DAYS, 10) || 180
+
+const SECURITY_EVENT_TYPES = [
+  "login_success",
+  "login_failure",
+  "otp_verification_success",
+  "otp_verification_failure",
+  "password_change",
+  "password_reset",
+  "email_change",
+  "role_change",
+  "provider_link",
+  "provider_unlink",
+  "two_factor_enabled",
+  "two_factor_disabled",
+  "account_deletion",
+  "account_restoration",
+]
+
+const securityEventSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: SECURITY_EVENT_TYPES,
+      required: true,
+    },
+    // Event-specific context, e.g. the sign-in method or the old and new role
+    metadata: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    ipAddress: {
+      type: String,
+    },
+    userAgent: {
+      type: String,
+      maxlength: 500,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  },
+)
+
+// Indexes for better query performance
+securityEventSchema.index({ userId: 1, createdAt: -1 })
+securityEventSchema.index({ userId: 1, type: 1, createdAt: -1 })
+
+// Let MongoDB purge events once they are past the retention period
+securityEventSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+// Static method to record an event for a request. Failures are logged rather than thrown so that
+// auditing never breaks the action being audited.
+securityEventSchema.statics.record = function (req, userId, type, metadata = {}) {
+  return this.create({
+    userId,
+    type,
+    metadata,
+    ipAddress: req?.ip,
+    userAgent: req?.get?.("User-Agent")?.substring(0, 500),
+    expiresAt: new Date(Date.now() + RETENTION_DAYS * 24 * 60 * 60 * 1000),
+  }).catch((error) => {
+    console.error(`Error recording security event ${type}:`, error)
+    return null
+  })
+}
+
+const SecurityEvent = mongoose.model("SecurityEvent", securityEventSchema)
+SecurityEvent.TYPES = SECURITY_EVENT_TYPES
+
+module.exports = SecurityEvent
@@ -0,0 +1,101 @@
+const mongoose = require("mongoose")
+
+// Don't write lastUsedAt on every request; once a minute is precise enough for "last seen"
+const TOUCH_INTERVAL_MS = 60 * 1000
+
+const sessionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // SHA-256 of the current refresh token secret (never store the raw token)
+    refreshTokenHash: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    revokedAt: {
+      type: Date,
+    },
+    revokedReason: {
+      type: String,
+      enum: ["logout", "logout_all", "token_reuse", "password_change", "password_reset", "account_suspended", "email_change", "revoked_by_user", "account_deletion"],
+    },
+    userAgent: {
+      type: String,
+      maxlength: 500,
+    },
+    ipAddress: {
+      type: String,
+    },
+    // IP address the session was last seen from (ipAddress is where it signed in)
+    lastSeenIp: {
+      type: String,
+    },
+    // Parsed from the user agent at sign-in
+    device: {
+      browser: String,
+      os: String,
+      type: {
+        type: String,
+        enum: ["desktop", "mobile", "tablet", "unknown"],
+      },
+      label: String,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Indexes for better query performance
+sessionSchema.index({ userId: 1, revokedAt: 1 })
+
+// Let MongoDB purge sessions once the refresh token has expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+// Method to check if session can still be used
+sessionSchema.methods.isValid = function () {
+  return !this.revokedAt && this.expiresAt > new Date()
+}
+
+// Method to revoke the session
+sessionSchema.methods.revoke = function (reason = "logout") {
+  this.revokedAt = new Date()
+  this.revokedReason = reason
+  return this.save()
+}
+
+// Method to record activity on the session, throttled to TOUCH_INTERVAL_MS
+sessionSchema.methods.touch = async function (ipAddress = null) {
+  const now = new Date()
+  if (this.lastUsedAt && now - this.lastUsedAt < TOUCH_INTERVAL_MS && (!ipAddress || ipAddress === this.lastSeenIp)) {
+    return
+  }
+
+  this.lastUsedAt = now
+  if (ipAddress) this.lastSeenIp = ipAddress
+  await this.constructor.updateOne({ _id: this._id }, { lastUsedAt: this.lastUsedAt, lastSeenIp: this.lastSeenIp })
+}
+
+// Static method to revoke every active session of a user
+sessionSchema.statics.revokeAllForUser = function (userId, reason = "logout_all", exceptSessionId = null) {
+  const query = { userId, revokedAt: { $exists: false } }
+  if (exceptSessionId) {
+    query._id = { $ne: exceptSessionId }
+  }
+
+  return this.updateMany(query, { revokedAt: new Date(), revokedReason: reason })
+}
+
+module.exports = mongoose.model("Session", sessionSchema)
@@ -0,0 +1,185 @@
+const mongoose = require("mongoose")
+
+const CATEGORIES = [
+  "language",
+  "framework",
+  "library",
+  "runtime",
+  "database",
+  "cloud",
+  "devops",
+  "tool",
+  "design",
+  "practice",
+  "other",
+]
+
+// Lookup key for a skill name: case, accents, spaces and punctuation between words are ignored, so
+// "React.js", "react js" and "ReactJS" share a key. "+" and "#" are kept to tell C, C++ and C# apart.
+const normalizeSkillKey = (name) =>
+  String(name || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[\s._\-/]+/g, "")
+
+const skillSchema = new mongoose.Schema(
+  {
+    // Canonical name, shown wherever the skill appears
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      unique: true,
+      maxlength: 50,
+    },
+    // Other names the skill goes by
+    aliases: [
+      {
+        type: String,
+        trim: true,
+        maxlength: 50,
+      },
+    ],
+    // Lookup keys for the name and aliases, kept up to date on save
+    keys: [
+      {
+        type: String,
+      },
+    ],
+    category: {
+      type: String,
+      enum: CATEGORIES,
+      default: "other",
+    },
+    // Broader skill this one is part of (Next.js → React → JavaScript)
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Skill",
+      default: null,
+    },
+    // Parent, its parent and so on up to the root, so all descendants of a skill can be found in one query
+    ancestors: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Skill",
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Indexes for better query performance
+skillSchema.index({ keys: 1 }, { unique: true })
+skillSchema.index({ ancestors: 1 })
+skillSchema.index({ category: 1 })
+
+// Refresh lookup keys and ancestors
+skillSchema.pre("save", async function (next) {
+  try {
+    this.keys = [...new Set([this.name, ...this.aliases].map(normalizeSkillKey).filter(Boolean))]
+
+    if (this.isNew || this.isModified("parent")) {
+      const parent = this.parent ? await this.constructor.findById(this.parent).select("ancestors") : null
+
+      if (this.parent && !parent) {
+        return next(new Error("Parent skill not found"))
+      }
+      if (parent && (parent._id.equals(this._id) || parent.ancestors.some((id) => id.equals(this._id)))) {
+        return next(new Error("A skill cannot be placed under itself or one of its children"))
+      }
+
+      this.ancestors = parent ? [...parent.ancestors, parent._id] : []
+      this.$locals.movedFromParent = !this.isNew
+    }
+    next()
+  } catch (error) {
+    next(error)
+  }
+})
+
+// Keep the ancestors of child skills in step when a skill moves to a different parent
+skillSchema.post("save", async function () {
+  if (!this.$locals.movedFromParent) return
+
+  const descendants = await this.constructor.find({ ancestors: this._id }).select("ancestors")
+  for (const descendant of descendants) {
+    const below = descendant.ancestors.slice(descendant.ancestors.findIndex((id) => id.equals(this._id)))
+    await this.constructor.updateOne({ _id: descendant._id }, { ancestors: [...this.ancestors, ...below] })
+  }
+})
+
+// Find skills by name or alias
+skillSchema.statics.findByNames = function (names) {
+  return this.find({ keys: { $in: names.map(normalizeSkillKey).filter(Boolean) } })
+}
+
+// IDs of the given skills and all of their descendants
+skillSchema.statics.withDescendants = async function (ids) {
+  if (ids.length === 0) return []
+
+  const descendants = await this.find({ ancestors: { $in: ids } }).select("_id")
+  const allIds = [...ids, ...descendants.map((skill) => skill._id)].map((id) => id.toString())
+  return [...new Set(allIds)].map((id) => new mongoose.Types.ObjectId(id))
+}
+
+// Replace known skills with their canonical names and drop duplicates. Names that aren't in the taxonomy are
+// kept as entered. Returns { names, skillIds } with the IDs of the known skills.
+skillSchema.statics.normalizeNames = async function (names) {
+  const entered = names.map((name) => String(name || "").trim()).filter((name) => normalizeSkillKey(name))
+  const skills = await this.findByNames(entered)
+  const skillsByKey = new Map(skills.flatMap((skill) => skill.keys.map((key) => [key, skill])))
+
+  const seen = new Set()
+  const result = { names: [], skillIds: [] }
+  for (const name of entered) {
+    const skill = skillsByKey.get(normalizeSkillKey(name))
+    const identity = skill ? skill._id.toString() : normalizeSkillKey(name)
+    if (seen.has(identity)) continue
+
+    seen.add(identity)
+    result.names.push(skill ? skill.name : name)
+    if (skill) result.skillIds.push(skill._id)
+  }
+
+  return result
+}
+
+// Add or update skills from a list of definitions ({ name, aliases, category, parent: parent name }), parents
+// before their children. Skills that aren't in the list are left alone.
+skillSchema.statics.syncTaxonomy = async function (definitions) {
+  let created = 0
+  let updated = 0
+
+  for (const definition of definitions) {
+    const [skill] = await this.findByNames([definition.name])
+    const [parent] = definition.parent ? await this.findByNames([definition.parent]) : []
+    const target = skill || new this()
+
+    target.name = definition.name
+    target.aliases = definition.aliases || []
+    target.category = definition.category || "other"
+    target.parent = parent?._id || null
+
+    const keys = [...new Set([definition.name, ...target.aliases].map(normalizeSkillKey))]
+    const keysChanged = !skill || keys.length !== skill.keys.length || keys.some((key) => !skill.keys.includes(key))
+    if (keysChanged || target.isModified("name") || target.isModified("category") || target.isModified("parent")) {
+      await target.save()
+      if (skill) {
+        updated++
+      } else {
+        created++
+      }
+    }
+  }
+
+  return { created, updated }
+}
+
+const Skill = mongoose.model("Skill", skillSchema)
+Skill.CATEGORIES = CATEGORIES
+Skill.normalizeKey = normalizeSkillKey
+
+module.exports = Skill
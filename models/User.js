@@ -1,5 +1,62 @@
 const mongoose = require("mongoose")
 const bcrypt = require("bcryptjs")
+const Skill = require("./Skill")
+const Endorsement = require("./Endorsement")
+const { SEARCH_INDEX_VERSION, buildSearchIndex } = require("../utils/textSearchUtils")
+
+// Failed attempts allowed before an action is locked, and for how long
+const LOCKOUT_POLICIES = {
+  otp: { maxAttempts: 5, lockMinutes: 15 },
+  login: { maxAttempts: 5, lockMinutes: 15 },
+  twoFactor: { maxAttempts: 5, lockMinutes: 15 },
+}
+
+const EMAIL_PATTERN = /^\w+([.-]?\w+)@\w+([.-]?\w+)(\.\w{2,3})+$/
+const EMAIL_CHANGE_MAX_ATTEMPTS = 5
+const DELETION_GRACE_DAYS = Number.parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS, 10) || 30
+
+// Who can see a part of the profile: anyone, accepted connections, recruiters and companies, or only the user
+const PRIVACY_LEVELS = ["public", "connections", "recruiters", "private"]
+
+// IANA time zone name such as "Europe/Berlin"
+const isTimezone = (value) => {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: value })
+    return true
+  } catch (error) {
+    return false
+  }
+}
+
+const privacySetting = (defaultLevel) => ({
+  type: String,
+  enum: PRIVACY_LEVELS,
+  default: defaultLevel,
+})
+
+// URLs of one image size in each output format
+const imageVariantSchema = new mongoose.Schema(
+  {
+    webp: String,
+    jpeg: String,
+  },
+  { _id: false },
+)
+
+const storedFileSchema = new mongoose.Schema(
+  {
+    driver: {
+      type: String,
+      enum: ["s3", "cloudinary", "local"],
+      required: true,
+    },
+    key: {
+      type: String,
+      required: true,
+    },
+  },
+  { _id: false },
+)
 
 const userSchema = new mongoose.Schema(
   {
@@ -14,7 +71,7 @@ const userSchema = new mongoose.Schema(
       required: [true, "Email is required"],
       unique: true,
       lowercase: true,
-      match: [/^\w+([.-]?\w+)@\w+([.-]?\w+)(\.\w{2,3})+$/, "Please enter a valid email"],
+      match: [EMAIL_PATTERN, "Please enter a valid email"],
     },
     password: {
       type: String,
@@ -25,6 +82,14 @@ const userSchema = new mongoose.Schema(
       type: String,
       default: null,
     },
+    // Resized copies of an uploaded avatar. avatar holds the medium JPEG, or an OAuth provider picture.
+    avatarVariants: {
+      thumb: imageVariantSchema,
+      medium: imageVariantSchema,
+      full: imageVariantSchema,
+    },
+    // Stored files behind the uploaded avatar
+    avatarFiles: [storedFileSchema],
     role: {
       type: String,
       enum: ["developer", "recruiter", "company"],
@@ -41,6 +106,13 @@ const userSchema = new mongoose.Schema(
           trim: true,
         },
       ],
+      // Canonical IDs of the skills that are in the taxonomy, set from skills on save
+      skillIds: [
+        {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Skill",
+        },
+      ],
       experience: [
         {
           title: {
@@ -96,6 +168,20 @@ const userSchema = new mongoose.Schema(
         trim: true,
         maxlength: [100, "Location cannot exceed 100 characters"],
       },
+      timezone: {
+        type: String,
+        trim: true,
+        validate: {
+          validator: (v) => !v || isTimezone(v),
+          message: "Timezone must be a valid IANA time zone such as Europe/Berlin",
+        },
+      },
+      // Employer shown on recruiter profiles
+      company: {
+        type: String,
+        trim: true,
+        maxlength: [100, "Company cannot exceed 100 characters"],
+      },
       github: {
         type: String,
         validate: {
@@ -162,6 +248,71 @@ const userSchema = new mongoose.Schema(
         },
       },
     },
+    // Uploaded resume. profile.resume can still link to a resume hosted elsewhere.
+    resumeFile: {
+      fileName: {
+        type: String,
+        trim: true,
+        maxlength: 255,
+      },
+      contentType: {
+        type: String,
+      },
+      size: {
+        type: Number,
+      },
+      file: storedFileSchema,
+      // Extracted plain text
+      text: {
+        type: String,
+        select: false,
+      },
+      uploadedAt: {
+        type: Date,
+      },
+    },
+    // Entries parsed from the resume, added to the profile only once the user confirms them
+    resumeSuggestions: {
+      skills: [
+        {
+          type: String,
+          trim: true,
+        },
+      ],
+      experience: [
+        {
+          _id: false,
+          title: String,
+          company: String,
+          duration: String,
+          description: String,
+        },
+      ],
+      education: [
+        {
+          _id: false,
+          degree: String,
+          school: String,
+          year: String,
+        },
+      ],
+      generatedAt: {
+        type: Date,
+      },
+    },
+    // Who can see each section of the profile (fields per section are listed in utils/privacyUtils.js)
+    privacy: {
+      contact: privacySetting("connections"),
+      bio: privacySetting("public"),
+      location: privacySetting("public"),
+      skills: privacySetting("public"),
+      experience: privacySetting("public"),
+      education: privacySetting("public"),
+      links: privacySetting("public"),
+      resume: privacySetting("recruiters"),
+      salary: privacySetting("private"),
+      jobPreferences: privacySetting("recruiters"),
+    },
     preferences: {
       jobType: [
         {
@@ -198,17 +349,66 @@ const userSchema = new mongoose.Schema(
       type: Boolean,
       default: true,
     },
+    // Moderation: who suspended the account and why (cleared on reactivation)
+    suspension: {
+      reason: {
+        type: String,
+        maxlength: 500,
+      },
+      suspendedAt: {
+        type: Date,
+      },
+      suspendedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    },
+    // Soft deletion: the account stays deactivated and restorable until scheduledFor, then it is purged
+    // (restoreToken is stored hashed)
+    deletion: {
+      requestedAt: {
+        type: Date,
+      },
+      scheduledFor: {
+        type: Date,
+      },
+      reason: {
+        type: String,
+        maxlength: 500,
+      },
+      restoreToken: {
+        type: String,
+        select: false,
+      },
+    },
+    // Platform administrators, independent of the developer/recruiter/company role
+    isAdmin: {
+      type: Boolean,
+      default: false,
+    },
     lastLogin: {
       type: Date,
       default: Date.now,
     },
-    authProvider: {
-      type: String,
-      enum: ["local", "google", "linkedin", "github"], // Added "github" to the enum
-      default: "local",
-    },
-    providerId: String,
-    // OTP fields for email verification
+    // OAuth identities linked to this account (password sign-in is tracked by `password`)
+    identities: [
+      {
+        provider: {
+          type: String,
+          enum: ["google", "linkedin", "github"],
+          required: true,
+        },
+        providerId: {
+          type: String,
+          required: true,
+        },
+        linkedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    // OTP fields for email verification (otp is stored hashed)
     otp: {
       type: String,
       select: false,
@@ -217,6 +417,118 @@ const userSchema = new mongoose.Schema(
       type: Date,
       select: false,
     },
+    otpLastSentAt: {
+      type: Date,
+    },
+    // Failed attempt tracking for OTP verification and password login
+    lockout: {
+      otp: {
+        failedAttempts: {
+          type: Number,
+          default: 0,
+        },
+        lockedUntil: {
+          type: Date,
+        },
+      },
+      login: {
+        failedAttempts: {
+          type: Number,
+          default: 0,
+        },
+        lockedUntil: {
+          type: Date,
+        },
+      },
+      // Kept apart from login, which a correct password resets
+      twoFactor: {
+        failedAttempts: {
+          type: Number,
+          default: 0,
+        },
+        lockedUntil: {
+          type: Date,
+        },
+      },
+    },
+    // Password reset fields (token is stored hashed)
+    passwordResetToken: {
+      type: String,
+      select: false,
+    },
+    passwordResetExpires: {
+      type: Date,
+      select: false,
+    },
+    // Pending email change, applied once the code sent to the new address is confirmed (code is stored hashed)
+    emailChange: {
+      newEmail: {
+        type: String,
+        lowercase: true,
+      },
+      code: {
+        type: String,
+        select: false,
+      },
+      expiresAt: {
+        type: Date,
+      },
+      failedAttempts: {
+        type: Number,
+      },
+    },
+    // Passwordless sign-in link (token is stored hashed)
+    magicLinkToken: {
+      type: String,
+      select: false,
+    },
+    magicLinkExpires: {
+      type: Date,
+      select: false,
+    },
+    // TOTP two-factor authentication
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      secret: {
+        type: String,
+        select: false,
+      },
+      // Secret awaiting confirmation during enrollment
+      pendingSecret: {
+        type: String,
+        select: false,
+      },
+      // Hashed one-time recovery codes
+      recoveryCodes: {
+        type: [String],
+        select: false,
+      },
+      // Last accepted TOTP time step, to prevent code replay
+      lastUsedStep: {
+        type: Number,
+        select: false,
+      },
+      enabledAt: {
+        type: Date,
+      },
+    },
+    // Search index terms built from getSearchFields() on save (see utils/textSearchUtils.js)
+    search: {
+      terms: {
+        type: [String],
+        select: false,
+      },
+      fuzzy: {
+        type: [String],
+        select: false,
+      },
+      version: {
+        type: Number,
+      },
+    },
     // Profile completion tracking
     profileCompletion: {
       type: Number,
@@ -224,6 +536,17 @@ const userSchema = new mongoose.Schema(
       min: 0,
       max: 100,
     },
+    // Endorsements of the listed skills, kept up to date by Endorsement.updateStats
+    endorsements: {
+      total: {
+        type: Number,
+        default: 0,
+      },
+      verified: {
+        type: Number,
+        default: 0,
+      },
+    },
   },
   {
     timestamps: true,
@@ -234,13 +557,22 @@ const userSchema = new mongoose.Schema(
 userSchema.index({ email: 1 })
 userSchema.index({ role: 1 })
 userSchema.index({ "profile.skills": 1 })
+userSchema.index({ "profile.skillIds": 1 })
 userSchema.index({ "profile.location": 1 })
+userSchema.index({ "profile.timezone": 1 })
 userSchema.index({ isActive: 1 })
 userSchema.index({ createdAt: -1 })
+userSchema.index({ "deletion.scheduledFor": 1 }, { sparse: true })
+userSchema.index({ "search.terms": 1 })
+userSchema.index({ "search.fuzzy": 1 })
+userSchema.index(
+  { "identities.provider": 1, "identities.providerId": 1 },
+  { unique: true, partialFilterExpression: { "identities.providerId": { $exists: true } } },
+)
 
-// Hash password before saving
+// Hash password before saving. A cleared password is left unset.
 userSchema.pre("save", async function (next) {
-  if (!this.isModified("password")) return next()
+  if (!this.isModified("password") || !this.password) return next()
 
   try {
     const salt = await bcrypt.genSalt(12)
@@ -280,6 +612,43 @@ userSchema.pre("save", function (next) {
   next()
 })
 
+// Store skills under their canonical names, with the IDs of the ones in the taxonomy
+userSchema.pre("save", async function (next) {
+  if (!this.isSelected("profile") || !(this.isModified("profile.skills") || this.isModified("profile.skillIds"))) {
+    return next()
+  }
+
+  try {
+    const { names, skillIds } = await Skill.normalizeNames(this.profile?.skills || [])
+    this.profile.skills = names
+    this.profile.skillIds = skillIds
+    this.$locals.skillsChanged = !this.isNew
+    next()
+  } catch (error) {
+    next(error)
+  }
+})
+
+// Endorsements only count for listed skills, so carry them over to renamed skills and recount when the skills change
+userSchema.post("save", async function () {
+  if (this.$locals.skillsChanged) {
+    this.$locals.skillsChanged = false
+    await Endorsement.renameSkills(this._id, this.profile.skills)
+  }
+})
+
+// Rebuild the search index when searchable fields change. Skipped when the document was loaded
+// without the fields the index is built from.
+userSchema.pre("save", function (next) {
+  const hasSearchFields = ["name", "role", "profile"].every((path) => this.isSelected(path))
+  const searchFieldsChanged = ["name", "role", "profile"].some((path) => this.isModified(path))
+
+  if (hasSearchFields && (searchFieldsChanged || this.search?.version !== SEARCH_INDEX_VERSION)) {
+    this.search = buildSearchIndex(this.getSearchFields())
+  }
+  next()
+})
+
 // Validate salary range
 userSchema.pre("save", function (next) {
   if (this.preferences?.salaryRange?.min && this.preferences?.salaryRange?.max) {
@@ -295,15 +664,277 @@ userSchema.methods.comparePassword = async function (candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password)
 }
 
+// Check if an action (otp, login or twoFactor) is currently locked
+userSchema.methods.isLocked = function (action) {
+  const lockedUntil = this.lockout?.[action]?.lockedUntil
+  return !!lockedUntil && lockedUntil > new Date()
+}
+
+// Record a failed attempt, locking the action once the policy limit is reached. The count is updated in the
+// database with atomic operations, so parallel wrong guesses can't all read the same count; the document only
+// gets a copy of the result and doesn't need saving. Returns true if the action is now locked.
+userSchema.methods.registerFailedAttempt = async function (action) {
+  const policy = LOCKOUT_POLICIES[action]
+  const attemptsPath = `lockout.${action}.failedAttempts`
+  const lockedUntilPath = `lockout.${action}.lockedUntil`
+  const now = new Date()
+
+  // A previous lock that has expired starts a fresh count
+  await this.constructor.updateOne(
+    { _id: this._id, [lockedUntilPath]: { $lte: now } },
+    { $set: { [attemptsPath]: 0 }, $unset: { [lockedUntilPath]: "" } },
+  )
+
+  const counted = await this.constructor
+    .findOneAndUpdate({ _id: this._id }, { $inc: { [attemptsPath]: 1 } }, { new: true })
+    .select("lockout")
+  let state = counted.lockout[action]
+
+  if (state.failedAttempts >= policy.maxAttempts && !state.lockedUntil) {
+    // Only the first attempt over the limit sets the lock; the others read it back
+    await this.constructor.updateOne(
+      { _id: this._id, [lockedUntilPath]: null },
+      { $set: { [lockedUntilPath]: new Date(now.getTime() + policy.lockMinutes * 60 * 1000) } },
+    )
+    state = (await this.constructor.findById(this._id).select("lockout")).lockout[action]
+  }
+
+  this.lockout[action].failedAttempts = state.failedAttempts
+  this.lockout[action].lockedUntil = state.lockedUntil
+  this.unmarkModified(attemptsPath)
+  this.unmarkModified(lockedUntilPath)
+
+  return this.isLocked(action)
+}
+
+// Clear failed attempts after a successful attempt
+userSchema.methods.resetFailedAttempts = function (action) {
+  this.lockout[action].failedAttempts = 0
+  this.lockout[action].lockedUntil = undefined
+}
+
+// Attempts left before the action locks
+userSchema.methods.getRemainingAttempts = function (action) {
+  return Math.max(LOCKOUT_POLICIES[action].maxAttempts - (this.lockout?.[action]?.failedAttempts || 0), 0)
+}
+
+// Lock state for each action, for display to the user
+userSchema.methods.getLockStatus = function () {
+  return Object.keys(LOCKOUT_POLICIES).reduce((status, action) => {
+    const locked = this.isLocked(action)
+    status[action] = {
+      locked,
+      lockedUntil: locked ? this.lockout[action].lockedUntil : null,
+      failedAttempts: this.lockout?.[action]?.failedAttempts || 0,
+      remainingAttempts: locked ? 0 : this.getRemainingAttempts(action),
+    }
+    return status
+  }, {})
+}
+
+// Check if an OAuth provider is linked
+userSchema.methods.hasIdentity = function (provider) {
+  return (this.identities || []).some((identity) => identity.provider === provider)
+}
+
+// Link an OAuth identity (no-op if the provider is already linked)
+userSchema.methods.linkIdentity = function (provider, providerId) {
+  if (!this.hasIdentity(provider)) {
+    this.identities.push({ provider, providerId, linkedAt: new Date() })
+  }
+}
+
+// Number of ways the user can currently sign in
+userSchema.methods.countSignInMethods = function () {
+  return (this.identities || []).length + (this.password ? 1 : 0)
+}
+
+// Searchable text by field. section is the privacy setting covering the field; fuzzy fields tolerate typos.
+userSchema.methods.getSearchFields = function () {
+  const profile = this.profile || {}
+  const experience = profile.experience || []
+
+  return [
+    { field: "name", text: this.name, fuzzy: true },
+    { field: "role", text: this.role },
+    { field: "skills", section: "skills", text: (profile.skills || []).join(" "), fuzzy: true },
+    { field: "title", section: "experience", text: experience.map((entry) => entry.title).join(" "), fuzzy: true },
+    { field: "company", section: "experience", text: experience.map((entry) => entry.company).join(" "), fuzzy: true },
+    { field: "company", text: profile.company, fuzzy: true },
+    { field: "location", section: "location", text: profile.location, fuzzy: true },
+    { field: "bio", section: "bio", text: profile.bio },
+  ]
+}
+
+// Check if the account is in its deletion grace period
+userSchema.methods.isPendingDeletion = function () {
+  return !!this.deletion?.scheduledFor
+}
+
+// Deactivate the account and schedule it for purging once the grace period ends
+userSchema.methods.scheduleDeletion = function (restoreTokenHash, reason) {
+  const now = new Date()
+
+  this.isActive = false
+  this.deletion = {
+    requestedAt: now,
+    scheduledFor: new Date(now.getTime() + DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000),
+    reason: reason || undefined,
+    restoreToken: restoreTokenHash,
+  }
+}
+
 // Hide sensitive data when converting to JSON
 userSchema.methods.toJSON = function () {
   const user = this.toObject()
   delete user.password
   delete user.otp
   delete user.otpExpires
+  delete user.passwordResetToken
+  delete user.passwordResetExpires
+  delete user.magicLinkToken
+  delete user.magicLinkExpires
+  if (user.emailChange) {
+    delete user.emailChange.code
+  }
+  if (user.deletion) {
+    delete user.deletion.restoreToken
+  }
+  if (user.resumeFile) {
+    delete user.resumeFile.file
+    delete user.resumeFile.text
+  }
+  // Unconfirmed resume suggestions are only returned by the resume endpoints
+  delete user.resumeSuggestions
+  delete user.search
+  if (user.twoFactor) {
+    delete user.twoFactor.secret
+    delete user.twoFactor.pendingSecret
+    delete user.twoFactor.recoveryCodes
+    delete user.twoFactor.lastUsedStep
+  }
   return user
 }
 
+// Record a wrong email change code. Returns true when the pending change was discarded.
+userSchema.methods.registerFailedEmailChangeAttempt = function () {
+  const attempts = (this.emailChange?.failedAttempts || 0) + 1
+  if (attempts >= EMAIL_CHANGE_MAX_ATTEMPTS) {
+    this.emailChange = undefined
+    return true
+  }
+
+  this.emailChange.failedAttempts = attempts
+  return false
+}
+
+// Static method to check an address against the email format used by the schema
+userSchema.statics.isValidEmail = function (email) {
+  return typeof email === "string" && email.length <= 254 && EMAIL_PATTERN.test(email)
+}
+
+// Static method to find the account linked to an OAuth identity
+userSchema.statics.findByIdentity = function (provider, providerId) {
+  return this.findOne({
+    identities: { $elemMatch: { provider, providerId: providerId.toString() } },
+  })
+}
+
+// Static method to move accounts from the legacy authProvider/providerId fields to identities
+userSchema.statics.migrateLegacyIdentities = async function () {
+  const linked = await this.updateMany(
+    {
+      authProvider: { $in: ["google", "linkedin", "github"] },
+      providerId: { $exists: true },
+      "identities.0": { $exists: false },
+    },
+    [
+      { $set: { identities: [{ provider: "$authProvider", providerId: "$providerId", linkedAt: "$createdAt" }] } },
+      { $unset: ["authProvider", "providerId"] },
+    ],
+  )
+
+  const cleaned = await this.updateMany(
+    { $or: [{ authProvider: { $exists: true } }, { providerId: { $exists: true } }] },
+    { $unset: { authProvider: "", providerId: "" } },
+    { strict: false },
+  )
+
+  return { linked: linked.modifiedCount, cleaned: cleaned.modifiedCount }
+}
+
+// Static method to record storage keys for avatars uploaded to S3 before avatarFiles existed
+userSchema.statics.migrateLegacyAvatars = async function () {
+  const result = await this.updateMany(
+    { avatar: /amazonaws\.com\/avatars\//, "avatarFiles.0": { $exists: false } },
+    [
+      {
+        $set: {
+          avatarFiles: [
+            {
+              driver: "s3",
+              key: { $concat: ["avatars/", { $arrayElemAt: [{ $split: ["$avatar", "/"] }, -1] }] },
+            },
+          ],
+        },
+      },
+    ],
+  )
+
+  return { migrated: result.modifiedCount }
+}
+
+// Static method to build the search index for users saved before it existed or before its format changed
+userSchema.statics.buildMissingSearchIndexes = async function () {
+  let built = 0
+
+  const users = this.find({ "search.version": { $ne: SEARCH_INDEX_VERSION } })
+    .select("name role profile")
+    .cursor()
+
+  for await (const user of users) {
+    await this.updateOne({ _id: user._id }, { $set: { search: buildSearchIndex(user.getSearchFields()) } })
+    built++
+  }
+
+  return { built }
+}
+
+// Re-normalize stored skills after the skill taxonomy changes. Search indexes are rebuilt and endorsements
+// carried over for users whose skills were renamed.
+userSchema.statics.normalizeStoredSkills = async function () {
+  let normalized = 0
+
+  const users = this.find({ "profile.skills.0": { $exists: true } })
+    .select("name role profile")
+    .cursor()
+
+  for await (const user of users) {
+    const { names, skillIds } = await Skill.normalizeNames(user.profile.skills)
+    const unchanged =
+      names.join("\n") === user.profile.skills.join("\n") &&
+      skillIds.join() === (user.profile.skillIds || []).join()
+    if (unchanged) continue
+
+    user.profile.skills = names
+    user.profile.skillIds = skillIds
+    await this.updateOne(
+      { _id: user._id },
+      {
+        $set: {
+          "profile.skills": names,
+          "profile.skillIds": skillIds,
+          search: buildSearchIndex(user.getSearchFields()),
+        },
+      },
+    )
+    await Endorsement.renameSkills(user._id, names)
+    normalized++
+  }
+
+  return { normalized }
+}
+
 // Static method to find developers with filters
 userSchema.statics.findDevelopers = function (filters = {}) {
   const query = { role: "developer", isActive: true }
@@ -335,4 +966,7 @@ userSchema.virtual("profileUrl").get(function () {
   return `/profile/${this._id}`
 })
 
-module.exports = mongoose.model("User", userSchema)
\ No newline at end of file
+const User = mongoose.model("User", userSchema)
+User.PRIVACY_LEVELS = PRIVACY_LEVELS
+
+module.exports = User
\ No newline at end of file
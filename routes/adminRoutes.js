@@ -0,0 +1,26 @@
+const express = require("express")
+const router = express.Router()
+const adminController = require("../controllers/adminControllers")
+const authMiddleware = require("../middleware/authMiddleware")
+const adminMiddleware = require("../middleware/adminMiddleware")
+
+// All routes require an authenticated platform admin
+router.use(authMiddleware, adminMiddleware)
+
+// User management
+router.get("/users", adminController.getUsers)
+router.get("/users/:id", adminController.getUser)
+router.put("/users/:id/suspend", adminController.suspendUser)
+router.put("/users/:id/reactivate", adminController.reactivateUser)
+router.put("/users/:id/verify-email", adminController.verifyUserEmail)
+router.delete("/users/:id/2fa", adminController.resetTwoFactor)
+
+// A user's activity
+router.get("/users/:id/bookings", adminController.getUserBookings)
+router.get("/users/:id/posts", adminController.getUserPosts)
+router.get("/users/:id/connections", adminController.getUserConnections)
+
+// Audit trail
+router.get("/audit-logs", adminController.getAuditLogs)
+
+module.exports = router
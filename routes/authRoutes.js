@@ -1,13 +1,21 @@
 const express = require("express")
 const router = express.Router()
 const authController = require("../controllers/authControllers")
+const accessTokenController = require("../controllers/accessTokenControllers")
 const authMiddleware = require("../middleware/authMiddleware")
+const { authLimiter, magicLinkLimiter } = require("../middleware/rateLimitMiddleware")
 
 // Public routes
 router.post("/register", authController.register)
-router.post("/verify-otp", authController.verifyOTP)
+router.post("/verify-otp", authLimiter, authController.verifyOTP)
 router.post("/resend-otp", authController.resendOTP)
-router.post("/login", authController.login)
+router.post("/login", authLimiter, authController.login)
+router.post("/refresh", authController.refreshToken)
+router.post("/forgot-password", authLimiter, authController.forgotPassword)
+router.post("/reset-password", authLimiter, authController.resetPassword)
+router.post("/2fa/verify", authLimiter, authController.verifyTwoFactor)
+router.post("/magic-link", magicLinkLimiter, authController.requestMagicLink)
+router.post("/magic-link/verify", authLimiter, authController.verifyMagicLink)
 router.post("/google", authController.googleAuth)
 router.post("/google/callback", authController.googleCallback)
 router.post("/github/callback", authController.githubCallback)
@@ -18,7 +26,27 @@ router.post("/linkedin/callback", authController.linkedinCallback)
 // Protected routes
 router.get("/me", authMiddleware, authController.getCurrentUser)
 router.post("/logout", authMiddleware, authController.logout)
+router.post("/logout-all", authMiddleware, authController.logoutAll)
+router.get("/sessions", authMiddleware, authController.getSessions)
+router.delete("/sessions/:id", authMiddleware, authController.revokeSession)
+router.get("/security-events", authMiddleware, authController.getSecurityEvents)
 router.put("/password", authMiddleware, authController.changePassword)
+router.post("/email", authMiddleware, authController.requestEmailChange)
+router.post("/email/confirm", authMiddleware, authController.confirmEmailChange)
+router.get("/role/transition", authMiddleware, authController.previewRoleChange)
 router.put("/role", authMiddleware, authController.updateRole)
+router.get("/onboarding", authMiddleware, authController.getOnboarding)
+router.get("/providers", authMiddleware, authController.getLinkedProviders)
+router.post("/providers/:provider/link", authMiddleware, authController.linkProvider)
+router.delete("/providers/:provider", authMiddleware, authController.unlinkProvider)
+router.post("/2fa/setup", authMiddleware, authController.setupTwoFactor)
+router.post("/2fa/enable", authMiddleware, authController.enableTwoFactor)
+router.post("/2fa/disable", authMiddleware, authController.disableTwoFactor)
+router.post("/2fa/recovery-codes", authMiddleware, authController.regenerateRecoveryCodes)
+
+// Personal access tokens
+router.post("/tokens", authMiddleware, accessTokenController.createAccessToken)
+router.get("/tokens", authMiddleware, accessTokenController.getAccessTokens)
+router.delete("/tokens/:id", authMiddleware, accessTokenController.revokeAccessToken)
 
 module.exports = router
@@ -15,16 +15,18 @@ const {
 
 // Import the middleware function directly (not destructured)
 const authMiddleware = require("../middleware/authMiddleware")
+const { requireScope } = authMiddleware
 
 // Use authMiddleware instead of protect
-router.post("/", authMiddleware, createBooking)
-router.get("/", authMiddleware, getMyBookings)
-router.get("/available-slots/:developerId", authMiddleware, getAvailableSlots)
+// requireScope also lets personal access tokens with the named scope through
+router.post("/", requireScope("bookings:write"), createBooking)
+router.get("/", requireScope("bookings:read"), getMyBookings)
+router.get("/available-slots/:developerId", requireScope("bookings:read"), getAvailableSlots)
 router.get("/slot-availability/:slotId", getAvailableSlotsForSlot)
 router.get("/test-slot/:slotId", testSlotData)
-router.get("/:id", authMiddleware, getBookingById)
-router.put("/:id/status", authMiddleware, updateBookingStatus)
-router.delete("/:id", authMiddleware, cancelBooking)
+router.get("/:id", requireScope("bookings:read"), getBookingById)
+router.put("/:id/status", requireScope("bookings:write"), updateBookingStatus)
+router.delete("/:id", requireScope("bookings:write"), cancelBooking)
 router.post("/:id/review", authMiddleware, addReview)
 router.post("/:id/feedback", authMiddleware, addFeedback)
 
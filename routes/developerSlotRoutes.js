@@ -2,63 +2,18 @@ const express = require("express")
 const router = express.Router()
 const developerSlotController = require("../controllers/developerSlotControllers")
 const authMiddleware = require("../middleware/authMiddleware")
-const User = require("../models/User")
+const { requireScope, optionalAuth } = authMiddleware
 
 // Public routes
-router.get("/public/:developerId", developerSlotController.getPublicSlots)
-router.get("/developer/:developerId", developerSlotController.getPublicSlots)
+router.get("/public/:developerId", optionalAuth, developerSlotController.getPublicSlots)
+router.get("/developer/:developerId", optionalAuth, developerSlotController.getPublicSlots)
 
-// Debug route to list all developers (remove in production)
-router.get("/debug/developers", async (req, res) => {
-  try {
-    const developers = await User.find({ role: "developer" }).select("_id name email role")
-    res.json({
-      success: true,
-      developers,
-      count: developers.length,
-    })
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: error.message,
-    })
-  }
-})
-
-// Debug route to check specific user (remove in production)
-router.get("/debug/user/:userId", async (req, res) => {
-  try {
-    const user = await User.findById(req.params.userId).select("_id name email role")
-    res.json({
-      success: true,
-      user,
-      exists: !!user,
-    })
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: error.message,
-      validObjectId: false,
-    })
-  }
-})
-
-router.use(authMiddleware)
-
-router.get("/debug/current-user", (req, res) => {
-  res.json({
-    success: true,
-    user: req.user,
-    headers: req.headers.authorization,
-  })
-})
-
-// Developer slot CRUD operations
-router.post("/", developerSlotController.createSlot)
-router.get("/", developerSlotController.getMySlots)
-router.get("/stats", developerSlotController.getSlotStats)
-router.put("/:id", developerSlotController.updateSlot)
-router.delete("/:id", developerSlotController.deleteSlot)
-router.patch("/:id/toggle", developerSlotController.toggleSlotStatus)
+// Developer slot CRUD operations (also available to personal access tokens with slot scopes)
+router.post("/", requireScope("slots:write"), developerSlotController.createSlot)
+router.get("/", requireScope("slots:read"), developerSlotController.getMySlots)
+router.get("/stats", requireScope("slots:read"), developerSlotController.getSlotStats)
+router.put("/:id", requireScope("slots:write"), developerSlotController.updateSlot)
+router.delete("/:id", requireScope("slots:write"), developerSlotController.deleteSlot)
+router.patch("/:id/toggle", requireScope("slots:write"), developerSlotController.toggleSlotStatus)
 
 module.exports = router
@@ -21,6 +21,9 @@ router.delete("/:id", notificationController.deleteNotification)
 // Get unread count
 router.get("/unread-count", notificationController.getUnreadCount)
 
+// Email a digest of unread notifications
+router.post("/digest", notificationController.emailDigest)
+
 // Get notifications by type
 router.get("/type/:type", notificationController.getNotificationsByType)
 
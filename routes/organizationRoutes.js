@@ -0,0 +1,27 @@
+const express = require("express")
+const router = express.Router()
+const organizationController = require("../controllers/organizationControllers")
+const authMiddleware = require("../middleware/authMiddleware")
+
+router.use(authMiddleware)
+
+// Organization
+router.post("/", organizationController.createOrganization)
+router.get("/me", organizationController.getMyOrganization)
+router.put("/:id", organizationController.updateOrganization)
+
+// Invitations
+router.post("/invitations/accept", organizationController.acceptInvitation)
+router.post("/:id/invitations", organizationController.inviteMember)
+router.get("/:id/invitations", organizationController.getInvitations)
+router.delete("/:id/invitations/:invitationId", organizationController.revokeInvitation)
+
+// Members
+router.put("/:id/members/:userId", organizationController.updateMemberRole)
+router.delete("/:id/members/:userId", organizationController.removeMember)
+
+// Shared visibility
+router.get("/:id/bookings", organizationController.getOrganizationBookings)
+router.get("/:id/developers", organizationController.getBookedDevelopers)
+
+module.exports = router
@@ -1,28 +1,36 @@
 const express = require("express")
 const router = express.Router()
 const postController = require("../controllers/postControllers")
-const authMiddleware = require("../middleware/authMiddleware")
-const { uploadPostImages, handleUploadError } = require("../middleware/uploadMiddleware")
+const { requireScope } = require("../middleware/authMiddleware")
+const { uploadPostImages, handleUploadError, processImageUploads } = require("../middleware/uploadMiddleware")
 
-// All routes are protected
-router.use(authMiddleware)
+// All routes are protected; personal access tokens need the matching posts scope
+const readPosts = requireScope("posts:read")
+const writePosts = requireScope("posts:write")
 
 // Post routes
-router.post("/", uploadPostImages.array("images", 5), handleUploadError, postController.createPost)
-router.get("/feed", postController.getFeed)
-router.get("/my-posts", postController.getMyPosts)
-router.get("/my-stats", postController.getMyStats)
-router.get("/:id", postController.getPost)
-router.delete("/:id", postController.deletePost)
+router.post(
+  "/",
+  writePosts,
+  uploadPostImages.array("images", 5),
+  handleUploadError,
+  processImageUploads("posts"),
+  postController.createPost,
+)
+router.get("/feed", readPosts, postController.getFeed)
+router.get("/my-posts", readPosts, postController.getMyPosts)
+router.get("/my-stats", readPosts, postController.getMyStats)
+router.get("/:id", readPosts, postController.getPost)
+router.delete("/:id", writePosts, postController.deletePost)
 
 // Post interaction routes
-router.post("/:id/like", postController.toggleLike)
-router.post("/:id/comment", postController.addComment)
-router.post("/:id/share", postController.sharePost)
-router.get("/:id/shares", postController.getPostShares)
+router.post("/:id/like", writePosts, postController.toggleLike)
+router.post("/:id/comment", writePosts, postController.addComment)
+router.post("/:id/share", writePosts, postController.sharePost)
+router.get("/:id/shares", readPosts, postController.getPostShares)
 
 // Comment routes
-router.delete("/:postId/comments/:commentId", postController.deleteComment)
-router.put("/:postId/comments/:commentId", postController.editComment)
+router.delete("/:postId/comments/:commentId", writePosts, postController.deleteComment)
+router.put("/:postId/comments/:commentId", writePosts, postController.editComment)
 
 module.exports = router
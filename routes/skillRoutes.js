@@ -0,0 +1,7 @@
+const express = require("express")
+const router = express.Router()
+const skillController = require("../controllers/skillControllers")
+
+router.get("/autocomplete", skillController.autocompleteSkills)
+
+module.exports = router
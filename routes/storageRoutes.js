@@ -0,0 +1,8 @@
+const express = require("express")
+const router = express.Router()
+const storageController = require("../controllers/storageControllers")
+
+// Files stored by the local storage driver
+router.get("/*", storageController.serveLocalFile)
+
+module.exports = router
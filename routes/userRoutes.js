@@ -1,20 +1,50 @@
 const express = require("express")
 const router = express.Router()
 const userController = require("../controllers/userControllers")
+const dataExportController = require("../controllers/dataExportControllers")
+const resumeController = require("../controllers/resumeControllers")
+const endorsementController = require("../controllers/endorsementControllers")
 const authMiddleware = require("../middleware/authMiddleware")
-const { uploadAvatar, handleUploadError } = require("../middleware/uploadMiddleware")
+const { optionalAuth } = authMiddleware
+const {
+  uploadAvatar,
+  uploadResume,
+  handleUploadError,
+  processImageUploads,
+} = require("../middleware/uploadMiddleware")
 
 // Public routes
-router.get("/search", userController.searchUsers)
-router.get("/developers", userController.getDevelopers)
+router.get("/search", optionalAuth, userController.searchUsers)
+router.get("/developers", optionalAuth, userController.getDevelopers)
+router.post("/account/restore", userController.restoreAccount)
+router.get("/export/:id/download", dataExportController.downloadDataExport)
 
 // Protected routes
 router.use(authMiddleware)
 router.get("/profile/me", userController.getProfile)
 router.get("/profile/completion", userController.getProfileCompletion)
 router.put("/profile", userController.updateProfile)
-router.post("/avatar", uploadAvatar.single("avatar"), handleUploadError, userController.uploadAvatar)
+router.post("/profile/import", resumeController.importJsonResume)
+router.post(
+  "/avatar",
+  uploadAvatar.single("avatar"),
+  handleUploadError,
+  processImageUploads("avatars"),
+  userController.uploadAvatar,
+)
+router.get("/resume", resumeController.getResume)
+router.post("/resume", uploadResume.single("resume"), handleUploadError, resumeController.uploadResume)
+router.delete("/resume", resumeController.deleteResume)
+router.post("/resume/suggestions/confirm", resumeController.confirmResumeSuggestions)
+router.delete("/resume/suggestions", resumeController.dismissResumeSuggestions)
+router.get("/:id/resume", resumeController.downloadResume)
+router.get("/:id/resume.json", resumeController.exportJsonResume)
+router.get("/:id/endorsements", endorsementController.getEndorsements)
+router.post("/:id/endorsements", endorsementController.endorseSkill)
+router.delete("/:id/endorsements/:skill", endorsementController.withdrawEndorsement)
 router.delete("/account", userController.deleteAccount)
+router.post("/export", dataExportController.requestDataExport)
+router.get("/export", dataExportController.getDataExports)
 
 // Public routes
 router.get("/:id", userController.getUserById)
@@ -5,7 +5,6 @@ const dotenv = require("dotenv")
 const http = require("http")
 const socketIo = require("socket.io")
 const path = require("path")
-const jwt = require("jsonwebtoken")
 
 // Load environment variables
 dotenv.config()
@@ -19,11 +18,23 @@ const notificationRoutes = require("./routes/notificationRoutes")
 const postRoutes = require("./routes/postRoutes")
 const connectionRoutes = require("./routes/connectionRoutes")
 const chatRoutes = require("./routes/chatRoutes")
+const adminRoutes = require("./routes/adminRoutes")
+const organizationRoutes = require("./routes/organizationRoutes")
+const storageRoutes = require("./routes/storageRoutes")
+const skillRoutes = require("./routes/skillRoutes")
 
 const User = require("./models/User")
 const Message = require("./models/Message")
+const Post = require("./models/Post")
+const Skill = require("./models/Skill")
+const DeveloperSlot = require("./models/DeveloperSlot")
 
 const { emitToUser, joinRoom, leaveRoom } = require("./utils/socketUtils")
+const { verifyAccessToken } = require("./utils/tokenUtils")
+const { DEFAULT_SKILLS } = require("./utils/skillTaxonomy")
+const { sendSessionReminders } = require("./controllers/bookingControllers")
+const { purgeDeletedAccounts } = require("./controllers/userControllers")
+const { processDataExports } = require("./controllers/dataExportControllers")
 
 const app = express()
 const server = http.createServer(app)
@@ -55,8 +66,75 @@ mongoose
     useNewUrlParser: true,
     useUnifiedTopology: true,
   })
-  .then(() => {
+  .then(async () => {
     console.log("Connected to MongoDB")
+
+    try {
+      const { linked } = await User.migrateLegacyIdentities()
+      if (linked > 0) {
+        console.log(`Migrated ${linked} users to linked identities`)
+      }
+    } catch (error) {
+      console.error("Identity migration error:", error)
+    }
+
+    try {
+      const [{ migrated: avatars }, { migrated: posts }] = await Promise.all([
+        User.migrateLegacyAvatars(),
+        Post.migrateLegacyImages(),
+      ])
+      if (avatars > 0 || posts > 0) {
+        console.log(`Recorded storage keys for ${avatars} avatars and ${posts} posts`)
+      }
+    } catch (error) {
+      console.error("Media migration error:", error)
+    }
+
+    // Add the default skill taxonomy, then re-normalize stored skills if it changed
+    try {
+      const { created, updated } = await Skill.syncTaxonomy(DEFAULT_SKILLS)
+      if (created > 0 || updated > 0) {
+        console.log(`Skill taxonomy: ${created} skills added, ${updated} updated`)
+
+        const [{ normalized: users }, { normalized: slots }] = await Promise.all([
+          User.normalizeStoredSkills(),
+          DeveloperSlot.normalizeStoredTags(),
+        ])
+        console.log(`Normalized skills for ${users} users and ${slots} slots`)
+      }
+    } catch (error) {
+      console.error("Skill taxonomy migration error:", error)
+    }
+
+    try {
+      const { built } = await User.buildMissingSearchIndexes()
+      if (built > 0) {
+        console.log(`Built search indexes for ${built} users`)
+      }
+    } catch (error) {
+      console.error("Search index migration error:", error)
+    }
+
+    // Grant admin access to the addresses listed in ADMIN_EMAILS, once the address has been verified, so
+    // someone who registers a listed address without owning it doesn't become an admin
+    const adminEmails = (process.env.ADMIN_EMAILS || "")
+      .split(",")
+      .map((email) => email.trim().toLowerCase())
+      .filter(Boolean)
+
+    if (adminEmails.length > 0) {
+      try {
+        const { modifiedCount } = await User.updateMany(
+          { email: { $in: adminEmails }, isVerified: true, isAdmin: { $ne: true } },
+          { isAdmin: true },
+        )
+        if (modifiedCount > 0) {
+          console.log(`Granted admin access to ${modifiedCount} users`)
+        }
+      } catch (error) {
+        console.error("Admin bootstrap error:", error)
+      }
+    }
   })
   .catch((error) => {
     console.error("MongoDB connection error:", error)
@@ -75,15 +153,24 @@ io.use(async (socket, next) => {
       return next(new Error("Authentication error: No token provided"))
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET)
+    const { decoded } = await verifyAccessToken(token, socket.handshake.address)
     const user = await User.findById(decoded.userId).select("-password")
 
     if (!user) {
       return next(new Error("Authentication error: User not found"))
     }
 
+    if (!user.isActive) {
+      return next(
+        new Error(`Authentication error: Account ${user.isPendingDeletion() ? "scheduled for deletion" : "suspended"}`),
+      )
+    }
+
     socket.userId = user._id.toString()
+    socket.sessionId = decoded.sessionId
     socket.user = user
+    socket.data.userId = socket.userId
+    socket.data.sessionId = decoded.sessionId
     next()
   } catch (error) {
     console.error("Socket authentication error:", error)
@@ -274,6 +361,10 @@ app.use("/api/notifications", notificationRoutes)
 app.use("/api/posts", postRoutes)
 app.use("/api/connections", connectionRoutes)
 app.use("/api/messages", chatRoutes)
+app.use("/api/admin", adminRoutes)
+app.use("/api/organizations", organizationRoutes)
+app.use("/api/skills", skillRoutes)
+app.use("/uploads", storageRoutes)
 
 // Enhanced health check endpoint
 app.get("/api/health", (req, res) => {
@@ -347,9 +438,48 @@ server.listen(PORT, () => {
   console.log(`📊 Health check: http://192.168.0.106:${PORT}/api/health`)
 })
 
+// Periodically email and notify both parties about upcoming sessions
+const SESSION_REMINDER_INTERVAL_MS = 15 * 60 * 1000
+const reminderInterval = setInterval(() => {
+  if (mongoose.connection.readyState !== 1) return
+
+  sendSessionReminders()
+    .then(({ sent }) => {
+      if (sent > 0) console.log(`⏰ Sent ${sent} session reminders`)
+    })
+    .catch((error) => console.error("Session reminder error:", error))
+}, SESSION_REMINDER_INTERVAL_MS)
+
+// Purge accounts whose deletion grace period has ended
+const ACCOUNT_PURGE_INTERVAL_MS = 60 * 60 * 1000
+const accountPurgeInterval = setInterval(() => {
+  if (mongoose.connection.readyState !== 1) return
+
+  purgeDeletedAccounts()
+    .then(({ purged }) => {
+      if (purged > 0) console.log(`🗑️ Purged ${purged} deleted accounts`)
+    })
+    .catch((error) => console.error("Account purge error:", error))
+}, ACCOUNT_PURGE_INTERVAL_MS)
+
+// Build queued data exports and remove expired export files
+const DATA_EXPORT_INTERVAL_MS = 5 * 60 * 1000
+const dataExportInterval = setInterval(() => {
+  if (mongoose.connection.readyState !== 1) return
+
+  processDataExports(io)
+    .then(({ built, expired }) => {
+      if (built > 0 || expired > 0) console.log(`📦 Built ${built} data exports, expired ${expired}`)
+    })
+    .catch((error) => console.error("Data export job error:", error))
+}, DATA_EXPORT_INTERVAL_MS)
+
 // Graceful shutdown
 const gracefulShutdown = (signal) => {
   console.log(`\n🛑 Received ${signal}. Shutting down gracefully...`)
+  clearInterval(reminderInterval)
+  clearInterval(accountPurgeInterval)
+  clearInterval(dataExportInterval)
 
   server.close(() => {
     console.log("✅ HTTP server closed")
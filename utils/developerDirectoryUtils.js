@@ -0,0 +1,363 @@
+// Utility functions for the developer directory: structured filters and facet counts
+
+const User = require("../models/User")
+const DeveloperSlot = require("../models/DeveloperSlot")
+const { visibleSectionQuery, visibleSectionExpression, matchVisible } = require("./privacyUtils")
+const { escapeRegex } = require("./textSearchUtils")
+const { USER_SKILL_PATHS, skillCondition } = require("./skillUtils")
+
+const JOB_TYPES = User.schema.path("preferences.jobType").caster.enumValues
+const SESSION_TYPES = DeveloperSlot.schema.path("sessionType").enumValues
+const CURRENCIES = DeveloperSlot.schema.path("currency").enumValues
+
+// Minimum ratings offered as "n stars & up"
+const RATING_THRESHOLDS = [4, 3, 2, 1]
+
+// Values listed in the skills and timezones facets
+const MAX_FACET_VALUES = 20
+
+// Days searched when only availableFrom is given
+const DEFAULT_AVAILABILITY_DAYS = 7
+
+// Ranking boost from skill endorsements: each tenfold increase in endorsements adds this much to the rating
+const ENDORSEMENT_RANKING_WEIGHT = 0.5
+
+// In Date.getUTCDay() order
+const WEEKDAYS = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"]
+const DAY_MS = 24 * 60 * 60 * 1000
+
+const invalidFilterError = (message) => {
+  const error = new Error(message)
+  error.status = 400
+  return error
+}
+
+// "a,b" or repeated query parameters as a list of unique values
+const parseList = (value) => [
+  ...new Set(
+    [value]
+      .flat()
+      .filter((item) => typeof item === "string")
+      .flatMap((item) => item.split(","))
+      .map((item) => item.trim())
+      .filter(Boolean),
+  ),
+]
+
+const parseEnumList = (value, name, allowed) => {
+  const values = parseList(value)
+  const unknown = values.filter((item) => !allowed.includes(item))
+  if (unknown.length > 0) {
+    throw invalidFilterError(`Invalid ${name}: ${unknown.join(", ")}. Allowed values: ${allowed.join(", ")}`)
+  }
+  return values
+}
+
+const parseNumber = (value, name, min, max = Infinity) => {
+  const number = typeof value === "string" && value.trim() !== "" ? Number(value) : Number.NaN
+  if (!Number.isFinite(number) || number < min || number > max) {
+    const range = max < Infinity ? `from ${min} to ${max}` : `of at least ${min}`
+    throw invalidFilterError(`${name} must be a number ${range}`)
+  }
+  return number
+}
+
+// A YYYY-MM-DD date as midnight UTC, matching how slot availability is worked out
+const parseDate = (value, name) => {
+  const date = new Date(`${value}T00:00:00.000Z`)
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || Number.isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== value) {
+    throw invalidFilterError(`${name} must be a date in YYYY-MM-DD format`)
+  }
+  return date
+}
+
+// Slots bookable on at least one day from availableFrom to availableTo: the slot is offered on that weekday
+// and the day is within its advance booking window
+const availabilityCondition = (availableFrom, availableTo) => {
+  const today = new Date()
+  today.setUTCHours(0, 0, 0, 0)
+
+  const from = availableFrom ? parseDate(availableFrom, "availableFrom") : today
+  const to = availableTo
+    ? parseDate(availableTo, "availableTo")
+    : new Date(from.getTime() + (DEFAULT_AVAILABILITY_DAYS - 1) * DAY_MS)
+  if (to < today) {
+    throw invalidFilterError("The availability range must not be in the past")
+  }
+  if (to < from) {
+    throw invalidFilterError("availableTo must not be before availableFrom")
+  }
+
+  // Only the first date of each weekday matters, since later ones are further in advance
+  const firstOffsets = new Map()
+  let date = from < today ? today : from
+  while (date <= to && firstOffsets.size < WEEKDAYS.length) {
+    const weekday = WEEKDAYS[date.getUTCDay()]
+    if (!firstOffsets.has(weekday)) {
+      firstOffsets.set(weekday, Math.round((date - today) / DAY_MS))
+    }
+    date = new Date(date.getTime() + DAY_MS)
+  }
+
+  return {
+    "availableTimes.0": { $exists: true },
+    $or: [...firstOffsets].map(([weekday, offset]) => ({
+      availableDays: weekday,
+      advanceBookingDays: { $gte: offset },
+    })),
+  }
+}
+
+const allOf = (conditions) => (conditions.length > 0 ? { $and: conditions } : {})
+
+const conditionsExcept = (conditions, exclude) =>
+  Object.entries(conditions)
+    .filter(([key]) => key !== exclude)
+    .map(([, condition]) => condition)
+
+// Developers matching the profile filters except `exclude`, plus any extra conditions
+const profileQuery = (filters, exclude, extra = []) => ({
+  role: "developer",
+  isActive: true,
+  ...allOf([...conditionsExcept(filters.profile, exclude), ...extra.filter(Boolean)]),
+})
+
+// Condition matching developers with an active slot that meets every slot filter. A developer has to
+// have one slot that meets them all, not different slots for different filters.
+const slotCondition = async (filters) => {
+  const conditions = Object.values(filters.slots)
+  if (conditions.length === 0) return null
+
+  const developerIds = await DeveloperSlot.distinct("developerId", { isActive: true, $and: conditions })
+  return { _id: { $in: developerIds } }
+}
+
+/**
+ * Parse developer directory filters from query parameters. Skills match by canonical skill, including child
+ * skills. Filters on profile sections only match developers whose section the viewer is allowed to see.
+ * @param {Object} query - req.query: skills (any of), requiredSkills (all of), location, experience, minRating,
+ *   jobType, remote, timezone, sessionTypes, minPrice, maxPrice, currency, availableFrom, availableTo
+ * @param {Object} viewer - From privacyUtils.getViewerContext
+ * @returns {Object} { profile, slots } - MongoDB conditions on users and on their slots, by filter name
+ * @throws {Error} With status 400 for invalid values
+ */
+const parseDeveloperFilters = async (query, viewer) => {
+  const profile = {}
+  const slots = {}
+
+  const skills = parseList(query.skills)
+  if (skills.length > 0) {
+    profile.skills = matchVisible("skills", await skillCondition(skills, USER_SKILL_PATHS), viewer)
+  }
+
+  // Each required skill can be met by the skill itself or one of its child skills
+  const requiredSkills = parseList(query.requiredSkills)
+  if (requiredSkills.length > 0) {
+    const conditions = await Promise.all(requiredSkills.map((skill) => skillCondition([skill], USER_SKILL_PATHS)))
+    profile.requiredSkills = matchVisible("skills", { $and: conditions }, viewer)
+  }
+
+  if (query.location) {
+    profile.location = matchVisible(
+      "location",
+      { "profile.location": new RegExp(escapeRegex(query.location), "i") },
+      viewer,
+    )
+  }
+
+  if (query.experience) {
+    profile.experience = matchVisible(
+      "experience",
+      { "profile.experience": { $exists: true, $not: { $size: 0 } } },
+      viewer,
+    )
+  }
+
+  if (query.minRating !== undefined) {
+    profile.minRating = { "profile.ratings.overall": { $gte: parseNumber(query.minRating, "minRating", 0, 5) } }
+  }
+
+  const jobTypes = parseEnumList(query.jobType, "jobType", JOB_TYPES)
+  if (jobTypes.length > 0) {
+    profile.jobType = matchVisible("jobPreferences", { "preferences.jobType": { $in: jobTypes } }, viewer)
+  }
+
+  if (query.remote !== undefined) {
+    if (!["true", "false"].includes(query.remote)) {
+      throw invalidFilterError("remote must be true or false")
+    }
+    profile.remote = matchVisible("jobPreferences", { "preferences.remoteWork": query.remote === "true" }, viewer)
+  }
+
+  const timezones = parseList(query.timezone)
+  if (timezones.length > 0) {
+    profile.timezone = matchVisible("location", { "profile.timezone": { $in: timezones } }, viewer)
+  }
+
+  const sessionTypes = parseEnumList(query.sessionTypes, "sessionTypes", SESSION_TYPES)
+  if (sessionTypes.length > 0) {
+    slots.sessionType = { sessionType: { $in: sessionTypes } }
+  }
+
+  if (query.minPrice !== undefined || query.maxPrice !== undefined) {
+    const price = {}
+    if (query.minPrice !== undefined) price.$gte = parseNumber(query.minPrice, "minPrice", 0)
+    if (query.maxPrice !== undefined) price.$lte = parseNumber(query.maxPrice, "maxPrice", 0)
+    if (price.$gte > price.$lte) {
+      throw invalidFilterError("minPrice must not be greater than maxPrice")
+    }
+    slots.price = { price }
+  }
+
+  if (query.currency !== undefined) {
+    const currency = String(query.currency).toUpperCase()
+    if (!CURRENCIES.includes(currency)) {
+      throw invalidFilterError(`Invalid currency. Allowed values: ${CURRENCIES.join(", ")}`)
+    }
+    slots.currency = { currency }
+  }
+
+  if (query.availableFrom || query.availableTo) {
+    slots.availability = availabilityCondition(query.availableFrom, query.availableTo)
+  }
+
+  return { profile, slots }
+}
+
+/**
+ * Build the query for developers matching all filters
+ * @param {Object} filters - From parseDeveloperFilters
+ * @returns {Object} MongoDB query on users
+ */
+const buildDeveloperQuery = async (filters) => profileQuery(filters, null, [await slotCondition(filters)])
+
+/**
+ * Rank developers by overall rating, boosted by skill endorsements. Verified endorsements count double, and
+ * the boost grows with the logarithm of the count so endorsements can't outweigh a much better rating.
+ * Endorsements only count where the viewer may see the developer's skills, so the order can't reveal them.
+ * @param {Object} query - From buildDeveloperQuery
+ * @param {Object} options - { skip, limit, viewer (from privacyUtils.getViewerContext) }
+ * @returns {Array} IDs of one page of developers, best first
+ */
+const rankDevelopers = async (query, { skip, limit, viewer }) => {
+  const endorsements = {
+    $cond: [
+      visibleSectionExpression("skills", viewer),
+      { $add: [1, { $ifNull: ["$endorsements.total", 0] }, { $ifNull: ["$endorsements.verified", 0] }] },
+      1,
+    ],
+  }
+
+  const ranked = await User.aggregate([
+    { $match: query },
+    {
+      $addFields: {
+        rankingScore: {
+          $add: [
+            { $ifNull: ["$profile.ratings.overall", 0] },
+            { $multiply: [ENDORSEMENT_RANKING_WEIGHT, { $log10: endorsements }] },
+          ],
+        },
+      },
+    },
+    { $sort: { rankingScore: -1, createdAt: -1 } },
+    { $skip: skip },
+    { $limit: limit },
+    { $project: { _id: 1 } },
+  ])
+
+  return ranked.map(({ _id }) => _id)
+}
+
+// Count developers per value of a field (array fields count each value once per developer)
+const countValues = async (match, field, limit) => {
+  const pipeline = [
+    { $match: match },
+    { $unwind: `$${field}` },
+    { $group: { _id: `$${field}`, developers: { $addToSet: "$_id" } } },
+    { $project: { count: { $size: "$developers" } } },
+    { $sort: { count: -1, _id: 1 } },
+  ]
+  if (limit) pipeline.push({ $limit: limit })
+
+  const groups = await User.aggregate(pipeline)
+  return groups.map(({ _id, count }) => ({ value: _id, count }))
+}
+
+// Counts for every allowed value, including those no developer matches
+const withAllValues = (values, counts) =>
+  values.map((value) => ({ value, count: counts.find((item) => item.value === value)?.count || 0 }))
+
+/**
+ * Count matching developers for each filter value. Each facet applies every filter except its own, so the
+ * counts show how many developers would match when that value is selected instead of (or as well as, for
+ * lists) the current one. Counts on profile sections only include developers whose section the viewer may see.
+ * @param {Object} filters - From parseDeveloperFilters
+ * @param {Object} viewer - From privacyUtils.getViewerContext
+ * @returns {Object} { skills, jobTypes, remote, timezones, ratings, sessionTypes: [{ value, count }],
+ *   prices: [{ currency, min, max }] }
+ */
+const getDeveloperFacets = async (filters, viewer) => {
+  const slotMatch = await slotCondition(filters)
+  const facetQuery = (exclude, section) =>
+    profileQuery(filters, exclude, [slotMatch, section && visibleSectionQuery(section, viewer)])
+
+  // Slot facets count developers matching the profile filters with a slot matching the other slot filters
+  const developerIds = await User.distinct("_id", profileQuery(filters))
+  const slotFacetMatch = (exclude) => ({
+    isActive: true,
+    developerId: { $in: developerIds },
+    ...allOf(conditionsExcept(filters.slots, exclude)),
+  })
+
+  const [skills, jobTypes, remote, timezones, ratings, sessionTypes, prices] = await Promise.all([
+    countValues(facetQuery("skills", "skills"), "profile.skills", MAX_FACET_VALUES),
+    countValues(facetQuery("jobType", "jobPreferences"), "preferences.jobType"),
+    countValues(facetQuery("remote", "jobPreferences"), "preferences.remoteWork"),
+    countValues(facetQuery("timezone", "location"), "profile.timezone", MAX_FACET_VALUES),
+    User.aggregate([
+      { $match: facetQuery("minRating") },
+      {
+        $group: {
+          _id: null,
+          ...Object.fromEntries(
+            RATING_THRESHOLDS.map((rating) => [
+              `min${rating}`,
+              { $sum: { $cond: [{ $gte: ["$profile.ratings.overall", rating] }, 1, 0] } },
+            ]),
+          ),
+        },
+      },
+    ]),
+    DeveloperSlot.aggregate([
+      { $match: slotFacetMatch("sessionType") },
+      { $group: { _id: { sessionType: "$sessionType", developerId: "$developerId" } } },
+      { $group: { _id: "$_id.sessionType", count: { $sum: 1 } } },
+    ]),
+    DeveloperSlot.aggregate([
+      { $match: slotFacetMatch("price") },
+      { $group: { _id: "$currency", min: { $min: "$price" }, max: { $max: "$price" } } },
+      { $sort: { _id: 1 } },
+    ]),
+  ])
+
+  return {
+    skills,
+    jobTypes: withAllValues(JOB_TYPES, jobTypes),
+    remote: withAllValues([true, false], remote),
+    timezones,
+    ratings: RATING_THRESHOLDS.map((rating) => ({ value: rating, count: ratings[0]?.[`min${rating}`] || 0 })),
+    sessionTypes: withAllValues(
+      SESSION_TYPES,
+      sessionTypes.map(({ _id, count }) => ({ value: _id, count })),
+    ),
+    prices: prices.map(({ _id, min, max }) => ({ currency: _id, min, max })),
+  }
+}
+
+module.exports = {
+  parseDeveloperFilters,
+  buildDeveloperQuery,
+  rankDevelopers,
+  getDeveloperFacets,
+}
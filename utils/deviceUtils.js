@@ -0,0 +1,57 @@
+// Utility functions for describing the device behind a request
+
+// Checked in order, so more specific patterns come before the ones they contain (e.g. Edge before Chrome)
+const BROWSERS = [
+  ["Edge", /Edg(?:e|A|iOS)?\/([\d.]+)/],
+  ["Opera", /(?:OPR|Opera)\/([\d.]+)/],
+  ["Samsung Internet", /SamsungBrowser\/([\d.]+)/],
+  ["Chrome", /(?:Chrome|CriOS)\/([\d.]+)/],
+  ["Firefox", /(?:Firefox|FxiOS)\/([\d.]+)/],
+  ["Safari", /Version\/([\d.]+).*Safari/],
+  ["Postman", /PostmanRuntime\/([\d.]+)/],
+  ["curl", /curl\/([\d.]+)/],
+]
+
+const OPERATING_SYSTEMS = [
+  ["iOS", /iPhone|iPad|iPod/],
+  ["Android", /Android/],
+  ["Windows", /Windows/],
+  ["macOS", /Mac OS X|Macintosh/],
+  ["ChromeOS", /CrOS/],
+  ["Linux", /Linux/],
+]
+
+/**
+ * Describe the device a user agent string belongs to
+ * @param {String} userAgent - User-Agent header
+ * @returns {Object} { browser, os, type, label }
+ */
+const describeDevice = (userAgent = "") => {
+  const ua = userAgent || ""
+
+  const browserMatch = BROWSERS.find(([, pattern]) => pattern.test(ua))
+  const browser = browserMatch ? `${browserMatch[0]} ${ua.match(browserMatch[1])[1].split(".")[0]}` : "Unknown browser"
+
+  const osMatch = OPERATING_SYSTEMS.find(([, pattern]) => pattern.test(ua))
+  const os = osMatch ? osMatch[0] : "Unknown OS"
+
+  let type = "desktop"
+  if (/iPad|Tablet/.test(ua)) {
+    type = "tablet"
+  } else if (/Mobi|iPhone|Android/.test(ua)) {
+    type = "mobile"
+  } else if (!osMatch) {
+    type = "unknown"
+  }
+
+  return {
+    browser,
+    os,
+    type,
+    label: `${browser} on ${os}`,
+  }
+}
+
+module.exports = {
+  describeDevice,
+}
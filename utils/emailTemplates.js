@@ -0,0 +1,297 @@
+// Named email templates. Each template takes a data object and returns { subject, html, text }.
+
+const BRAND_COLOR = "#2563eb"
+
+/**
+ * Escape a value for safe interpolation into HTML
+ * @param {*} value - Value to escape
+ * @returns {String} Escaped string
+ */
+const escapeHtml = (value) => {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;")
+}
+
+/**
+ * Wrap body HTML in the shared DevConnect layout
+ * @param {String} heading - Heading shown at the top
+ * @param {String} body - Inner HTML (already escaped)
+ * @returns {String} Complete HTML
+ */
+const layout = (heading, body) => `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: ${BRAND_COLOR};">${escapeHtml(heading)}</h2>
+        ${body}
+        <p>Best regards,<br>The DevConnect Team</p>
+      </div>
+    `
+
+const button = (href, label) => `
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${escapeHtml(href)}" style="background-color: ${BRAND_COLOR}; color: #ffffff; padding: 12px 24px; text-decoration: none; border-radius: 6px;">${escapeHtml(label)}</a>
+        </div>`
+
+const signature = "\n\nBest regards,\nThe DevConnect Team"
+
+const formatDate = (date) => new Date(date).toLocaleDateString("en-US", { dateStyle: "medium" })
+
+const templates = {
+  // data: { name, otp, expiresInMinutes }
+  verification: ({ name, otp, expiresInMinutes = 10 }) => ({
+    subject: "DevConnect - Email Verification",
+    html: layout(
+      "Welcome to DevConnect!",
+      `<p>Hi ${escapeHtml(name)},</p>
+        <p>Thank you for signing up with DevConnect. Please use the following OTP to verify your email address:</p>
+        <div style="background-color: #f3f4f6; padding: 20px; text-align: center; margin: 20px 0;">
+          <h1 style="color: ${BRAND_COLOR}; font-size: 32px; margin: 0;">${escapeHtml(otp)}</h1>
+        </div>
+        <p>This OTP will expire in ${expiresInMinutes} minutes.</p>
+        <p>If you didn't create an account with DevConnect, please ignore this email.</p>`,
+    ),
+    text:
+      `Hi ${name},\n\nThank you for signing up with DevConnect. Your verification code is: ${otp}\n\n` +
+      `This code will expire in ${expiresInMinutes} minutes.\n` +
+      `If you didn't create an account with DevConnect, please ignore this email.${signature}`,
+  }),
+
+  // data: { name, resetUrl, expiresInMinutes }
+  passwordReset: ({ name, resetUrl, expiresInMinutes = 30 }) => ({
+    subject: "DevConnect - Reset your password",
+    html: layout(
+      "Reset your password",
+      `<p>Hi ${escapeHtml(name)},</p>
+        <p>We received a request to reset the password for your DevConnect account. Click the button below to choose a new one:</p>
+        ${button(resetUrl, "Reset password")}
+        <p>This link will expire in ${expiresInMinutes} minutes and can only be used once.</p>
+        <p>If you didn't request a password reset, you can safely ignore this email.</p>`,
+    ),
+    text:
+      `Hi ${name},\n\nWe received a request to reset the password for your DevConnect account.\n` +
+      `Open this link to choose a new one: ${resetUrl}\n\n` +
+      `This link will expire in ${expiresInMinutes} minutes and can only be used once.\n` +
+      `If you didn't request a password reset, you can safely ignore this email.${signature}`,
+  }),
+
+  // data: { name, loginUrl, expiresInMinutes }
+  magicLink: ({ name, loginUrl, expiresInMinutes = 15 }) => ({
+    subject: "DevConnect - Your sign-in link",
+    html: layout(
+      "Sign in to DevConnect",
+      `<p>Hi ${escapeHtml(name)},</p>
+        <p>Click the button below to sign in to your DevConnect account. No password needed.</p>
+        ${button(loginUrl, "Sign in")}
+        <p>This link will expire in ${expiresInMinutes} minutes and can only be used once.</p>
+        <p>If you didn't request this link, you can safely ignore this email.</p>`,
+    ),
+    text:
+      `Hi ${name},\n\nOpen this link to sign in to your DevConnect account: ${loginUrl}\n\n` +
+      `This link will expire in ${expiresInMinutes} minutes and can only be used once.\n` +
+      `If you didn't request this link, you can safely ignore this email.${signature}`,
+  }),
+
+  // data: { name }
+  passwordChanged: ({ name }) => ({
+    subject: "DevConnect - Your password was changed",
+    html: layout(
+      "Password changed",
+      `<p>Hi ${escapeHtml(name)},</p>
+        <p>The password for your DevConnect account was just reset, and all devices have been signed out.</p>
+        <p>If you didn't make this change, please contact our support team immediately.</p>`,
+    ),
+    text:
+      `Hi ${name},\n\nThe password for your DevConnect account was just reset, and all devices have been signed out.\n` +
+      `If you didn't make this change, please contact our support team immediately.${signature}`,
+  }),
+
+  // data: { name, newEmail, code, expiresInMinutes } - sent to the new address
+  emailChangeCode: ({ name, newEmail, code, expiresInMinutes = 10 }) => ({
+    subject: "DevConnect - Confirm your new email address",
+    html: layout(
+      "Confirm your new email",
+      `<p>Hi ${escapeHtml(name)},</p>
+        <p>Use the following code to confirm ${escapeHtml(newEmail)} as the email address for your DevConnect account:</p>
+        <div style="background-color: #f3f4f6; padding: 20px; text-align: center; margin: 20px 0;">
+          <h1 style="color: ${BRAND_COLOR}; font-size: 32px; margin: 0;">${escapeHtml(code)}</h1>
+        </div>
+        <p>This code will expire in ${expiresInMinutes} minutes.</p>
+        <p>If you didn't request this change, please ignore this email.</p>`,
+    ),
+    text:
+      `Hi ${name},\n\nUse this code to confirm ${newEmail} as the email address for your DevConnect account: ${code}\n\n` +
+      `This code will expire in ${expiresInMinutes} minutes.\n` +
+      `If you didn't request this change, please ignore this email.${signature}`,
+  }),
+
+  // data: { name, newEmail } - sent to the current address when a change is requested
+  emailChangeRequested: ({ name, newEmail }) => ({
+    subject: "DevConnect - Email change requested",
+    html: layout(
+      "Email change requested",
+      `<p>Hi ${escapeHtml(name)},</p>
+        <p>Someone asked to change the email address on your DevConnect account to ${escapeHtml(newEmail)}. The change won't take effect until it is confirmed from the new address.</p>
+        <p>If this wasn't you, change your password and contact our support team immediately.</p>`,
+    ),
+    text:
+      `Hi ${name},\n\nSomeone asked to change the email address on your DevConnect account to ${newEmail}. ` +
+      `The change won't take effect until it is confirmed from the new address.\n` +
+      `If this wasn't you, change your password and contact our support team immediately.${signature}`,
+  }),
+
+  // data: { name, newEmail } - sent to the previous address once the change is confirmed
+  emailChanged: ({ name, newEmail }) => ({
+    subject: "DevConnect - Your email address was changed",
+    html: layout(
+      "Email address changed",
+      `<p>Hi ${escapeHtml(name)},</p>
+        <p>The email address on your DevConnect account was changed to ${escapeHtml(newEmail)}. You will no longer receive account emails at this address.</p>
+        <p>If you didn't make this change, please contact our support team immediately.</p>`,
+    ),
+    text:
+      `Hi ${name},\n\nThe email address on your DevConnect account was changed to ${newEmail}. ` +
+      `You will no longer receive account emails at this address.\n` +
+      `If you didn't make this change, please contact our support team immediately.${signature}`,
+  }),
+
+  // data: { name, scheduledFor, restoreUrl }
+  accountDeletionScheduled: ({ name, scheduledFor, restoreUrl }) => ({
+    subject: "DevConnect - Your account is scheduled for deletion",
+    html: layout(
+      "Account scheduled for deletion",
+      `<p>Hi ${escapeHtml(name)},</p>
+        <p>Your DevConnect account has been deactivated and will be permanently deleted on <strong>${formatDate(scheduledFor)}</strong>.</p>
+        <p>Changed your mind? You can restore your account until then.</p>
+        ${button(restoreUrl, "Restore my account")}
+        <p>If you didn't request this, restore your account and change your password right away.</p>`,
+    ),
+    text:
+      `Hi ${name},\n\nYour DevConnect account has been deactivated and will be permanently deleted on ${formatDate(scheduledFor)}.\n` +
+      `Changed your mind? Restore your account until then: ${restoreUrl}\n\n` +
+      `If you didn't request this, restore your account and change your password right away.${signature}`,
+  }),
+
+  // data: { name, downloadUrl, expiresAt }
+  dataExportReady: ({ name, downloadUrl, expiresAt }) => ({
+    subject: "DevConnect - Your data export is ready",
+    html: layout(
+      "Your data export is ready",
+      `<p>Hi ${escapeHtml(name)},</p>
+        <p>The copy of your DevConnect data you asked for is ready. It's a zip of JSON files covering your profile, posts, messages, connections, bookings and notifications.</p>
+        ${button(downloadUrl, "Download my data")}
+        <p>The link works until ${formatDate(expiresAt)}. After that, you can request a new export from your account settings.</p>`,
+    ),
+    text:
+      `Hi ${name},\n\nThe copy of your DevConnect data you asked for is ready: ${downloadUrl}\n\n` +
+      `The link works until ${formatDate(expiresAt)}. After that, you can request a new export from your account settings.${signature}`,
+  }),
+
+  // data: { name, otherPartyName, sessionType, scheduledDate, scheduledTime, duration, meetingLink }
+  bookingConfirmation: ({ name, otherPartyName, sessionType, scheduledDate, scheduledTime, duration, meetingLink }) => ({
+    subject: `DevConnect - Your ${sessionType} session is confirmed`,
+    html: layout(
+      "Session confirmed",
+      `<p>Hi ${escapeHtml(name)},</p>
+        <p>Your <strong>${escapeHtml(sessionType)}</strong> session with ${escapeHtml(otherPartyName)} is confirmed.</p>
+        <ul>
+          <li>Date: ${escapeHtml(formatDate(scheduledDate))}</li>
+          <li>Time: ${escapeHtml(scheduledTime)}</li>
+          <li>Duration: ${escapeHtml(duration)} minutes</li>
+        </ul>
+        ${meetingLink ? button(meetingLink, "Join meeting") : ""}`,
+    ),
+    text:
+      `Hi ${name},\n\nYour ${sessionType} session with ${otherPartyName} is confirmed.\n\n` +
+      `Date: ${formatDate(scheduledDate)}\nTime: ${scheduledTime}\nDuration: ${duration} minutes\n` +
+      `${meetingLink ? `Meeting link: ${meetingLink}\n` : ""}${signature}`,
+  }),
+
+  // data: { name, otherPartyName, sessionType, scheduledDate, scheduledTime, meetingLink }
+  sessionReminder: ({ name, otherPartyName, sessionType, scheduledDate, scheduledTime, meetingLink }) => ({
+    subject: `DevConnect - Reminder: ${sessionType} session on ${formatDate(scheduledDate)}`,
+    html: layout(
+      "Upcoming session",
+      `<p>Hi ${escapeHtml(name)},</p>
+        <p>This is a reminder that your <strong>${escapeHtml(sessionType)}</strong> session with ${escapeHtml(otherPartyName)} is coming up on ${escapeHtml(formatDate(scheduledDate))} at ${escapeHtml(scheduledTime)}.</p>
+        ${meetingLink ? button(meetingLink, "Join meeting") : ""}`,
+    ),
+    text:
+      `Hi ${name},\n\nThis is a reminder that your ${sessionType} session with ${otherPartyName} is coming up on ` +
+      `${formatDate(scheduledDate)} at ${scheduledTime}.\n` +
+      `${meetingLink ? `Meeting link: ${meetingLink}\n` : ""}${signature}`,
+  }),
+
+  // data: { name, requesterName, profileUrl }
+  connectionRequest: ({ name, requesterName, profileUrl }) => ({
+    subject: `DevConnect - ${requesterName} wants to connect`,
+    html: layout(
+      "New connection request",
+      `<p>Hi ${escapeHtml(name)},</p>
+        <p>${escapeHtml(requesterName)} sent you a connection request on DevConnect.</p>
+        ${profileUrl ? button(profileUrl, "View profile") : ""}`,
+    ),
+    text:
+      `Hi ${name},\n\n${requesterName} sent you a connection request on DevConnect.\n` +
+      `${profileUrl ? `View their profile: ${profileUrl}\n` : ""}${signature}`,
+  }),
+
+  // data: { organizationName, inviterName, role, acceptUrl, expiresInDays }
+  organizationInvitation: ({ organizationName, inviterName, role, acceptUrl, expiresInDays = 7 }) => ({
+    subject: `DevConnect - ${inviterName} invited you to join ${organizationName}`,
+    html: layout(
+      `Join ${organizationName} on DevConnect`,
+      `<p>Hi,</p>
+        <p>${escapeHtml(inviterName)} invited you to join <strong>${escapeHtml(organizationName)}</strong> as ${role === "admin" ? "an admin" : "a recruiter"}.</p>
+        ${button(acceptUrl, "Accept invitation")}
+        <p>Sign in or create an account with this email address to accept. The invitation expires in ${expiresInDays} days.</p>`,
+    ),
+    text:
+      `Hi,\n\n${inviterName} invited you to join ${organizationName} as ${role === "admin" ? "an admin" : "a recruiter"}.\n` +
+      `Accept the invitation: ${acceptUrl}\n\n` +
+      `Sign in or create an account with this email address to accept. The invitation expires in ${expiresInDays} days.${signature}`,
+  }),
+
+  // data: { name, notifications: [{ title, message, createdAt }], unreadCount, dashboardUrl }
+  digest: ({ name, notifications = [], unreadCount = notifications.length, dashboardUrl }) => ({
+    subject: `DevConnect - You have ${unreadCount} unread notification${unreadCount === 1 ? "" : "s"}`,
+    html: layout(
+      "Your DevConnect digest",
+      `<p>Hi ${escapeHtml(name)},</p>
+        <p>Here's what you missed:</p>
+        <ul>
+          ${notifications
+            .map((notification) => `<li><strong>${escapeHtml(notification.title)}</strong> - ${escapeHtml(notification.message)}</li>`)
+            .join("\n          ")}
+        </ul>
+        ${dashboardUrl ? button(dashboardUrl, "Open DevConnect") : ""}`,
+    ),
+    text:
+      `Hi ${name},\n\nHere's what you missed:\n\n` +
+      notifications.map((notification) => `- ${notification.title}: ${notification.message}`).join("\n") +
+      `\n${dashboardUrl ? `\nOpen DevConnect: ${dashboardUrl}\n` : ""}${signature}`,
+  }),
+}
+
+/**
+ * Render a named template
+ * @param {String} name - Template name
+ * @param {Object} data - Template data
+ * @returns {Object} { subject, html, text }
+ */
+const renderTemplate = (name, data = {}) => {
+  const template = templates[name]
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}`)
+  }
+
+  return template(data)
+}
+
+module.exports = {
+  escapeHtml,
+  renderTemplate,
+  templateNames: Object.keys(templates),
+}
@@ -0,0 +1,120 @@
+// Email service: transport selection and templated sending
+const nodemailer = require("nodemailer")
+const fs = require("fs")
+const path = require("path")
+const crypto = require("crypto")
+const { renderTemplate } = require("./emailTemplates")
+
+const CAPTURE_DIR = process.env.EMAIL_CAPTURE_DIR || path.join(__dirname, "..", "tmp", "mail")
+
+/**
+ * Nodemailer transport that writes each message to a JSON file instead of sending it.
+ * Used in development and tests so mail can be inspected without an SMTP server.
+ * @param {String} directory - Directory to write messages to
+ * @returns {Object} Nodemailer transport
+ */
+const createCaptureTransport = (directory) => ({
+  name: "capture",
+  version: "1.0.0",
+  send: (mail, callback) => {
+    const messageId = `<${crypto.randomUUID()}@devconnect.local>`
+    const { from, to, subject, text, html } = mail.data
+    const record = { messageId, from, to, subject, text, html, sentAt: new Date().toISOString() }
+
+    fs.promises
+      .mkdir(directory, { recursive: true })
+      .then(() => fs.promises.writeFile(path.join(directory, `${Date.now()}-${crypto.randomUUID()}.json`), JSON.stringify(record, null, 2)))
+      .then(() => callback(null, { envelope: mail.message.getEnvelope(), messageId }))
+      .catch(callback)
+  },
+})
+
+/**
+ * Create the transport configured by EMAIL_TRANSPORT (gmail, smtp or capture)
+ * @returns {Object} Nodemailer transporter
+ */
+const createTransporter = () => {
+  const transport = process.env.EMAIL_TRANSPORT || "gmail"
+
+  switch (transport) {
+    case "capture":
+      return nodemailer.createTransport(createCaptureTransport(CAPTURE_DIR))
+    case "smtp":
+      return nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: Number.parseInt(process.env.SMTP_PORT, 10) || 587,
+        secure: process.env.SMTP_SECURE === "true",
+        auth: {
+          user: process.env.EMAIL_USER,
+          pass: process.env.EMAIL_PASS,
+        },
+      })
+    case "gmail":
+      return nodemailer.createTransport({
+        service: "gmail",
+        auth: {
+          user: process.env.EMAIL_USER,
+          pass: process.env.EMAIL_PASS, // Use app password for Gmail
+        },
+      })
+    default:
+      throw new Error(`Unknown EMAIL_TRANSPORT: ${transport}`)
+  }
+}
+
+let transporter = null
+
+const getTransporter = () => {
+  if (!transporter) {
+    transporter = createTransporter()
+  }
+  return transporter
+}
+
+/**
+ * Send a templated email
+ * @param {String} templateName - Name of a template in emailTemplates
+ * @param {String} to - Recipient address
+ * @param {Object} data - Template data
+ * @returns {Object} Nodemailer send info
+ */
+const sendEmail = async (templateName, to, data = {}) => {
+  const { subject, html, text } = renderTemplate(templateName, data)
+
+  return getTransporter().sendMail({
+    from: process.env.EMAIL_FROM || process.env.EMAIL_USER,
+    to,
+    subject,
+    html,
+    text,
+  })
+}
+
+/**
+ * Read messages written by the capture transport, oldest first
+ * @returns {Array} Captured messages
+ */
+const getCapturedEmails = async () => {
+  try {
+    const files = (await fs.promises.readdir(CAPTURE_DIR)).filter((file) => file.endsWith(".json")).sort()
+    return Promise.all(
+      files.map(async (file) => JSON.parse(await fs.promises.readFile(path.join(CAPTURE_DIR, file), "utf8"))),
+    )
+  } catch (error) {
+    if (error.code === "ENOENT") return []
+    throw error
+  }
+}
+
+/**
+ * Delete all messages written by the capture transport
+ */
+const clearCapturedEmails = async () => {
+  await fs.promises.rm(CAPTURE_DIR, { recursive: true, force: true })
+}
+
+module.exports = {
+  sendEmail,
+  getCapturedEmails,
+  clearCapturedEmails,
+}
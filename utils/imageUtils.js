@@ -0,0 +1,148 @@
+// Image processing for uploads: type detection, metadata stripping and sized variants
+
+const sharp = require("sharp")
+const { putFile, deleteFile } = require("./storageUtils")
+
+// Supported formats, identified by their leading bytes rather than the client-supplied mimetype
+const IMAGE_TYPES = [
+  { mime: "image/jpeg", matches: (buffer) => buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff },
+  {
+    mime: "image/png",
+    matches: (buffer) => buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+  },
+  { mime: "image/gif", matches: (buffer) => ["GIF87a", "GIF89a"].includes(buffer.toString("ascii", 0, 6)) },
+  {
+    mime: "image/webp",
+    matches: (buffer) => buffer.toString("ascii", 0, 4) === "RIFF" && buffer.toString("ascii", 8, 12) === "WEBP",
+  },
+  {
+    mime: "image/avif",
+    matches: (buffer) => buffer.toString("ascii", 4, 8) === "ftyp" && ["avif", "avis"].includes(buffer.toString("ascii", 8, 12)),
+  },
+]
+
+// Longest side in pixels for each variant. Avatars are cropped square.
+const VARIANT_PROFILES = {
+  avatars: {
+    thumb: { size: 64, crop: true },
+    medium: { size: 256, crop: true },
+    full: { size: 1024, crop: true },
+  },
+  posts: {
+    thumb: { size: 320 },
+    medium: { size: 960 },
+    full: { size: 1920 },
+  },
+}
+
+const OUTPUT_FORMATS = {
+  webp: { contentType: "image/webp", extension: "webp" },
+  jpeg: { contentType: "image/jpeg", extension: "jpg" },
+}
+
+const invalidImageError = (message) => {
+  const error = new Error(message)
+  error.status = 400
+  return error
+}
+
+/**
+ * Identify an image from its magic bytes
+ * @param {Buffer} buffer - File contents
+ * @returns {String|null} Detected mimetype, or null if it isn't a supported image
+ */
+const detectImageType = (buffer) => {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 12) return null
+  return IMAGE_TYPES.find((type) => type.matches(buffer))?.mime || null
+}
+
+/**
+ * Verify an uploaded image and render its variants. Output carries no EXIF/GPS metadata.
+ * @param {Buffer} buffer - Uploaded file contents
+ * @param {String} profile - Variant profile, "avatars" or "posts"
+ * @returns {Object} { type, variants: { thumb: { webp, jpeg, width, height }, medium, full } }
+ */
+const processImage = async (buffer, profile) => {
+  const type = detectImageType(buffer)
+  if (!type) {
+    throw invalidImageError("File is not a supported image (JPEG, PNG, GIF, WebP or AVIF)")
+  }
+
+  try {
+    // Apply the EXIF orientation to the pixels; sharp drops all metadata from its output unless asked to keep it
+    const source = sharp(buffer, { failOn: "error" }).rotate()
+    const variants = {}
+
+    for (const [name, { size, crop }] of Object.entries(VARIANT_PROFILES[profile])) {
+      const resized = source.clone().resize({
+        width: size,
+        height: size,
+        fit: crop ? "cover" : "inside",
+        withoutEnlargement: true,
+      })
+
+      const webp = await resized.clone().webp({ quality: 80 }).toBuffer({ resolveWithObject: true })
+      const jpeg = await resized
+        .clone()
+        .flatten({ background: "#ffffff" })
+        .jpeg({ quality: 82, mozjpeg: true })
+        .toBuffer({ resolveWithObject: true })
+
+      variants[name] = { webp: webp.data, jpeg: jpeg.data, width: jpeg.info.width, height: jpeg.info.height }
+    }
+
+    return { type, variants }
+  } catch (error) {
+    console.error("Image processing error:", error)
+    throw invalidImageError("The image could not be read. It may be corrupt.")
+  }
+}
+
+/**
+ * Store the variants of a processed image. Nothing is left behind if an upload fails.
+ * @param {String} purpose - Storage purpose, e.g. "avatars"
+ * @param {String} keyPrefix - Key prefix unique to this image
+ * @param {Object} processed - Result of processImage
+ * @returns {Object} { variants: { thumb: { webp, jpeg }, ... } (URLs), files: [{ driver, key }], width, height }
+ */
+const storeImage = async (purpose, keyPrefix, processed) => {
+  const image = { variants: {}, files: [] }
+
+  try {
+    for (const [name, variant] of Object.entries(processed.variants)) {
+      image.variants[name] = {}
+      for (const [format, { contentType, extension }] of Object.entries(OUTPUT_FORMATS)) {
+        const stored = await putFile(purpose, `${keyPrefix}/${name}-${format}.${extension}`, variant[format], {
+          contentType,
+        })
+        image.variants[name][format] = stored.url
+        image.files.push({ driver: stored.driver, key: stored.key })
+      }
+    }
+  } catch (error) {
+    await deleteStoredImage(image).catch((cleanupError) => console.error("Image cleanup error:", cleanupError))
+    throw error
+  }
+
+  image.width = processed.variants.full.width
+  image.height = processed.variants.full.height
+  return image
+}
+
+/**
+ * Delete every stored file behind an image
+ * @param {Object} image - Record with a files array of { driver, key }
+ */
+const deleteStoredImage = async (image) => {
+  for (const file of image?.files || []) {
+    await deleteFile(file)
+  }
+}
+
+module.exports = {
+  VARIANT_PROFILES,
+  detectImageType,
+  processImage,
+  storeImage,
+  deleteStoredImage,
+}
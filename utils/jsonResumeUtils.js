@@ -0,0 +1,174 @@
+// Utility functions for converting profiles to and from the JSON Resume format (https://jsonresume.org/schema)
+
+const JSON_RESUME_SCHEMA = "https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json"
+const JSON_RESUME_VERSION = "v1.0.0"
+
+// Entries taken from each list in an imported document
+const MAX_IMPORTED_ENTRIES = 50
+
+const MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"]
+const MONTH_NAMES = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"]
+
+const text = (value) => (typeof value === "string" ? value.trim() : "")
+const list = (value) => (Array.isArray(value) ? value.slice(0, MAX_IMPORTED_ENTRIES) : [])
+
+// "Jan 2020", "01/2020" or "2020" as an ISO 8601 date ("2020-01" or "2020"). Anything else is undefined.
+const toIsoDate = (value) => {
+  const date = text(value).toLowerCase()
+
+  let match = date.match(/^([a-z]{3})[a-z]*\.?\s+(\d{4})$/)
+  if (match && MONTHS.includes(match[1])) {
+    return `${match[2]}-${String(MONTHS.indexOf(match[1]) + 1).padStart(2, "0")}`
+  }
+
+  match = date.match(/^(\d{1,2})\/(\d{4})$/)
+  if (match && Number(match[1]) >= 1 && Number(match[1]) <= 12) {
+    return `${match[2]}-${match[1].padStart(2, "0")}`
+  }
+
+  return /^\d{4}$/.test(date) ? date : undefined
+}
+
+// An ISO 8601 date ("2020-01-15", "2020-01" or "2020") in the "Jan 2020" style used by profile durations
+const fromIsoDate = (value) => {
+  const match = text(value).match(/^(\d{4})(?:-(\d{2}))?/)
+  if (!match) return ""
+  const month = Number(match[2])
+  return month >= 1 && month <= 12 ? `${MONTH_NAMES[month - 1]} ${match[1]}` : match[1]
+}
+
+// Split a profile duration such as "Jan 2020 - Present" into JSON Resume start and end dates
+const splitDuration = (duration) => {
+  const [start, end] = text(duration).split(/\s*(?:-|–|—|\bto\b)\s*/i)
+  return {
+    startDate: toIsoDate(start),
+    endDate: toIsoDate(end),
+  }
+}
+
+/**
+ * Convert a user's profile into a JSON Resume document
+ * @param {Object} user - User document
+ * @returns {Object} JSON Resume document
+ */
+const toJsonResume = (user) => {
+  const profile = user.profile || {}
+  const profiles = []
+
+  if (profile.github) {
+    profiles.push({ network: "GitHub", username: profile.github.split("/").filter(Boolean).pop(), url: profile.github })
+  }
+  if (profile.linkedin) {
+    profiles.push({
+      network: "LinkedIn",
+      username: profile.linkedin.split("/").filter(Boolean).pop(),
+      url: profile.linkedin,
+    })
+  }
+  // basics has room for one URL; a separate website goes with the other profiles
+  if (profile.portfolio && profile.website && profile.portfolio !== profile.website) {
+    profiles.push({ network: "Website", url: profile.website })
+  }
+
+  return {
+    $schema: JSON_RESUME_SCHEMA,
+    basics: {
+      name: user.name,
+      image: user.avatar || undefined,
+      summary: profile.bio || undefined,
+      url: profile.portfolio || profile.website || undefined,
+      location: profile.location ? { city: profile.location } : undefined,
+      profiles,
+    },
+    work: (profile.experience || []).map((entry) => ({
+      name: entry.company,
+      position: entry.title,
+      ...splitDuration(entry.duration),
+      summary: entry.description || undefined,
+    })),
+    education: (profile.education || []).map((entry) => ({
+      institution: entry.school,
+      studyType: entry.degree,
+      endDate: toIsoDate(entry.year),
+    })),
+    skills: (profile.skills || []).map((skill) => ({ name: skill })),
+    meta: {
+      canonical: `${process.env.CLIENT_URL}/profile/${user._id}`,
+      version: JSON_RESUME_VERSION,
+      lastModified: user.updatedAt,
+    },
+  }
+}
+
+/**
+ * Map a JSON Resume document onto profile fields. Values are not validated here; the User schema does that.
+ * @param {Object} resume - JSON Resume document
+ * @returns {Object} { name, profile: { bio, location, github, linkedin, portfolio, website, skills, experience, education } }
+ *   with only the fields present in the document
+ */
+const fromJsonResume = (resume) => {
+  const basics = resume.basics && typeof resume.basics === "object" ? resume.basics : {}
+  const profile = {}
+
+  if (text(basics.summary)) profile.bio = text(basics.summary)
+  if (text(basics.url)) profile.portfolio = text(basics.url)
+
+  const location = basics.location && typeof basics.location === "object" ? basics.location : {}
+  const place =
+    text(location.address) ||
+    [location.city, location.region, location.countryCode].map(text).filter(Boolean).join(", ")
+  if (place) profile.location = place
+
+  for (const link of list(basics.profiles)) {
+    const network = text(link?.network).toLowerCase()
+    const username = text(link?.username)
+
+    if (network === "github" && (text(link.url) || username)) {
+      profile.github = text(link.url) || `https://github.com/${username}`
+    } else if (network === "linkedin" && (text(link.url) || username)) {
+      profile.linkedin = text(link.url) || `https://www.linkedin.com/in/${username}`
+    } else if (["website", "portfolio"].includes(network) && text(link.url)) {
+      profile[network] = text(link.url)
+    }
+  }
+
+  // Both skill names and their keywords are treated as skills
+  const skills = list(resume.skills).flatMap((skill) =>
+    [skill?.name, ...list(skill?.keywords)].map(text).filter(Boolean),
+  )
+  if (skills.length) {
+    profile.skills = skills.filter(
+      (skill, index) => skills.findIndex((other) => other.toLowerCase() === skill.toLowerCase()) === index,
+    )
+  }
+
+  const work = list(resume.work).filter((entry) => entry && typeof entry === "object")
+  if (work.length) {
+    profile.experience = work.map((entry) => {
+      const start = fromIsoDate(entry.startDate)
+      return {
+        // Older versions of the schema used company instead of name
+        title: text(entry.position),
+        company: text(entry.name) || text(entry.company),
+        duration: start ? `${start} - ${fromIsoDate(entry.endDate) || "Present"}` : undefined,
+        description: text(entry.summary) || list(entry.highlights).map(text).filter(Boolean).join(" ") || undefined,
+      }
+    })
+  }
+
+  const education = list(resume.education).filter((entry) => entry && typeof entry === "object")
+  if (education.length) {
+    profile.education = education.map((entry) => ({
+      degree: [text(entry.studyType), text(entry.area)].filter(Boolean).join(" in "),
+      school: text(entry.institution),
+      year: (fromIsoDate(entry.endDate) || fromIsoDate(entry.startDate)).split(" ").pop() || undefined,
+    }))
+  }
+
+  return { name: text(basics.name) || undefined, profile }
+}
+
+module.exports = {
+  toJsonResume,
+  fromJsonResume,
+}
@@ -0,0 +1,308 @@
+// Utility functions for exchanging OAuth authorization codes for provider profiles
+const { OAuth2Client } = require("google-auth-library")
+
+const OAUTH_PROVIDERS = ["google", "github", "linkedin"]
+
+/**
+ * Build an error carrying the HTTP status to respond with
+ * @param {String} message - Error message
+ * @param {Number} status - HTTP status code
+ * @returns {Error} Error with status
+ */
+const oauthError = (message, status = 400) => {
+  const error = new Error(message)
+  error.status = status
+  return error
+}
+
+/**
+ * Verify a Google ID token and read the user's profile from it
+ * @param {String} idToken - ID token issued to this app's client ID
+ * @returns {Object} Normalized profile { providerId, email, emailVerified, name, avatar }
+ */
+const verifyGoogleIdToken = async (idToken) => {
+  if (!process.env.GOOGLE_CLIENT_ID) {
+    console.error("Missing Google OAuth credentials")
+    throw oauthError("Server configuration error", 500)
+  }
+
+  let payload
+  try {
+    const ticket = await new OAuth2Client(process.env.GOOGLE_CLIENT_ID).verifyIdToken({
+      idToken,
+      audience: process.env.GOOGLE_CLIENT_ID,
+    })
+    payload = ticket.getPayload()
+  } catch (error) {
+    console.error("Google ID token verification failed:", error.message)
+    throw oauthError("Invalid Google token", 401)
+  }
+
+  const { sub, email, email_verified, name, picture } = payload
+
+  console.log("Google user info:", { sub, email, name, picture: picture ? "present" : "missing" })
+
+  if (!sub || !email || !name) {
+    throw oauthError("Invalid Google profile data")
+  }
+
+  return { providerId: sub, email, emailVerified: email_verified === true, name, avatar: picture }
+}
+
+/**
+ * Exchange a Google authorization code for the user's profile
+ * @param {String} code - Authorization code
+ * @returns {Object} Normalized profile { providerId, email, emailVerified, name, avatar }
+ */
+const getGoogleProfile = async (code) => {
+  if (!process.env.GOOGLE_CLIENT_ID || !process.env.GOOGLE_CLIENT_SECRET) {
+    console.error("Missing Google OAuth credentials")
+    throw oauthError("Server configuration error", 500)
+  }
+
+  const oauth2Client = new OAuth2Client(
+    process.env.GOOGLE_CLIENT_ID,
+    process.env.GOOGLE_CLIENT_SECRET,
+    process.env.GOOGLE_REDIRECT_URI || `${process.env.CLIENT_URL}/auth/google/callback`,
+  )
+
+  const { tokens } = await oauth2Client.getToken(code)
+
+  return verifyGoogleIdToken(tokens.id_token)
+}
+
+/**
+ * Exchange a GitHub authorization code for the user's profile
+ * @param {String} code - Authorization code
+ * @returns {Object} Normalized profile { providerId, email, emailVerified, name, avatar, profileUrl }
+ */
+const getGithubProfile = async (code) => {
+  const clientId = process.env.GITHUB_CLIENT_ID
+  const clientSecret = process.env.GITHUB_CLIENT_SECRET
+
+  if (!clientId || !clientSecret) {
+    console.error("Missing GitHub OAuth credentials")
+    throw oauthError("Server configuration error: Missing GitHub credentials", 500)
+  }
+
+  // Exchange code for access token
+  const tokenResponse = await fetch("https://github.com/login/oauth/access_token", {
+    method: "POST",
+    headers: {
+      Accept: "application/json",
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({
+      client_id: clientId,
+      client_secret: clientSecret,
+      code: code,
+    }),
+  })
+
+  if (!tokenResponse.ok) {
+    const errorText = await tokenResponse.text()
+    console.error("GitHub token exchange failed:", errorText)
+    throw oauthError("Failed to exchange authorization code")
+  }
+
+  const tokenData = await tokenResponse.json()
+  console.log("GitHub token data received:", {
+    access_token: tokenData.access_token ? "present" : "missing",
+  })
+
+  if (!tokenData.access_token) {
+    throw oauthError("No access token received from GitHub")
+  }
+
+  // Get user profile from GitHub
+  const profileResponse = await fetch("https://api.github.com/user", {
+    headers: {
+      Authorization: `Bearer ${tokenData.access_token}`,
+      "User-Agent": "DevConnect-App",
+    },
+  })
+
+  if (!profileResponse.ok) {
+    const errorText = await profileResponse.text()
+    console.error("Failed to fetch GitHub profile:", errorText)
+    throw oauthError("Failed to fetch user profile from GitHub")
+  }
+
+  const profile = await profileResponse.json()
+
+  // Get user email (GitHub API requires separate call for email)
+  const emailResponse = await fetch("https://api.github.com/user/emails", {
+    headers: {
+      Authorization: `Bearer ${tokenData.access_token}`,
+      "User-Agent": "DevConnect-App",
+    },
+  })
+
+  // The public profile email isn't necessarily verified, so only verified addresses are used
+  let email = null
+  if (emailResponse.ok) {
+    const emails = (await emailResponse.json()).filter((e) => e.verified)
+    const primaryEmail = emails.find((e) => e.primary) || emails[0]
+    email = primaryEmail ? primaryEmail.email : null
+  }
+
+  console.log("GitHub profile received:", {
+    id: profile.id,
+    login: profile.login,
+    name: profile.name,
+    email: email,
+    avatar_url: profile.avatar_url ? "present" : "missing",
+  })
+
+  if (!email) {
+    throw oauthError("No verified email found in GitHub account")
+  }
+
+  return {
+    providerId: profile.id.toString(),
+    email,
+    emailVerified: true,
+    name: profile.name || profile.login,
+    avatar: profile.avatar_url,
+    profileUrl: profile.html_url,
+  }
+}
+
+/**
+ * Read the user's profile from LinkedIn with an access token, which verifies the token
+ * @param {String} accessToken - LinkedIn access token
+ * @returns {Object} Normalized profile { providerId, email, emailVerified, name, avatar }
+ */
+const getLinkedinUserInfo = async (accessToken) => {
+  console.log("Fetching user profile...")
+  const profileResponse = await fetch("https://api.linkedin.com/v2/userinfo", {
+    headers: {
+      Authorization: `Bearer ${accessToken}`,
+      "X-Restli-Protocol-Version": "2.0.0",
+    },
+  })
+
+  console.log("Profile response status:", profileResponse.status)
+
+  if (profileResponse.status === 401) {
+    throw oauthError("Invalid LinkedIn token", 401)
+  }
+
+  if (!profileResponse.ok) {
+    const errorText = await profileResponse.text()
+    console.error("Failed to fetch LinkedIn profile:", errorText)
+    throw oauthError("Failed to fetch user profile from LinkedIn")
+  }
+
+  const profile = await profileResponse.json()
+  console.log("LinkedIn profile received:", {
+    sub: profile.sub,
+    email: profile.email,
+    name: profile.name,
+    picture: profile.picture ? "present" : "missing",
+  })
+
+  const { sub, email, email_verified, name, picture } = profile
+
+  if (!sub || !email || !name) {
+    console.error("Invalid LinkedIn profile data:", profile)
+    throw oauthError("Invalid LinkedIn profile data - missing email or name")
+  }
+
+  return { providerId: sub, email, emailVerified: email_verified === true, name, avatar: picture }
+}
+
+/**
+ * Exchange a LinkedIn authorization code for the user's profile
+ * @param {String} code - Authorization code
+ * @returns {Object} Normalized profile { providerId, email, emailVerified, name, avatar }
+ */
+const getLinkedinProfile = async (code) => {
+  const clientId = process.env.LINKEDIN_CLIENT_ID
+  const clientSecret = process.env.LINKEDIN_CLIENT_SECRET
+  const redirectUri = process.env.LINKEDIN_REDIRECT_URI || `${process.env.CLIENT_URL}/auth/linkedin/callback`
+
+  console.log("LinkedIn OAuth config:", {
+    clientId: clientId ? `${clientId.substring(0, 8)}...` : "missing",
+    clientSecret: clientSecret ? "present" : "missing",
+    redirectUri,
+  })
+
+  if (!clientId || !clientSecret) {
+    console.error("Missing LinkedIn OAuth credentials")
+    throw oauthError("Server configuration error: Missing LinkedIn credentials", 500)
+  }
+
+  console.log("Exchanging code for token...")
+  const tokenResponse = await fetch("https://www.linkedin.com/oauth/v2/accessToken", {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/x-www-form-urlencoded",
+    },
+    body: new URLSearchParams({
+      grant_type: "authorization_code",
+      code: code,
+      client_id: clientId,
+      client_secret: clientSecret,
+      redirect_uri: redirectUri,
+    }),
+  })
+
+  console.log("Token response status:", tokenResponse.status)
+
+  if (!tokenResponse.ok) {
+    const errorText = await tokenResponse.text()
+    console.error("LinkedIn token exchange failed:", errorText)
+
+    let errorMessage = "Failed to exchange authorization code"
+    try {
+      const errorJson = JSON.parse(errorText)
+      errorMessage = errorJson.error_description || errorJson.error || errorMessage
+    } catch (e) {
+      errorMessage = errorText || errorMessage
+    }
+
+    throw oauthError(errorMessage)
+  }
+
+  const tokenData = await tokenResponse.json()
+  console.log("Token data received:", {
+    access_token: tokenData.access_token ? "present" : "missing",
+    expires_in: tokenData.expires_in,
+  })
+
+  if (!tokenData.access_token) {
+    throw oauthError("No access token received from LinkedIn")
+  }
+
+  return getLinkedinUserInfo(tokenData.access_token)
+}
+
+/**
+ * Exchange an authorization code for a profile from any supported provider
+ * @param {String} provider - google, github or linkedin
+ * @param {String} code - Authorization code
+ * @returns {Object} Normalized profile
+ */
+const getOAuthProfile = (provider, code) => {
+  switch (provider) {
+    case "google":
+      return getGoogleProfile(code)
+    case "github":
+      return getGithubProfile(code)
+    case "linkedin":
+      return getLinkedinProfile(code)
+    default:
+      throw oauthError("Unsupported provider")
+  }
+}
+
+module.exports = {
+  OAUTH_PROVIDERS,
+  verifyGoogleIdToken,
+  getGoogleProfile,
+  getGithubProfile,
+  getLinkedinUserInfo,
+  getLinkedinProfile,
+  getOAuthProfile,
+}
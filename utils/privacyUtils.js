@@ -0,0 +1,191 @@
+// Utility functions for profile privacy: which sections of a profile a viewer is allowed to see
+
+const mongoose = require("mongoose")
+const User = require("../models/User")
+const Connection = require("../models/Connection")
+const { HIRING_ROLES } = require("./roleUtils")
+
+// Fields covered by each privacy setting (User.privacy.<section>)
+const PRIVACY_SECTIONS = {
+  contact: ["email"],
+  bio: ["profile.bio"],
+  location: ["profile.location", "profile.timezone"],
+  skills: ["profile.skills", "profile.skillIds", "endorsements"],
+  experience: ["profile.experience"],
+  education: ["profile.education"],
+  links: ["profile.github", "profile.linkedin", "profile.portfolio", "profile.website"],
+  resume: ["profile.resume", "resumeFile"],
+  salary: ["preferences.salaryRange"],
+  jobPreferences: ["preferences.jobType", "preferences.remoteWork", "preferences.preferredLocations"],
+}
+
+// Account details that are only ever shown to the user themselves
+const ACCOUNT_FIELDS = [
+  "identities",
+  "lockout",
+  "twoFactor",
+  "emailChange",
+  "deletion",
+  "suspension",
+  "lastLogin",
+  "otpLastSentAt",
+  "avatarFiles",
+  "privacy",
+]
+
+const getDefaultLevel = (section) => User.schema.path(`privacy.${section}`).defaultValue
+
+// Privacy level of a section, falling back to the default for records saved before the setting existed
+const getLevel = (user, section) => user.privacy?.[section] || getDefaultLevel(section)
+
+const deletePath = (object, path) => {
+  const keys = path.split(".")
+  const parent = keys.slice(0, -1).reduce((value, key) => value?.[key], object)
+  if (parent && typeof parent === "object") {
+    delete parent[keys[keys.length - 1]]
+  }
+}
+
+/**
+ * Work out who is looking at profiles
+ * @param {Object|null} user - req.user, or null for anonymous requests
+ * @returns {Object} { userId, isRecruiter, connectedIds: Set of user IDs with an accepted connection }
+ */
+const getViewerContext = async (user) => {
+  if (!user) {
+    return { userId: null, isRecruiter: false, connectedIds: new Set() }
+  }
+
+  const userId = user.userId.toString()
+  const connections = await Connection.find({
+    status: "accepted",
+    $or: [{ requester: userId }, { recipient: userId }],
+  }).select("requester recipient")
+
+  return {
+    userId,
+    isRecruiter: HIRING_ROLES.includes(user.role),
+    connectedIds: new Set(
+      connections.map((connection) =>
+        connection.requester.toString() === userId ? connection.recipient.toString() : connection.requester.toString(),
+      ),
+    ),
+  }
+}
+
+/**
+ * Check whether the viewer may see a section of a user's profile
+ * @param {Object} user - Profile owner (needs _id and privacy)
+ * @param {String} section - Key of PRIVACY_SECTIONS
+ * @param {Object} viewer - From getViewerContext
+ * @returns {Boolean}
+ */
+const canViewSection = (user, section, viewer) => {
+  const userId = user._id.toString()
+  if (viewer.userId === userId) return true
+
+  switch (getLevel(user, section)) {
+    case "public":
+      return true
+    case "connections":
+      return viewer.connectedIds.has(userId)
+    case "recruiters":
+      return viewer.isRecruiter
+    default:
+      return false
+  }
+}
+
+/**
+ * Prepare a user for someone else to see: remove the sections they aren't allowed to see and account details
+ * @param {Object} user - User document
+ * @param {Object} viewer - From getViewerContext
+ * @returns {Object} Plain object. hiddenSections lists what was withheld.
+ */
+const applyPrivacy = (user, viewer) => {
+  const result = user.toJSON()
+  if (viewer.userId === user._id.toString()) return result
+
+  const hiddenSections = Object.keys(PRIVACY_SECTIONS).filter((section) => !canViewSection(user, section, viewer))
+  for (const section of hiddenSections) {
+    PRIVACY_SECTIONS[section].forEach((path) => deletePath(result, path))
+  }
+  ACCOUNT_FIELDS.forEach((path) => deletePath(result, path))
+
+  result.hiddenSections = hiddenSections
+  return result
+}
+
+/**
+ * Query condition for profiles whose section the viewer may see. Combine it with any filter on that
+ * section's fields so results can't reveal hidden values.
+ * @param {String} section - Key of PRIVACY_SECTIONS
+ * @param {Object} viewer - From getViewerContext
+ * @returns {Object} MongoDB condition
+ */
+const visibleSectionQuery = (section, viewer) => {
+  // null also matches records without the setting, which use the default level
+  const levelIn = (levels) => ({
+    [`privacy.${section}`]: { $in: levels.includes(getDefaultLevel(section)) ? [...levels, null] : levels },
+  })
+
+  const conditions = [levelIn(viewer.isRecruiter ? ["public", "recruiters"] : ["public"])]
+  if (viewer.connectedIds.size > 0) {
+    conditions.push({
+      ...levelIn(["connections"]),
+      _id: { $in: [...viewer.connectedIds].map((id) => new mongoose.Types.ObjectId(id)) },
+    })
+  }
+  if (viewer.userId) {
+    conditions.push({ _id: new mongoose.Types.ObjectId(viewer.userId) })
+  }
+
+  return { $or: conditions }
+}
+
+/**
+ * Aggregation expression that is true for profiles whose section the viewer may see. The same rules as
+ * visibleSectionQuery, for use where a value from the section is computed rather than filtered on.
+ * @param {String} section - Key of PRIVACY_SECTIONS
+ * @param {Object} viewer - From getViewerContext
+ * @returns {Object} Aggregation expression
+ */
+const visibleSectionExpression = (section, viewer) => {
+  const level = { $ifNull: [`$privacy.${section}`, getDefaultLevel(section)] }
+
+  const conditions = [{ $in: [level, viewer.isRecruiter ? ["public", "recruiters"] : ["public"]] }]
+  if (viewer.connectedIds.size > 0) {
+    conditions.push({
+      $and: [
+        { $eq: [level, "connections"] },
+        { $in: ["$_id", [...viewer.connectedIds].map((id) => new mongoose.Types.ObjectId(id))] },
+      ],
+    })
+  }
+  if (viewer.userId) {
+    conditions.push({ $eq: ["$_id", new mongoose.Types.ObjectId(viewer.userId)] })
+  }
+
+  return { $or: conditions }
+}
+
+/**
+ * Filter on a section's fields, only matching profiles where the viewer may see that section
+ * @param {String} section - Key of PRIVACY_SECTIONS
+ * @param {Object} condition - Filter on the section's fields
+ * @param {Object} viewer - From getViewerContext
+ * @returns {Object} MongoDB condition
+ */
+const matchVisible = (section, condition, viewer) => ({
+  $and: [condition, visibleSectionQuery(section, viewer)],
+})
+
+module.exports = {
+  PRIVACY_SECTIONS,
+  getViewerContext,
+  canViewSection,
+  applyPrivacy,
+  visibleSectionQuery,
+  visibleSectionExpression,
+  matchVisible,
+}
@@ -0,0 +1,288 @@
+// Utility functions for uploaded resumes: type detection, text extraction and parsing into profile suggestions
+
+const { PDFParse } = require("pdf-parse")
+const mammoth = require("mammoth")
+
+const RESUME_TYPES = {
+  pdf: {
+    contentType: "application/pdf",
+    extension: "pdf",
+    matches: (buffer) => buffer.toString("ascii", 0, 5) === "%PDF-",
+  },
+  docx: {
+    contentType: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+    extension: "docx",
+    // DOCX files are zip archives; mammoth rejects zips that aren't Word documents
+    matches: (buffer) => buffer[0] === 0x50 && buffer[1] === 0x4b && buffer[2] === 0x03 && buffer[3] === 0x04,
+  },
+}
+
+// Extracted text kept on the user record
+const MAX_TEXT_LENGTH = 50000
+
+const MAX_SUGGESTED_SKILLS = 30
+
+// Section headings, matched against whole lines
+const SECTION_HEADINGS = {
+  experience: /^(work |professional |employment )?(experience|history)$|^employment$|^work$/,
+  education: /^(education|academic background|qualifications)$/,
+  skills: /^(technical |core |key )?(skills|competencies)( & tools| and tools)?$|^technologies$|^tech stack$/,
+  other: /^(summary|profile|about me|objective|projects|certifications|awards|languages|interests|references|publications|volunteering)$/,
+}
+
+const MONTH = "(jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\\.?"
+const DATE = `((${MONTH}\\s+)?\\d{4}|\\d{1,2}/\\d{4})`
+const DATE_RANGE_PATTERN = new RegExp(`${DATE}\\s*(-|–|—|to)\\s*(${DATE}|present|current|now)`, "i")
+
+const DEGREE_PATTERN =
+  /\b(bachelor|master|doctor|ph\.?d|mba|b\.?sc|m\.?sc|b\.?s\.?|m\.?s\.?|b\.?a\.?|m\.?a\.?|b\.?eng|m\.?eng|b\.?tech|m\.?tech|associate|diploma|certificate)\b/i
+const SCHOOL_PATTERN = /\b(university|college|institute|school|academy|polytechnic)\b/i
+const YEAR_PATTERN = /\b(19|20)\d{2}\b/g
+
+const invalidResumeError = (message) => {
+  const error = new Error(message)
+  error.status = 400
+  return error
+}
+
+/**
+ * Identify a resume from its leading bytes
+ * @param {Buffer} buffer - File contents
+ * @returns {Object|null} { type, contentType, extension }, or null if it isn't a PDF or DOCX
+ */
+const detectResumeType = (buffer) => {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 5) return null
+
+  const type = Object.keys(RESUME_TYPES).find((name) => RESUME_TYPES[name].matches(buffer))
+  if (!type) return null
+
+  const { contentType, extension } = RESUME_TYPES[type]
+  return { type, contentType, extension }
+}
+
+/**
+ * Extract the plain text of a resume
+ * @param {Buffer} buffer - File contents
+ * @param {String} type - "pdf" or "docx", from detectResumeType
+ * @returns {String} Text with normalized line endings
+ */
+const extractResumeText = async (buffer, type) => {
+  let text
+
+  try {
+    if (type === "pdf") {
+      const parser = new PDFParse({ data: buffer })
+      try {
+        // Drop the "-- 1 of 2 --" markers pdf-parse puts between pages
+        text = (await parser.getText()).text.replace(/^-- \d+ of \d+ --$/gm, "")
+      } finally {
+        await parser.destroy()
+      }
+    } else {
+      // mammoth ends every paragraph with a blank line; keep blank lines only where the document has empty paragraphs
+      text = (await mammoth.extractRawText({ buffer })).value.replace(/\n\n/g, "\n")
+    }
+  } catch (error) {
+    console.error("Resume text extraction error:", error)
+    throw invalidResumeError("The resume could not be read. It may be corrupt or password protected.")
+  }
+
+  return text
+    .replace(/\r\n?/g, "\n")
+    .replace(/[ \t\u00a0]+/g, " ")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim()
+    .substring(0, MAX_TEXT_LENGTH)
+}
+
+const BULLET_PATTERN = /^[•·▪●○◦\-*]\s*/
+
+// Remove separators left at either end of a line once a date has been taken out
+const trimSeparators = (line) => line.replace(/[\s|,()\-–—]+$|^[\s|,()\-–—]+/g, "")
+
+// Which section a line starts, if it is a heading
+const matchHeading = (line) => {
+  const heading = line
+    .toLowerCase()
+    .replace(/[:\-–—_*#]+$/g, "")
+    .trim()
+  if (!heading || heading.length > 40) return null
+  return Object.keys(SECTION_HEADINGS).find((section) => SECTION_HEADINGS[section].test(heading)) || null
+}
+
+// Group the lines of a resume by the section they appear under
+const splitSections = (text) => {
+  const sections = { experience: [], education: [], skills: [] }
+  let current = null
+
+  for (const rawLine of text.split("\n")) {
+    const line = rawLine.trim()
+    const heading = matchHeading(line)
+    if (heading) {
+      current = heading
+      continue
+    }
+    if (current && sections[current]) {
+      sections[current].push(line)
+    }
+  }
+
+  return sections
+}
+
+// Split a section into blocks of non-empty lines separated by blank lines
+const splitBlocks = (lines) =>
+  lines
+    .join("\n")
+    .split(/\n\s*\n/)
+    .map((block) => block.split("\n").filter(Boolean))
+    .filter((block) => block.length > 0)
+
+// Split a block holding several jobs at their date lines. A job's heading is either on its date line
+// or on the line just before it.
+const splitJobs = (block) => {
+  const dateLines = block.map((line, index) => (DATE_RANGE_PATTERN.test(line) ? index : -1)).filter((index) => index >= 0)
+  const starts = [0]
+
+  for (let i = 1; i < dateLines.length; i++) {
+    const dateLine = dateLines[i]
+    const headingOnDateLine = trimSeparators(block[dateLine].replace(DATE_RANGE_PATTERN, "")) !== ""
+    const start = headingOnDateLine ? dateLine : dateLine - 1
+
+    if (start > dateLines[i - 1] && !BULLET_PATTERN.test(block[start])) {
+      starts.push(start)
+    }
+  }
+
+  return starts.map((start, i) => block.slice(start, starts[i + 1]))
+}
+
+const parseSkills = (lines) => {
+  const seen = new Set()
+  const skills = []
+
+  for (const line of lines) {
+    // "Languages: JavaScript, Go" lists the skills after the label
+    const values = line.includes(":") ? line.substring(line.indexOf(":") + 1) : line
+    for (const value of values.split(/[,;|•·/]|\s{2,}/)) {
+      const skill = value.replace(/^[\s\-*]+|[\s.]+$/g, "")
+      if (!skill || skill.length > 40 || skill.split(" ").length > 4) continue
+      if (seen.has(skill.toLowerCase())) continue
+      seen.add(skill.toLowerCase())
+      skills.push(skill)
+    }
+  }
+
+  return skills.slice(0, MAX_SUGGESTED_SKILLS)
+}
+
+// Split "Title at Company", "Title - Company", "Title | Company" or "Title, Company"
+const splitTitleAndCompany = (line) => {
+  const match = line.match(/^(.+?)\s+(?:at|@)\s+(.+)$/i) || line.match(/^(.+?)\s*(?:\s[-–—|]\s|,\s)\s*(.+)$/)
+  return match ? { title: match[1].trim(), company: match[2].trim() } : null
+}
+
+const parseExperience = (lines) =>
+  splitBlocks(lines)
+    .flatMap(splitJobs)
+    .map((job) => {
+      let duration
+      const remaining = []
+
+      for (const rawLine of job) {
+        const line = rawLine.replace(BULLET_PATTERN, "").trim()
+        const dateMatch = !duration && line.match(DATE_RANGE_PATTERN)
+        if (dateMatch) {
+          duration = dateMatch[0]
+          const rest = trimSeparators(line.replace(dateMatch[0], ""))
+          if (rest) remaining.push(rest)
+        } else if (line) {
+          remaining.push(line)
+        }
+      }
+
+      const heading = splitTitleAndCompany(remaining[0] || "")
+      const entry = heading
+        ? { ...heading, descriptionLines: remaining.slice(1) }
+        : { title: remaining[0], company: remaining[1], descriptionLines: remaining.slice(2) }
+
+      if (!entry.title || !entry.company) return null
+
+      return {
+        title: entry.title.substring(0, 100),
+        company: entry.company.substring(0, 100),
+        duration,
+        description: entry.descriptionLines.join(" ").substring(0, 300) || undefined,
+      }
+    })
+    .filter(Boolean)
+
+// Split a block holding several qualifications: a new one starts once the current one has both a degree and a school
+const splitQualifications = (block) => {
+  const qualifications = []
+  let current = null
+
+  for (const line of block) {
+    const isDegree = DEGREE_PATTERN.test(line)
+    const isSchool = SCHOOL_PATTERN.test(line)
+    if (!current || ((isDegree || isSchool) && current.degree && current.school)) {
+      current = { lines: [] }
+      qualifications.push(current)
+    }
+    current.lines.push(line)
+    if (isSchool && !current.school) current.school = line
+    else if (isDegree && !current.degree) current.degree = line
+  }
+
+  return qualifications
+}
+
+const parseEducation = (lines) =>
+  splitBlocks(lines)
+    .flatMap(splitQualifications)
+    .map(({ lines: qualificationLines, degree, school }) => {
+      if (!degree || !school) return null
+
+      const years = qualificationLines.join(" ").match(YEAR_PATTERN)
+      const clean = (line) =>
+        trimSeparators(line.replace(BULLET_PATTERN, "").replace(DATE_RANGE_PATTERN, "").replace(YEAR_PATTERN, ""))
+
+      return {
+        degree: clean(degree).substring(0, 100),
+        school: clean(school).substring(0, 100),
+        year: years ? years[years.length - 1] : undefined,
+      }
+    })
+    .filter((entry) => entry && entry.degree && entry.school)
+
+/**
+ * Suggest profile entries from the text of a resume. Entries already on the profile are left out.
+ * @param {String} text - Resume text from extractResumeText
+ * @param {Object} profile - The user's current profile
+ * @returns {Object} { skills: [String], experience: [{ title, company, duration, description }], education: [{ degree, school, year }] }
+ */
+const parseResume = (text, profile = {}) => {
+  const sections = splitSections(text)
+  const key = (...values) => values.map((value) => (value || "").toLowerCase().trim()).join("|")
+
+  const existingSkills = new Set((profile.skills || []).map((skill) => key(skill)))
+  const existingExperience = new Set((profile.experience || []).map((entry) => key(entry.title, entry.company)))
+  const existingEducation = new Set((profile.education || []).map((entry) => key(entry.degree, entry.school)))
+
+  return {
+    skills: parseSkills(sections.skills).filter((skill) => !existingSkills.has(key(skill))),
+    experience: parseExperience(sections.experience).filter(
+      (entry) => !existingExperience.has(key(entry.title, entry.company)),
+    ),
+    education: parseEducation(sections.education).filter(
+      (entry) => !existingEducation.has(key(entry.degree, entry.school)),
+    ),
+  }
+}
+
+module.exports = {
+  RESUME_TYPES,
+  detectResumeType,
+  extractResumeText,
+  parseResume,
+}
@@ -0,0 +1,176 @@
+// Utility functions for role changes and role-specific onboarding
+
+const DeveloperSlot = require("../models/DeveloperSlot")
+const Booking = require("../models/Booking")
+const Organization = require("../models/Organization")
+const OrganizationInvitation = require("../models/OrganizationInvitation")
+
+const ROLES = ["developer", "recruiter", "company"]
+
+// Roles that book sessions rather than offer them
+const HIRING_ROLES = ["recruiter", "company"]
+
+const ACTIVE_BOOKING_STATUSES = ["pending", "confirmed"]
+
+/**
+ * Work out what a role change would leave behind
+ * @param {Object} user - User document
+ * @param {String} newRole - Role being switched to
+ * @returns {Object} { from, to, activeSlots, activeBookings, organization, canMigrate, blocked }
+ */
+const getRoleTransitionImpact = async (user, newRole) => {
+  const from = user.role
+  const impact = {
+    from,
+    to: newRole,
+    activeSlots: [],
+    activeBookings: [],
+    organization: null,
+  }
+
+  const leavingDeveloper = from === "developer" && newRole !== "developer"
+  const leavingHiring = HIRING_ROLES.includes(from) && !HIRING_ROLES.includes(newRole)
+
+  if (leavingDeveloper) {
+    impact.activeSlots = await DeveloperSlot.find({ developerId: user._id, isActive: true }).select(
+      "title sessionType",
+    )
+    impact.activeBookings = await Booking.find({
+      developerId: user._id,
+      status: { $in: ACTIVE_BOOKING_STATUSES },
+    }).select("recruiterId scheduledDate scheduledTime sessionType status")
+  }
+
+  if (leavingHiring) {
+    impact.activeBookings = await Booking.find({
+      recruiterId: user._id,
+      status: { $in: ACTIVE_BOOKING_STATUSES },
+    }).select("developerId scheduledDate scheduledTime sessionType status")
+
+    // Organization seats are for hiring roles. Membership has to be given up by hand, since leaving
+    // may need an ownership transfer.
+    const organization = await Organization.findForUser(user._id)
+    if (organization) {
+      impact.organization = {
+        _id: organization._id,
+        name: organization.name,
+        role: organization.getMember(user._id).role,
+      }
+    }
+  }
+
+  impact.canMigrate = !impact.organization
+  impact.blocked = impact.activeSlots.length > 0 || impact.activeBookings.length > 0 || !!impact.organization
+
+  return impact
+}
+
+/**
+ * Deactivate the slots and cancel the bookings listed in a transition impact
+ * @param {Object} impact - Result of getRoleTransitionImpact
+ * @param {String} reason - Cancellation reason stored on each booking
+ * @returns {Object} { slotsDeactivated, cancelledBookings }
+ */
+const migrateRoleTransition = async (impact, reason) => {
+  const slotIds = impact.activeSlots.map((slot) => slot._id)
+  const bookingIds = impact.activeBookings.map((booking) => booking._id)
+
+  if (slotIds.length > 0) {
+    await DeveloperSlot.updateMany({ _id: { $in: slotIds } }, { isActive: false })
+  }
+
+  // Re-check the status so a booking completed or cancelled in the meantime is left alone
+  const cancelledBookings = await Booking.find({ _id: { $in: bookingIds }, status: { $in: ACTIVE_BOOKING_STATUSES } })
+  if (cancelledBookings.length > 0) {
+    await Booking.updateMany(
+      { _id: { $in: cancelledBookings.map((booking) => booking._id) } },
+      { status: "cancelled", cancellationReason: reason },
+    )
+  }
+
+  return { slotsDeactivated: slotIds.length, cancelledBookings }
+}
+
+// Onboarding steps for each role. `check` receives the user and the data loaded by getOnboardingStatus.
+const ONBOARDING_STEPS = {
+  developer: [
+    { key: "verify_email", label: "Verify your email address", check: (user) => user.isVerified },
+    { key: "profile", label: "Add a bio and location", check: (user) => !!(user.profile?.bio && user.profile?.location) },
+    { key: "skills", label: "List your skills", check: (user) => user.profile?.skills?.length > 0 },
+    { key: "experience", label: "Add work experience", check: (user) => user.profile?.experience?.length > 0 },
+    { key: "slot", label: "Publish a bookable session slot", check: (user, data) => data.activeSlots > 0 },
+  ],
+  recruiter: [
+    { key: "verify_email", label: "Verify your email address", check: (user) => user.isVerified },
+    { key: "profile", label: "Add a bio", check: (user) => !!user.profile?.bio },
+    {
+      key: "company",
+      label: "Add your company or join your organization",
+      check: (user, data) => !!(user.profile?.company || data.organization),
+    },
+    { key: "first_booking", label: "Book your first session", check: (user, data) => data.bookingsMade > 0 },
+  ],
+  company: [
+    { key: "verify_email", label: "Verify your email address", check: (user) => user.isVerified },
+    {
+      key: "organization",
+      label: "Create your organization",
+      check: (user, data) => !!data.organization?.hasRole(user._id, ["owner"]),
+    },
+    {
+      key: "organization_details",
+      label: "Add your organization's logo and domain",
+      check: (user, data) => !!(data.organization?.logo && data.organization?.domain),
+    },
+    {
+      key: "team",
+      label: "Invite a recruiter",
+      check: (user, data) => data.organization?.members.length > 1 || data.pendingInvitations > 0,
+    },
+  ],
+}
+
+/**
+ * Get the onboarding checklist for the user's current role
+ * @param {Object} user - User document
+ * @returns {Object} { role, steps, completedSteps, totalSteps, isComplete, nextStep }
+ */
+const getOnboardingStatus = async (user) => {
+  const data = { activeSlots: 0, bookingsMade: 0, organization: null, pendingInvitations: 0 }
+
+  if (user.role === "developer") {
+    data.activeSlots = await DeveloperSlot.countDocuments({ developerId: user._id, isActive: true })
+  } else {
+    data.organization = await Organization.findForUser(user._id)
+    data.bookingsMade = await Booking.countDocuments({ recruiterId: user._id })
+    if (data.organization) {
+      data.pendingInvitations = await OrganizationInvitation.countDocuments(
+        OrganizationInvitation.pendingQuery(data.organization._id),
+      )
+    }
+  }
+
+  const steps = (ONBOARDING_STEPS[user.role] || []).map((step) => ({
+    key: step.key,
+    label: step.label,
+    completed: !!step.check(user, data),
+  }))
+  const completedSteps = steps.filter((step) => step.completed).length
+
+  return {
+    role: user.role,
+    steps,
+    completedSteps,
+    totalSteps: steps.length,
+    isComplete: completedSteps === steps.length,
+    nextStep: steps.find((step) => !step.completed)?.key || null,
+  }
+}
+
+module.exports = {
+  ROLES,
+  HIRING_ROLES,
+  getRoleTransitionImpact,
+  migrateRoleTransition,
+  getOnboardingStatus,
+}
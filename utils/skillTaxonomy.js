@@ -0,0 +1,106 @@
+// Default skill taxonomy, added to the Skill collection on startup. Parents are listed before their children.
+
+const DEFAULT_SKILLS = [
+  // Languages
+  { name: "JavaScript", category: "language", aliases: ["JS", "ECMAScript", "ES6"] },
+  { name: "TypeScript", category: "language", parent: "JavaScript", aliases: ["TS"] },
+  { name: "Python", category: "language", aliases: ["Py", "Python3"] },
+  { name: "Java", category: "language" },
+  { name: "Kotlin", category: "language" },
+  { name: "Scala", category: "language" },
+  { name: "C", category: "language" },
+  { name: "C++", category: "language", aliases: ["CPP"] },
+  { name: "C#", category: "language", aliases: ["CSharp", "C Sharp"] },
+  { name: "Go", category: "language", aliases: ["Golang"] },
+  { name: "Rust", category: "language" },
+  { name: "Ruby", category: "language" },
+  { name: "PHP", category: "language" },
+  { name: "Swift", category: "language" },
+  { name: "Objective-C", category: "language", aliases: ["ObjC"] },
+  { name: "Dart", category: "language" },
+  { name: "Elixir", category: "language" },
+  { name: "R", category: "language" },
+  { name: "SQL", category: "language" },
+  { name: "HTML", category: "language", aliases: ["HTML5"] },
+  { name: "CSS", category: "language", aliases: ["CSS3"] },
+  { name: "Sass", category: "language", parent: "CSS", aliases: ["SCSS"] },
+  { name: "Bash", category: "language", aliases: ["Shell", "Shell Scripting"] },
+
+  // Runtimes
+  { name: "Node.js", category: "runtime", parent: "JavaScript", aliases: ["Node", "NodeJS"] },
+  { name: "Deno", category: "runtime", parent: "JavaScript" },
+  { name: ".NET", category: "runtime", parent: "C#", aliases: ["dotnet", ".NET Core"] },
+
+  // Frontend frameworks and libraries
+  { name: "React", category: "library", parent: "JavaScript", aliases: ["React.js", "ReactJS"] },
+  { name: "Next.js", category: "framework", parent: "React", aliases: ["Next", "NextJS"] },
+  { name: "Redux", category: "library", parent: "React" },
+  { name: "React Native", category: "framework", parent: "React", aliases: ["RN"] },
+  { name: "Angular", category: "framework", parent: "TypeScript", aliases: ["Angular.js", "AngularJS"] },
+  { name: "Vue.js", category: "framework", parent: "JavaScript", aliases: ["Vue", "VueJS"] },
+  { name: "Nuxt", category: "framework", parent: "Vue.js", aliases: ["Nuxt.js", "NuxtJS"] },
+  { name: "Svelte", category: "framework", parent: "JavaScript", aliases: ["SvelteKit"] },
+  { name: "jQuery", category: "library", parent: "JavaScript" },
+  { name: "Tailwind CSS", category: "framework", parent: "CSS", aliases: ["Tailwind", "TailwindCSS"] },
+  { name: "Bootstrap", category: "framework", parent: "CSS" },
+
+  // Backend frameworks
+  { name: "Express", category: "framework", parent: "Node.js", aliases: ["Express.js", "ExpressJS"] },
+  { name: "NestJS", category: "framework", parent: "Node.js", aliases: ["Nest", "Nest.js"] },
+  { name: "Django", category: "framework", parent: "Python" },
+  { name: "Flask", category: "framework", parent: "Python" },
+  { name: "FastAPI", category: "framework", parent: "Python" },
+  { name: "Spring", category: "framework", parent: "Java", aliases: ["Spring Boot", "SpringBoot"] },
+  { name: "Ruby on Rails", category: "framework", parent: "Ruby", aliases: ["Rails", "RoR"] },
+  { name: "Laravel", category: "framework", parent: "PHP" },
+  { name: "ASP.NET", category: "framework", parent: ".NET", aliases: ["ASP.NET Core"] },
+  { name: "Flutter", category: "framework", parent: "Dart" },
+  { name: "GraphQL", category: "tool", aliases: ["GQL"] },
+
+  // Data and machine learning
+  { name: "Machine Learning", category: "practice", aliases: ["ML"] },
+  { name: "Deep Learning", category: "practice", parent: "Machine Learning", aliases: ["DL"] },
+  { name: "TensorFlow", category: "library", parent: "Machine Learning", aliases: ["TF"] },
+  { name: "PyTorch", category: "library", parent: "Machine Learning", aliases: ["Torch"] },
+  { name: "Pandas", category: "library", parent: "Python" },
+  { name: "Data Science", category: "practice" },
+
+  // Databases
+  { name: "MongoDB", category: "database", aliases: ["Mongo"] },
+  { name: "Mongoose", category: "library", parent: "MongoDB" },
+  { name: "PostgreSQL", category: "database", parent: "SQL", aliases: ["Postgres", "PSQL"] },
+  { name: "MySQL", category: "database", parent: "SQL" },
+  { name: "SQLite", category: "database", parent: "SQL" },
+  { name: "Microsoft SQL Server", category: "database", parent: "SQL", aliases: ["MSSQL", "SQL Server"] },
+  { name: "Redis", category: "database" },
+  { name: "Elasticsearch", category: "database", aliases: ["Elastic", "ES"] },
+  { name: "Firebase", category: "cloud" },
+
+  // Cloud and DevOps
+  { name: "AWS", category: "cloud", aliases: ["Amazon Web Services"] },
+  { name: "Google Cloud", category: "cloud", aliases: ["GCP", "Google Cloud Platform"] },
+  { name: "Azure", category: "cloud", aliases: ["Microsoft Azure"] },
+  { name: "Docker", category: "devops" },
+  { name: "Kubernetes", category: "devops", aliases: ["K8s"] },
+  { name: "Terraform", category: "devops" },
+  { name: "CI/CD", category: "devops", aliases: ["Continuous Integration", "Continuous Delivery"] },
+  { name: "GitHub Actions", category: "devops", parent: "CI/CD" },
+  { name: "Jenkins", category: "devops", parent: "CI/CD" },
+  { name: "Linux", category: "devops" },
+
+  // Tools and practices
+  { name: "Git", category: "tool" },
+  { name: "REST APIs", category: "practice", aliases: ["REST", "RESTful APIs", "RESTful"] },
+  { name: "Microservices", category: "practice" },
+  { name: "System Design", category: "practice" },
+  { name: "Testing", category: "practice", aliases: ["Software Testing", "Automated Testing"] },
+  { name: "Jest", category: "tool", parent: "Testing" },
+  { name: "Cypress", category: "tool", parent: "Testing" },
+  { name: "Agile", category: "practice", aliases: ["Scrum"] },
+  { name: "UI/UX Design", category: "design", aliases: ["UI Design", "UX Design", "UX", "UI"] },
+  { name: "Figma", category: "design", parent: "UI/UX Design" },
+]
+
+module.exports = {
+  DEFAULT_SKILLS,
+}
@@ -0,0 +1,60 @@
+// Utility functions for matching users and slots on skills from the skill taxonomy
+
+const Skill = require("../models/Skill")
+const { escapeRegex } = require("./textSearchUtils")
+
+// Where skills are stored: canonical skill IDs, and the names as shown
+const USER_SKILL_PATHS = { ids: "profile.skillIds", names: "profile.skills" }
+const SLOT_SKILL_PATHS = { ids: "skillIds", names: "tags" }
+
+/**
+ * Condition matching documents with any of the given skills or one of their child skills (searching for
+ * React also finds Next.js). Names that aren't in the taxonomy are matched by name, ignoring case.
+ * @param {Array} names - Skill names or aliases as entered
+ * @param {Object} paths - USER_SKILL_PATHS or SLOT_SKILL_PATHS
+ * @returns {Object|null} MongoDB condition, or null if no usable names were given
+ */
+const skillCondition = async (entered, paths) => {
+  const names = entered.filter((name) => typeof name === "string").map((name) => name.trim()).filter(Boolean)
+  if (names.length === 0) return null
+
+  const skills = await Skill.findByNames(names)
+  const knownKeys = new Set(skills.flatMap((skill) => skill.keys))
+  const unknownNames = names.filter((name) => !knownKeys.has(Skill.normalizeKey(name)))
+
+  const conditions = []
+  if (skills.length > 0) {
+    conditions.push({ [paths.ids]: { $in: await Skill.withDescendants(skills.map((skill) => skill._id)) } })
+  }
+  if (unknownNames.length > 0) {
+    conditions.push({ [paths.names]: { $in: unknownNames.map((name) => new RegExp(`^${escapeRegex(name)}$`, "i")) } })
+  }
+
+  return { $or: conditions }
+}
+
+/**
+ * Look up which search tokens are skills
+ * @param {Array} tokens - Search tokens
+ * @returns {Map} Token → { skillIds: IDs of the skill and its child skills, direct: ID of the skill itself }
+ */
+const findSkillTokens = async (tokens) => {
+  const skills = await Skill.findByNames(tokens)
+  const skillTokens = new Map()
+
+  for (const token of tokens) {
+    const skill = skills.find((candidate) => candidate.keys.includes(Skill.normalizeKey(token)))
+    if (skill) {
+      skillTokens.set(token, { direct: skill._id.toString(), skillIds: await Skill.withDescendants([skill._id]) })
+    }
+  }
+
+  return skillTokens
+}
+
+module.exports = {
+  USER_SKILL_PATHS,
+  SLOT_SKILL_PATHS,
+  skillCondition,
+  findSkillTokens,
+}
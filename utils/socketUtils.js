@@ -154,6 +154,31 @@ const formatUserStatus = (userInfo) => {
   }
 }
 
+/**
+ * Disconnect a user's live sockets, optionally only those opened with one session
+ * @param {Object} io - Socket.IO instance
+ * @param {String} userId - User ID
+ * @param {String} sessionId - Only disconnect sockets authenticated with this session
+ * @returns {Number} Number of sockets disconnected
+ */
+const disconnectUserSockets = async (io, userId, sessionId = null) => {
+  try {
+    const sockets = await io.in(`user_${userId}`).fetchSockets()
+    // Other users can join this room, so match on the socket's own identity
+    const targets = sockets.filter(
+      (socket) =>
+        socket.data.userId === userId.toString() && (!sessionId || socket.data.sessionId === sessionId.toString()),
+    )
+
+    targets.forEach((socket) => socket.disconnect(true))
+    console.log(`Disconnected ${targets.length} sockets for user ${userId}`)
+    return targets.length
+  } catch (error) {
+    console.error(`Error disconnecting sockets for user ${userId}:`, error)
+    return 0
+  }
+}
+
 module.exports = {
   emitToUser,
   emitToRoom,
@@ -165,4 +190,5 @@ module.exports = {
   isUserOnline,
   getOnlineUsers,
   formatUserStatus,
+  disconnectUserSockets,
 }
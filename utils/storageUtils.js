@@ -0,0 +1,257 @@
+// Storage service with pluggable drivers (S3, Cloudinary, local disk). Every driver implements
+// put(key, body, options), get(key), delete(key) and signedUrl(key, expiresInSeconds). Stored files are
+// referenced by { driver, key }, so callers never need to work out where a file lives from its URL.
+
+const fs = require("fs")
+const path = require("path")
+const crypto = require("crypto")
+const AWS = require("aws-sdk")
+const cloudinary = require("cloudinary").v2
+
+const STORAGE_DRIVERS = ["s3", "cloudinary", "local"]
+
+// Driver used for each kind of upload unless overridden with STORAGE_DRIVER_<PURPOSE> or STORAGE_DRIVER
+const DEFAULT_DRIVERS = {
+  avatars: "s3",
+  posts: "cloudinary",
+  exports: "local",
+  resumes: "s3",
+}
+
+const DEFAULT_SIGNED_URL_SECONDS = 15 * 60
+
+const LOCAL_DIR = process.env.STORAGE_LOCAL_DIR || path.join(__dirname, "..", "tmp", "uploads")
+const LOCAL_PRIVATE_PREFIX = "private/"
+const LOCAL_BASE_URL = process.env.STORAGE_LOCAL_URL || `http://localhost:${process.env.PORT || 5000}/uploads`
+
+const createS3Driver = () => {
+  const s3 = new AWS.S3({
+    accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+    secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+    region: process.env.AWS_REGION,
+  })
+  const Bucket = process.env.AWS_S3_BUCKET
+
+  return {
+    put: async (key, body, { contentType, isPublic = true } = {}) => {
+      const result = await s3
+        .upload({ Bucket, Key: key, Body: body, ContentType: contentType, ACL: isPublic ? "public-read" : "private" })
+        .promise()
+      return { key, url: result.Location }
+    },
+    get: async (key) => {
+      const result = await s3.getObject({ Bucket, Key: key }).promise()
+      return result.Body
+    },
+    delete: async (key) => {
+      await s3.deleteObject({ Bucket, Key: key }).promise()
+    },
+    signedUrl: (key, expiresInSeconds = DEFAULT_SIGNED_URL_SECONDS) =>
+      s3.getSignedUrlPromise("getObject", { Bucket, Key: key, Expires: expiresInSeconds }),
+  }
+}
+
+// Cloudinary keeps images and other files ("raw" resources) apart, and public and authenticated files too, so
+// keys are "<resource type>/<type>/<public ID>", the same as in Cloudinary URLs. Image public IDs don't include
+// a file extension; raw ones do. Keys stored before other files were supported are plain public IDs of images.
+const CLOUDINARY_RESOURCE_TYPES = ["image", "raw"]
+const CLOUDINARY_TYPES = ["upload", "authenticated"]
+
+const parseCloudinaryKey = (key) => {
+  const [resourceType, type, ...publicId] = key.split("/")
+  if (CLOUDINARY_RESOURCE_TYPES.includes(resourceType) && CLOUDINARY_TYPES.includes(type) && publicId.length > 0) {
+    return { publicId: publicId.join("/"), resource_type: resourceType, type }
+  }
+  return { publicId: key, resource_type: "image", type: "upload" }
+}
+
+const createCloudinaryDriver = () => {
+  cloudinary.config({
+    cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+    api_key: process.env.CLOUDINARY_API_KEY,
+    api_secret: process.env.CLOUDINARY_API_SECRET,
+  })
+
+  return {
+    put: async (key, body, { contentType, isPublic = true } = {}) => {
+      const resourceType = contentType?.startsWith("image/") ? "image" : "raw"
+      const type = isPublic ? "upload" : "authenticated"
+      const result = await cloudinary.uploader.upload(`data:${contentType};base64,${body.toString("base64")}`, {
+        public_id: resourceType === "image" ? key.replace(/\.[^/.]+$/, "") : key,
+        type,
+        resource_type: resourceType,
+        overwrite: true,
+      })
+      return { key: `${resourceType}/${type}/${result.public_id}`, url: result.secure_url }
+    },
+    get: async (key) => {
+      const { publicId, ...options } = parseCloudinaryKey(key)
+      const response = await fetch(cloudinary.url(publicId, { ...options, secure: true, sign_url: true }))
+      if (!response.ok) {
+        throw new Error(`Cloudinary download failed with status ${response.status}`)
+      }
+      return Buffer.from(await response.arrayBuffer())
+    },
+    delete: async (key) => {
+      const { publicId, ...options } = parseCloudinaryKey(key)
+      await cloudinary.uploader.destroy(publicId, options)
+    },
+    signedUrl: async (key, expiresInSeconds = DEFAULT_SIGNED_URL_SECONDS) => {
+      const { publicId, ...options } = parseCloudinaryKey(key)
+      return cloudinary.utils.private_download_url(publicId, "", {
+        ...options,
+        expires_at: Math.floor(Date.now() / 1000) + expiresInSeconds,
+      })
+    },
+  }
+}
+
+// Resolve a key to a path inside the local storage directory, rejecting keys that would escape it
+const resolveLocalPath = (key) => {
+  const filePath = path.resolve(LOCAL_DIR, key)
+  if (!filePath.startsWith(path.resolve(LOCAL_DIR) + path.sep)) {
+    const error = new Error("Invalid storage key")
+    error.status = 400
+    throw error
+  }
+  return filePath
+}
+
+/**
+ * Normalize a key from a URL to the key the file is stored under, resolving "." and ".." segments, so
+ * checks on the key apply to the file that would actually be served
+ * @param {String} key - Storage key as requested
+ * @returns {String} Key relative to the local storage directory, with "/" separators
+ */
+const normalizeLocalKey = (key) =>
+  path.relative(path.resolve(LOCAL_DIR), resolveLocalPath(key)).split(path.sep).join("/")
+
+const signLocalKey = (key, expires) =>
+  crypto
+    .createHmac("sha256", process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET)
+    .update(`${key}:${expires}`)
+    .digest("hex")
+
+/**
+ * Check the expires/signature query parameters of a local signed URL
+ * @param {String} key - Storage key
+ * @param {String} expires - Expiry as a Unix timestamp in seconds
+ * @param {String} signature - HMAC from the signed URL
+ * @returns {Boolean} True when the signature matches and has not expired
+ */
+const verifyLocalSignature = (key, expires, signature) => {
+  if (!expires || !signature || Number(expires) < Date.now() / 1000) return false
+
+  const expected = Buffer.from(signLocalKey(key, expires))
+  const provided = Buffer.from(String(signature))
+  return expected.length === provided.length && crypto.timingSafeEqual(expected, provided)
+}
+
+/**
+ * Whether a local file may only be served through a signed URL
+ * @param {String} key - Storage key
+ * @returns {Boolean}
+ */
+const isPrivateLocalKey = (key) => key.startsWith(LOCAL_PRIVATE_PREFIX)
+
+// Files on local disk, served by routes/storageRoutes.js. Meant for development and offline use.
+// Private files are kept under a separate prefix so the file route knows to require a signature.
+const createLocalDriver = () => ({
+  put: async (key, body, { isPublic = true } = {}) => {
+    const storedKey = isPublic ? key : `${LOCAL_PRIVATE_PREFIX}${key}`
+    const filePath = resolveLocalPath(storedKey)
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true })
+    await fs.promises.writeFile(filePath, body)
+    return { key: storedKey, url: isPublic ? `${LOCAL_BASE_URL}/${storedKey}` : null }
+  },
+  get: (key) => fs.promises.readFile(resolveLocalPath(key)),
+  delete: async (key) => {
+    await fs.promises.rm(resolveLocalPath(key), { force: true })
+  },
+  signedUrl: async (key, expiresInSeconds = DEFAULT_SIGNED_URL_SECONDS) => {
+    const expires = Math.floor(Date.now() / 1000) + expiresInSeconds
+    return `${LOCAL_BASE_URL}/${key}?expires=${expires}&signature=${signLocalKey(key, expires)}`
+  },
+})
+
+const driverFactories = {
+  s3: createS3Driver,
+  cloudinary: createCloudinaryDriver,
+  local: createLocalDriver,
+}
+const drivers = {}
+
+/**
+ * Get a storage driver by name
+ * @param {String} name - Driver name (s3, cloudinary or local)
+ * @returns {Object} Driver with put, get, delete and signedUrl
+ */
+const getDriver = (name) => {
+  if (!driverFactories[name]) {
+    throw new Error(`Unknown storage driver: ${name}`)
+  }
+  drivers[name] = drivers[name] || driverFactories[name]()
+  return drivers[name]
+}
+
+/**
+ * Name of the driver configured for a kind of upload
+ * @param {String} purpose - Upload purpose, e.g. "avatars"
+ * @returns {String} Driver name
+ */
+const getDriverName = (purpose) =>
+  process.env[`STORAGE_DRIVER_${purpose.toUpperCase()}`] || process.env.STORAGE_DRIVER || DEFAULT_DRIVERS[purpose] || "local"
+
+/**
+ * Store a file with the driver configured for its purpose
+ * @param {String} purpose - Upload purpose, e.g. "avatars"
+ * @param {String} key - Storage key (path-like, unique per file)
+ * @param {Buffer} body - File contents
+ * @param {Object} options - { contentType, isPublic }
+ * @returns {Object} { driver, key, url } - save driver and key on the record that owns the file
+ */
+const putFile = async (purpose, key, body, options = {}) => {
+  const driver = getDriverName(purpose)
+  const stored = await getDriver(driver).put(key, body, options)
+  return { driver, ...stored }
+}
+
+/**
+ * Read a stored file
+ * @param {Object} file - { driver, key }
+ * @returns {Buffer} File contents
+ */
+const getFile = ({ driver, key }) => getDriver(driver).get(key)
+
+/**
+ * Delete a stored file. Records without a driver or key are ignored.
+ * @param {Object} file - { driver, key }
+ */
+const deleteFile = async (file) => {
+  if (!file?.driver || !file?.key) return
+  await getDriver(file.driver).delete(file.key)
+}
+
+/**
+ * Get a time-limited URL for a stored file
+ * @param {Object} file - { driver, key }
+ * @param {Number} expiresInSeconds - How long the URL works
+ * @returns {String} Signed URL
+ */
+const getSignedUrl = ({ driver, key }, expiresInSeconds = DEFAULT_SIGNED_URL_SECONDS) =>
+  getDriver(driver).signedUrl(key, expiresInSeconds)
+
+module.exports = {
+  STORAGE_DRIVERS,
+  LOCAL_DIR,
+  getDriver,
+  getDriverName,
+  putFile,
+  getFile,
+  deleteFile,
+  getSignedUrl,
+  resolveLocalPath,
+  normalizeLocalKey,
+  isPrivateLocalKey,
+  verifyLocalSignature,
+}
@@ -0,0 +1,138 @@
+// Utility functions for text search: tokenizing, index terms for prefix and typo-tolerant matching, and scoring
+
+// Bump when the way index terms are built changes, so stored indexes are rebuilt on startup
+const SEARCH_INDEX_VERSION = 1
+
+// Shortest token that gets typo-tolerant matching
+const MIN_FUZZY_LENGTH = 4
+
+// Words too common in free text to be worth indexing
+const STOPWORDS = new Set([
+  "a",
+  "an",
+  "and",
+  "are",
+  "as",
+  "at",
+  "by",
+  "for",
+  "from",
+  "i",
+  "in",
+  "is",
+  "it",
+  "my",
+  "of",
+  "on",
+  "or",
+  "the",
+  "to",
+  "with",
+])
+
+/**
+ * Escape a string for use inside a regular expression
+ * @param {String} value - Text from user input
+ * @returns {String} Text that only matches itself
+ */
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+
+/**
+ * Split text into lowercase search tokens. Accents are removed; characters that belong to skill
+ * names ("c++", "c#", "node.js") are kept.
+ * @param {String} text - Text to tokenize
+ * @returns {Array} Tokens
+ */
+const tokenize = (text) =>
+  String(text || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .split(/[^a-z0-9+#.]+/)
+    .map((token) => token.replace(/^\.+|\.+$/g, ""))
+    .filter(Boolean)
+
+/**
+ * Variants of a token with one character removed, plus the token itself. Two tokens within one edit
+ * of each other always share a variant, which is what makes typo-tolerant lookups indexable.
+ * @param {String} token - Search token
+ * @returns {Array} Variants
+ */
+const fuzzyVariants = (token) => {
+  const variants = new Set([token])
+  for (let i = 0; i < token.length; i++) {
+    variants.add(token.slice(0, i) + token.slice(i + 1))
+  }
+  return [...variants]
+}
+
+/**
+ * Edit distance between two strings, counting a swap of adjacent characters as one edit
+ * @param {String} a
+ * @param {String} b
+ * @returns {Number}
+ */
+const editDistance = (a, b) => {
+  const rows = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)])
+  for (let j = 1; j <= b.length; j++) rows[0][j] = j
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost)
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1)
+      }
+    }
+  }
+
+  return rows[a.length][b.length]
+}
+
+/**
+ * How well a query token matches a token from a document
+ * @param {String} queryToken - Token from the search text
+ * @param {String} token - Token from the document
+ * @returns {Number} 1 for an exact match, less for prefix and typo matches, 0 for no match
+ */
+const matchQuality = (queryToken, token) => {
+  if (token === queryToken) return 1
+  if (queryToken.length > 1 && token.startsWith(queryToken)) return 0.75
+
+  // One typo, as far as the fuzzy index terms can find (see fuzzyVariants)
+  if (queryToken.length < MIN_FUZZY_LENGTH || Math.abs(token.length - queryToken.length) > 1) return 0
+  return editDistance(queryToken, token) <= 1 ? 0.5 : 0
+}
+
+/**
+ * Build index terms for a set of fields
+ * @param {Array} fields - [{ text, fuzzy }] - fuzzy fields also get typo-tolerant terms
+ * @returns {Object} { terms, fuzzy, version } - terms supports exact and prefix lookups, fuzzy supports typo lookups
+ */
+const buildSearchIndex = (fields) => {
+  const terms = new Set()
+  const fuzzy = new Set()
+
+  for (const { text, fuzzy: tolerateTypos } of fields) {
+    for (const token of tokenize(text)) {
+      if (!tolerateTypos && STOPWORDS.has(token)) continue
+      terms.add(token)
+      if (tolerateTypos && token.length >= MIN_FUZZY_LENGTH) {
+        fuzzyVariants(token).forEach((variant) => fuzzy.add(variant))
+      }
+    }
+  }
+
+  return { terms: [...terms], fuzzy: [...fuzzy], version: SEARCH_INDEX_VERSION }
+}
+
+module.exports = {
+  SEARCH_INDEX_VERSION,
+  MIN_FUZZY_LENGTH,
+  escapeRegex,
+  tokenize,
+  fuzzyVariants,
+  editDistance,
+  matchQuality,
+  buildSearchIndex,
+}
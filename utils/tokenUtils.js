@@ -0,0 +1,250 @@
+// Utility functions for access/refresh token handling
+const jwt = require("jsonwebtoken")
+const crypto = require("crypto")
+const Session = require("../models/Session")
+const AccessToken = require("../models/AccessToken")
+const { describeDevice } = require("./deviceUtils")
+
+const ACCESS_TOKEN_EXPIRE = process.env.JWT_ACCESS_EXPIRE || "15m"
+const REFRESH_TOKEN_EXPIRE_DAYS = Number.parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS, 10) || 30
+const PERSONAL_ACCESS_TOKEN_PREFIX = "dcp_"
+const LAST_USED_UPDATE_INTERVAL_MS = 60 * 1000
+
+/**
+ * Hash a token secret for storage
+ * @param {String} value - Raw token secret
+ * @returns {String} Hex encoded SHA-256 digest
+ */
+const hashToken = (value) => {
+  return crypto.createHash("sha256").update(value).digest("hex")
+}
+
+/**
+ * Sign a short-lived access token bound to a session
+ * @param {String} userId - User ID
+ * @param {String} sessionId - Session ID
+ * @returns {String} Signed JWT
+ */
+const generateAccessToken = (userId, sessionId) => {
+  return jwt.sign({ userId: userId.toString(), sessionId: sessionId.toString() }, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_EXPIRE,
+  })
+}
+
+/**
+ * Build an opaque refresh token of the form "<sessionId>.<secret>"
+ * @param {String} sessionId - Session ID
+ * @returns {Object} Raw token and the hash to persist
+ */
+const generateRefreshToken = (sessionId) => {
+  const secret = crypto.randomBytes(40).toString("hex")
+  return {
+    refreshToken: `${sessionId}.${secret}`,
+    refreshTokenHash: hashToken(secret),
+  }
+}
+
+/**
+ * Split a refresh token into its session ID and secret
+ * @param {String} refreshToken - Raw refresh token
+ * @returns {Object|null} Parsed parts or null if malformed
+ */
+const parseRefreshToken = (refreshToken) => {
+  if (typeof refreshToken !== "string") return null
+
+  const [sessionId, secret] = refreshToken.split(".")
+  if (!sessionId || !secret || !/^[a-f0-9]{24}$/.test(sessionId)) return null
+
+  return { sessionId, secret }
+}
+
+/**
+ * Create a new session and issue its first token pair
+ * @param {String} userId - User ID
+ * @param {Object} req - Express request (used for user agent and IP)
+ * @returns {Object} accessToken, refreshToken and session
+ */
+const createSession = async (userId, req = null) => {
+  const session = new Session({
+    userId,
+    refreshTokenHash: "pending",
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_EXPIRE_DAYS * 24 * 60 * 60 * 1000),
+    userAgent: req?.get?.("User-Agent")?.substring(0, 500),
+    ipAddress: req?.ip,
+    lastSeenIp: req?.ip,
+    device: describeDevice(req?.get?.("User-Agent")),
+  })
+
+  const { refreshToken, refreshTokenHash } = generateRefreshToken(session._id)
+  session.refreshTokenHash = refreshTokenHash
+  await session.save()
+
+  return {
+    accessToken: generateAccessToken(userId, session._id),
+    refreshToken,
+    session,
+  }
+}
+
+/**
+ * Exchange a refresh token for a new token pair, rotating the refresh token.
+ * Presenting an already-rotated refresh token revokes the whole session.
+ * @param {String} refreshToken - Raw refresh token
+ * @param {String} ipAddress - Caller IP address, recorded as the session's last-seen IP
+ * @returns {Object} accessToken, refreshToken and session
+ */
+const rotateSession = async (refreshToken, ipAddress = null) => {
+  const parsed = parseRefreshToken(refreshToken)
+  if (!parsed) {
+    throw new Error("Invalid refresh token")
+  }
+
+  // Swap the hash only if the presented token is still the current one, so two requests racing with the
+  // same refresh token can't both rotate it
+  const rotated = generateRefreshToken(parsed.sessionId)
+  const now = new Date()
+  const session = await Session.findOneAndUpdate(
+    {
+      _id: parsed.sessionId,
+      refreshTokenHash: hashToken(parsed.secret),
+      revokedAt: null,
+      expiresAt: { $gt: now },
+    },
+    {
+      $set: {
+        refreshTokenHash: rotated.refreshTokenHash,
+        lastUsedAt: now,
+        ...(ipAddress && { lastSeenIp: ipAddress }),
+      },
+    },
+    { new: true },
+  )
+
+  if (!session) {
+    const current = await Session.findById(parsed.sessionId)
+    if (!current || !current.isValid()) {
+      throw new Error("Session expired or revoked")
+    }
+
+    await current.revoke("token_reuse")
+    throw new Error("Refresh token reuse detected")
+  }
+
+  return {
+    accessToken: generateAccessToken(session.userId, session._id),
+    refreshToken: rotated.refreshToken,
+    session,
+  }
+}
+
+/**
+ * Verify an access token and make sure its session is still active
+ * @param {String} token - Access token
+ * @param {String} ipAddress - Caller IP address, recorded as the session's last-seen IP
+ * @returns {Object} Decoded payload and session
+ */
+const verifyAccessToken = async (token, ipAddress = null) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET)
+
+  if (decoded.purpose) {
+    throw new Error("Token cannot be used for API access")
+  }
+
+  if (!decoded.sessionId) {
+    throw new Error("Token is not bound to a session")
+  }
+
+  const session = await Session.findById(decoded.sessionId)
+  if (!session || !session.isValid() || session.userId.toString() !== decoded.userId) {
+    throw new Error("Session expired or revoked")
+  }
+
+  session.touch(ipAddress).catch((error) => console.error("Error updating session last seen:", error))
+
+  return { decoded, session }
+}
+
+/**
+ * Sign a short-lived, single-purpose challenge token (e.g. a pending 2FA login)
+ * @param {String} userId - User ID
+ * @param {String} purpose - What the token may be exchanged for
+ * @param {String} expiresIn - JWT expiry
+ * @returns {String} Signed JWT
+ */
+const generateChallengeToken = (userId, purpose, expiresIn = "5m") => {
+  return jwt.sign({ userId: userId.toString(), purpose }, process.env.JWT_SECRET, { expiresIn })
+}
+
+/**
+ * Verify a challenge token issued for a specific purpose
+ * @param {String} token - Challenge token
+ * @param {String} purpose - Expected purpose
+ * @returns {Object} Decoded payload
+ */
+const verifyChallengeToken = (token, purpose) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET)
+
+  if (decoded.purpose !== purpose) {
+    throw new Error("Invalid challenge token")
+  }
+
+  return decoded
+}
+
+/**
+ * Check whether a bearer token is a personal access token rather than a JWT
+ * @param {String} token - Bearer token
+ * @returns {Boolean}
+ */
+const isPersonalAccessToken = (token) => {
+  return typeof token === "string" && token.startsWith(PERSONAL_ACCESS_TOKEN_PREFIX)
+}
+
+/**
+ * Generate a new personal access token
+ * @returns {Object} Raw token, the hash to persist and a display prefix
+ */
+const generatePersonalAccessToken = () => {
+  const token = `${PERSONAL_ACCESS_TOKEN_PREFIX}${crypto.randomBytes(32).toString("base64url")}`
+  return {
+    token,
+    tokenHash: hashToken(token),
+    tokenPrefix: token.substring(0, PERSONAL_ACCESS_TOKEN_PREFIX.length + 6),
+  }
+}
+
+/**
+ * Look up a personal access token and record its use
+ * @param {String} token - Raw personal access token
+ * @param {String} ipAddress - Caller IP address
+ * @returns {Object} AccessToken document
+ */
+const verifyPersonalAccessToken = async (token, ipAddress = null) => {
+  const accessToken = await AccessToken.findOne({ tokenHash: hashToken(token) })
+  if (!accessToken || !accessToken.isValid()) {
+    throw new Error("Access token expired or revoked")
+  }
+
+  // Only write lastUsedAt occasionally so scripts making many calls don't hit the database on each one
+  const now = new Date()
+  if (!accessToken.lastUsedAt || now - accessToken.lastUsedAt > LAST_USED_UPDATE_INTERVAL_MS) {
+    AccessToken.updateOne({ _id: accessToken._id }, { lastUsedAt: now, lastUsedIp: ipAddress }).catch((error) =>
+      console.error("Error updating access token last used:", error),
+    )
+  }
+
+  return accessToken
+}
+
+module.exports = {
+  hashToken,
+  generateAccessToken,
+  createSession,
+  rotateSession,
+  verifyAccessToken,
+  generateChallengeToken,
+  verifyChallengeToken,
+  isPersonalAccessToken,
+  generatePersonalAccessToken,
+  verifyPersonalAccessToken,
+}
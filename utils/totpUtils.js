@@ -0,0 +1,175 @@
+// Utility functions for TOTP two-factor authentication (RFC 6238)
+const crypto = require("crypto")
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567"
+const TOTP_PERIOD = 30 // seconds
+const TOTP_DIGITS = 6
+const TOTP_WINDOW = 1 // accept one step of clock drift either way
+
+/**
+ * Encode a buffer as RFC 4648 base32 (no padding)
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {String} Base32 string
+ */
+const base32Encode = (buffer) => {
+  let bits = 0
+  let value = 0
+  let output = ""
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte
+    bits += 8
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31]
+      bits -= 5
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31]
+  }
+
+  return output
+}
+
+/**
+ * Decode an RFC 4648 base32 string
+ * @param {String} input - Base32 string (case and padding insensitive)
+ * @returns {Buffer} Decoded bytes
+ */
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/=+$/, "").replace(/\s/g, "")
+  let bits = 0
+  let value = 0
+  const output = []
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char)
+    if (index === -1) {
+      throw new Error("Invalid base32 character")
+    }
+
+    value = (value << 5) | index
+    bits += 5
+
+    if (bits >= 8) {
+      output.push((value >>> (bits - 8)) & 255)
+      bits -= 8
+    }
+  }
+
+  return Buffer.from(output)
+}
+
+/**
+ * Generate a new random TOTP secret
+ * @returns {String} Base32 encoded 160-bit secret
+ */
+const generateSecret = () => {
+  return base32Encode(crypto.randomBytes(20))
+}
+
+/**
+ * Compute the HOTP code for a counter (RFC 4226)
+ * @param {String} secret - Base32 secret
+ * @param {Number} counter - Moving factor
+ * @returns {String} Zero-padded code
+ */
+const generateHOTP = (secret, counter) => {
+  const counterBuffer = Buffer.alloc(8)
+  counterBuffer.writeBigUInt64BE(BigInt(counter))
+
+  const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(counterBuffer).digest()
+  const offset = hmac[hmac.length - 1] & 0xf
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff
+
+  return (binary % 10 ** TOTP_DIGITS).toString().padStart(TOTP_DIGITS, "0")
+}
+
+/**
+ * Get the current TOTP time step
+ * @param {Number} timestamp - Milliseconds since epoch
+ * @returns {Number} Time step
+ */
+const getTimeStep = (timestamp = Date.now()) => {
+  return Math.floor(timestamp / 1000 / TOTP_PERIOD)
+}
+
+/**
+ * Verify a TOTP code within the allowed drift window
+ * @param {String} secret - Base32 secret
+ * @param {String} code - Code entered by the user
+ * @param {Number} lastUsedStep - Last accepted time step (codes at or before it are rejected)
+ * @returns {Number|null} Matched time step or null if invalid
+ */
+const verifyTOTP = (secret, code, lastUsedStep = -1) => {
+  if (!secret || !code) return null
+
+  const normalized = code.toString().replace(/\s/g, "")
+  if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(normalized)) return null
+
+  const currentStep = getTimeStep()
+  for (let step = currentStep - TOTP_WINDOW; step <= currentStep + TOTP_WINDOW; step++) {
+    if (step <= lastUsedStep) continue
+
+    const expected = generateHOTP(secret, step)
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step
+    }
+  }
+
+  return null
+}
+
+/**
+ * Build an otpauth:// URI for authenticator apps
+ * @param {String} secret - Base32 secret
+ * @param {String} accountName - Usually the user's email
+ * @returns {String} Provisioning URI
+ */
+const buildOtpauthUrl = (secret, accountName) => {
+  const issuer = process.env.TOTP_ISSUER || "DevConnect"
+  const label = encodeURIComponent(`${issuer}:${accountName}`)
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: TOTP_DIGITS.toString(),
+    period: TOTP_PERIOD.toString(),
+  })
+
+  return `otpauth://totp/${label}?${params.toString()}`
+}
+
+/**
+ * Generate one-time recovery codes
+ * @param {Number} count - Number of codes
+ * @returns {Array} Codes formatted as xxxxx-xxxxx
+ */
+const generateRecoveryCodes = (count = 10) => {
+  return Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString("hex")
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`
+  })
+}
+
+/**
+ * Normalize a recovery code before hashing or comparing
+ * @param {String} code - Recovery code as typed by the user
+ * @returns {String} Lowercase code without separators
+ */
+const normalizeRecoveryCode = (code) => {
+  return code.toString().toLowerCase().replace(/[^a-f0-9]/g, "")
+}
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateHOTP,
+  verifyTOTP,
+  buildOtpauthUrl,
+  generateRecoveryCodes,
+  normalizeRecoveryCode,
+}
@@ -0,0 +1,140 @@
+// Utility functions for searching users. Shared by the user search and the connection search.
+
+const User = require("../models/User")
+const { canViewSection } = require("./privacyUtils")
+const { findSkillTokens } = require("./skillUtils")
+const { MIN_FUZZY_LENGTH, escapeRegex, tokenize, fuzzyVariants, matchQuality } = require("./textSearchUtils")
+
+// How much a match in each field counts towards relevance
+const FIELD_WEIGHTS = {
+  name: 10,
+  skills: 6,
+  title: 5,
+  company: 4,
+  location: 3,
+  role: 2,
+  bio: 1,
+}
+
+// Query tokens used from the search text
+const MAX_QUERY_TOKENS = 8
+
+// Users scored per search. Users matching every query token exactly are taken first, then prefix and typo
+// matches, so the best matches are among the candidates when more users match.
+const MAX_CANDIDATES = 1000
+
+// Fields scoreUser needs
+const CANDIDATE_FIELDS = "name role profile privacy"
+
+// Index lookup for one query token: exact or prefix match, or (for longer tokens) a match within one typo.
+// Tokens that name a skill also match users with that skill under another name, or one of its child skills.
+const tokenCondition = (token, skill) => {
+  const conditions = [{ "search.terms": token.length > 1 ? new RegExp(`^${escapeRegex(token)}`) : token }]
+  if (token.length >= MIN_FUZZY_LENGTH) {
+    conditions.push({ "search.fuzzy": { $in: fuzzyVariants(token) } })
+  }
+  if (skill) {
+    conditions.push({ "profile.skillIds": { $in: skill.skillIds } })
+  }
+  return { $or: conditions }
+}
+
+// Index lookup for an exact match on one query token, or on the skill it names
+const exactTokenCondition = (token, skill) => {
+  const condition = { "search.terms": token }
+  return skill ? { $or: [condition, { "profile.skillIds": { $in: skill.skillIds } }] } : condition
+}
+
+// How well a user's canonical skills match a skill named in the query: the skill itself counts as an exact
+// match, one of its child skills as a prefix match
+const skillMatchQuality = (user, skill) => {
+  const userSkillIds = (user.profile?.skillIds || []).map((id) => id.toString())
+  if (userSkillIds.includes(skill.direct)) return 1
+  return skill.skillIds.some((id) => userSkillIds.includes(id.toString())) ? 0.75 : 0
+}
+
+// Relevance of a user for the query tokens, counting only fields the viewer may see.
+// Every token has to match somewhere; otherwise the score is 0.
+const scoreUser = (user, queryTokens, skillTokens, viewer) => {
+  const skillsVisible = canViewSection(user, "skills", viewer)
+  const fields = user
+    .getSearchFields()
+    .filter(({ section }) => !section || canViewSection(user, section, viewer))
+    .map(({ field, text }) => ({ weight: FIELD_WEIGHTS[field], tokens: tokenize(text) }))
+
+  let score = 0
+  for (const queryToken of queryTokens) {
+    const skill = skillTokens.get(queryToken)
+    let best = skill && skillsVisible ? FIELD_WEIGHTS.skills * skillMatchQuality(user, skill) : 0
+    for (const { weight, tokens } of fields) {
+      for (const token of tokens) {
+        best = Math.max(best, weight * matchQuality(queryToken, token))
+      }
+    }
+    if (best === 0) return 0
+    score += best
+  }
+
+  return score
+}
+
+/**
+ * Search users by name, skills, experience, location, role and bio, ranked by relevance. Skills also match
+ * by canonical skill, so "reactjs" finds React developers. Matches on profile sections hidden from the viewer
+ * by privacy settings are ignored.
+ * @param {String} text - Search text
+ * @param {Object} options - { viewer (from privacyUtils.getViewerContext), filter (extra MongoDB conditions),
+ *   select (fields to return), page, limit }
+ * @returns {Object} { results: [{ user, score }] in relevance order, total } - at most MAX_CANDIDATES users
+ *   are ranked and counted
+ */
+const searchUserProfiles = async (text, { viewer, filter = {}, select, page = 1, limit = 20 }) => {
+  const queryTokens = [...new Set(tokenize(text))].slice(0, MAX_QUERY_TOKENS)
+  if (queryTokens.length === 0) {
+    return { results: [], total: 0 }
+  }
+
+  const skillTokens = await findSkillTokens(queryTokens)
+
+  const exactMatches = await User.find({
+    $and: [filter, ...queryTokens.map((token) => exactTokenCondition(token, skillTokens.get(token)))],
+  })
+    .select(CANDIDATE_FIELDS)
+    .limit(MAX_CANDIDATES)
+  const otherMatches =
+    exactMatches.length < MAX_CANDIDATES
+      ? await User.find({
+          $and: [
+            filter,
+            { _id: { $nin: exactMatches.map((user) => user._id) } },
+            ...queryTokens.map((token) => tokenCondition(token, skillTokens.get(token))),
+          ],
+        })
+          .select(CANDIDATE_FIELDS)
+          .limit(MAX_CANDIDATES - exactMatches.length)
+      : []
+
+  const ranked = [...exactMatches, ...otherMatches]
+    .map((user) => ({ user, score: scoreUser(user, queryTokens, skillTokens, viewer) }))
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score || a.user.name.localeCompare(b.user.name))
+
+  const pageSize = Math.max(Number.parseInt(limit) || 20, 1)
+  const pageResults = ranked.slice((Math.max(Number.parseInt(page) || 1, 1) - 1) * pageSize).slice(0, pageSize)
+
+  // Load the page with the fields the caller wants, keeping the ranked order
+  const users = await User.find({ _id: { $in: pageResults.map(({ user }) => user._id) } }).select(select)
+  const usersById = new Map(users.map((user) => [user._id.toString(), user]))
+
+  return {
+    results: pageResults
+      .filter(({ user }) => usersById.has(user._id.toString()))
+      .map(({ user, score }) => ({ user: usersById.get(user._id.toString()), score: Math.round(score * 100) / 100 })),
+    total: ranked.length,
+  }
+}
+
+module.exports = {
+  FIELD_WEIGHTS,
+  searchUserProfiles,
+}